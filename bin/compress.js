@@ -0,0 +1,372 @@
+#!/usr/bin/env node
+// Command line version of the app's compression for build pipelines and CI, using sharp instead of
+// the browser's canvas. Takes files, directories and globs, writes the results to an output
+// directory, then prints a summary table and writes a JSON report.
+//
+//   npm run compress -- "assets/**/*.jpg" public/images --format webp --max-size 1920 --out dist/images
+//
+// Only the modules without imports of their own can be shared with the app here: Node needs file
+// extensions on relative imports, which the rest of src/lib leaves to Vite.
+import { parseArgs } from 'node:util';
+import { mkdir, readFile, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import sharp from 'sharp';
+import { glob, isDynamicPattern } from 'tinyglobby';
+import { getFormat, getOutputExtension } from '../src/lib/formats.js';
+import { compressToTargetSize } from '../src/lib/targetSize.js';
+import { applyFileNameTemplate, DEFAULT_FILE_NAME_TEMPLATE, FILE_NAME_TOKENS, getContentHash, templateUsesHash } from '../src/lib/fileNameTemplate.js';
+
+const INPUT_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+const INPUT_FORMATS = ['jpeg', 'png', 'gif', 'webp']; // As reported by sharp
+const ANIMATED_FORMATS = ['gif', 'webp'];
+const DEFAULT_QUALITY = 70;
+const DEFAULT_OUT_DIR = 'compressed';
+const REPORT_FILE_NAME = 'compress-report.json';
+const BACKGROUND_COLOR = '#ffffff'; // Fill for transparency in JPEG output, as in the app
+const MAX_FILE_SIZE = 20 * 1024 * 1024; // The app's input limit, see src/lib/files.js
+
+const USAGE = `Usage: compress <file|directory|glob>... [options]
+
+Compresses JPEG, PNG, GIF and WebP images. Directories are searched recursively, skipping
+node_modules and the output directory.
+
+Options:
+  -q, --quality <1-100>     Output quality (default ${DEFAULT_QUALITY})
+  -t, --target-kb <KB>      Find the highest quality that fits in this size instead (downscales if needed)
+  -f, --format <format>     original, jpeg, png, webp, avif or gif (default original)
+      --max-size <px>       Fit inside this width and height, keeping the aspect ratio
+      --max-width <px>      Maximum width
+      --max-height <px>     Maximum height
+  -o, --out <directory>     Output directory (default "${DEFAULT_OUT_DIR}")
+  -p, --pattern <pattern>   Output file name (default "${DEFAULT_FILE_NAME_TEMPLATE}"), tokens below
+      --report <file>       JSON report path (default "<out>/${REPORT_FILE_NAME}")
+      --no-size-limit       Also compress files over 20MB
+  -h, --help                Show this help
+
+Pattern tokens:
+${FILE_NAME_TOKENS.map(({ token, description }) => `  ${token.padEnd(24)}${description}`).join('\n')}
+
+PNG output is lossless, so --quality doesn't apply to it. Metadata other than the color profile is removed.
+When re-encoding to the same format and size only makes a file bigger, the original is copied instead
+(with its metadata), as in the app. This doesn't apply to --target-kb, except for animations.
+Exits with 1 if any file failed.`;
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+const toPositiveNumber = (value, option) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    const number = Number(value);
+    if (!(number > 0)) {
+        throw new UsageError(`--${option} must be a positive number`);
+    }
+    return number;
+};
+
+const parseOptions = (args) => {
+    const { values, positionals } = parseArgs({
+        args,
+        allowPositionals: true,
+        options: {
+            quality: { type: 'string', short: 'q' },
+            'target-kb': { type: 'string', short: 't' },
+            format: { type: 'string', short: 'f', default: 'original' },
+            'max-size': { type: 'string' },
+            'max-width': { type: 'string' },
+            'max-height': { type: 'string' },
+            out: { type: 'string', short: 'o', default: DEFAULT_OUT_DIR },
+            pattern: { type: 'string', short: 'p', default: DEFAULT_FILE_NAME_TEMPLATE },
+            report: { type: 'string' },
+            'no-size-limit': { type: 'boolean' },
+            help: { type: 'boolean', short: 'h' },
+        },
+    });
+    if (values.help) {
+        return null;
+    }
+    if (positionals.length === 0) {
+        throw new UsageError("No input files given");
+    }
+
+    const quality = values.quality === undefined ? DEFAULT_QUALITY : Number(values.quality);
+    // sharp only takes whole qualities
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+        throw new UsageError("--quality must be a whole number from 1 to 100");
+    }
+    const format = values.format.toLowerCase();
+    if (format !== 'original' && !getFormat(`image/${format}`)) {
+        throw new UsageError(`Unknown format "${values.format}"`);
+    }
+    if (!['{name}', '{index}', '{hash}'].some(token => values.pattern.includes(token))) {
+        throw new UsageError("--pattern must contain {name}, {index} or {hash}, or every output would get the same name");
+    }
+    const maxSize = toPositiveNumber(values['max-size'], 'max-size');
+    const targetKB = toPositiveNumber(values['target-kb'], 'target-kb');
+    return {
+        inputs: positionals,
+        mode: targetKB ? 'target' : 'quality',
+        quality,
+        targetKB,
+        format,
+        maxWidth: toPositiveNumber(values['max-width'], 'max-width') ?? maxSize ?? Infinity,
+        maxHeight: toPositiveNumber(values['max-height'], 'max-height') ?? maxSize ?? Infinity,
+        outDir: values.out,
+        pattern: values.pattern,
+        reportPath: values.report ?? path.join(values.out, REPORT_FILE_NAME),
+        sizeLimit: !values['no-size-limit'],
+    };
+};
+
+// The directory part of a glob before its first wildcard, e.g. "assets" for "assets/**/*.jpg"
+const getGlobBase = (pattern) => {
+    const segments = pattern.split(/[\\/]/);
+    const firstDynamic = segments.findIndex(segment => isDynamicPattern(segment));
+    return firstDynamic === -1 ? path.dirname(pattern) : segments.slice(0, firstDynamic).join('/') || '.';
+};
+
+// Input files as { path, relativeDir }. Files keep their subdirectory in the output: below the
+// directory they were found in, or below the fixed part of their glob. Files given directly are
+// written to the top of the output directory. Directories skip node_modules and the output directory,
+// so a second run doesn't compress the previous run's outputs.
+const findInputFiles = async (inputs, outDir) => {
+    const files = new Map();
+    for (const input of inputs) {
+        const stats = await stat(input).catch(() => null);
+        if (stats?.isDirectory()) {
+            const outDirInInput = path.relative(input, outDir).split(path.sep).join('/');
+            const ignore = ['**/node_modules/**'];
+            // Only an output directory below the input needs ignoring
+            if (outDirInInput && !outDirInInput.startsWith('..') && !path.isAbsolute(outDirInInput)) {
+                ignore.push(`${outDirInInput}/**`);
+            }
+            const found = await glob(`**/*.{${INPUT_EXTENSIONS.join(',')}}`, { cwd: input, caseSensitiveMatch: false, ignore });
+            found.forEach(file => files.set(path.resolve(input, file), { path: path.join(input, file), relativeDir: path.dirname(file) }));
+        } else {
+            const found = await glob(input, { caseSensitiveMatch: false, absolute: path.isAbsolute(input) });
+            if (found.length === 0) {
+                console.warn(`No files match "${input}"`);
+            }
+            const base = getGlobBase(input);
+            found.forEach(file => files.set(path.resolve(file), { path: file, relativeDir: path.dirname(path.relative(base, file)) }));
+        }
+    }
+    return [...files.values()];
+};
+
+// Output file name from the pattern; the extension is kept when it already matches the format, as in the app
+const getOutputFileName = (pattern, fileName, format, values) => {
+    const { name, ext } = path.parse(fileName);
+    return applyFileNameTemplate(pattern, { ...values, name, ext: getOutputExtension(ext.slice(1), `image/${format}`) });
+};
+
+// Encoder options per sharp output format, quality is 1-100
+const getEncoderOptions = (format, quality) => {
+    switch (format) {
+        case 'jpeg':
+            return { quality, mozjpeg: true };
+        case 'png':
+            return { compressionLevel: 9 };
+        case 'gif':
+            return { effort: 10 };
+        default:
+            return { quality };
+    }
+};
+
+const encode = (input, { format, animated, quality, maxWidth, maxHeight }) => {
+    let image = sharp(input, { animated }).autoOrient().keepIccProfile();
+    if (Number.isFinite(maxWidth) || Number.isFinite(maxHeight)) {
+        image = image.resize({
+            width: Number.isFinite(maxWidth) ? Math.round(maxWidth) : undefined,
+            height: Number.isFinite(maxHeight) ? Math.round(maxHeight) : undefined,
+            fit: 'inside',
+            withoutEnlargement: true,
+        });
+    }
+    if (format === 'jpeg') {
+        image = image.flatten({ background: BACKGROUND_COLOR });
+    }
+    return image.toFormat(format, getEncoderOptions(format, quality)).toBuffer({ resolveWithObject: true });
+};
+
+// `writtenPaths` holds the resolved outputs of the run so far: a file that would overwrite one of them fails instead
+const compressFile = async (file, index, options, writtenPaths) => {
+    if (options.sizeLimit && (await stat(file.path)).size > MAX_FILE_SIZE) {
+        throw new Error("File size should be less than 20MB, use --no-size-limit to compress it anyway.");
+    }
+    const input = await readFile(file.path);
+    const metadata = await sharp(input).metadata();
+    if (!INPUT_FORMATS.includes(metadata.format)) {
+        throw new Error(`Unsupported file type (${metadata.format}). Only JPG, JPEG, PNG, GIF and WEBP images are compressed.`);
+    }
+    const format = options.format === 'original' ? metadata.format : options.format;
+    // Frames are kept when both sides can be animated, otherwise only the first frame is used
+    const animated = (metadata.pages ?? 1) > 1 && ANIMATED_FORMATS.includes(format);
+    const settings = { format, animated, quality: options.quality, maxWidth: options.maxWidth, maxHeight: options.maxHeight };
+
+    let output;
+    let quality = options.quality;
+    if (options.mode === 'target') {
+        // Dimensions after the max size, the search downscales from there
+        const { width, height } = metadata.autoOrient;
+        const scale = Math.min(1, options.maxWidth / width, options.maxHeight / height);
+        const result = await compressToTargetSize({
+            targetBytes: options.targetKB * 1024,
+            width: width * scale,
+            height: height * scale,
+            compress: async (attempt) => {
+                output = await encode(input, {
+                    ...settings,
+                    quality: Math.max(1, Math.round(attempt.quality * 100)),
+                    maxWidth: Math.min(settings.maxWidth, attempt.maxWidth),
+                    maxHeight: Math.min(settings.maxHeight, attempt.maxHeight),
+                });
+                return new Blob([output.data]);
+            },
+        });
+        quality = Math.round(result.quality * 100);
+        // The last attempt isn't necessarily the one that fit
+        output = await encode(input, {
+            ...settings,
+            quality,
+            maxWidth: Math.min(settings.maxWidth, result.width),
+            maxHeight: Math.min(settings.maxHeight, result.height),
+        });
+    } else {
+        output = await encode(input, settings);
+    }
+
+    let data = output.data;
+    const width = output.info.width;
+    const height = output.info.pageHeight ?? output.info.height;
+    // If re-encoding to the same format at the same size only made the file bigger, keep the original.
+    // Animations keep all their frames here, so this also applies to them in target mode, as in the app.
+    const { width: originalWidth, height: originalHeight } = metadata.autoOrient;
+    const keptOriginal = (options.mode === 'quality' || animated) && data.length > input.length && format === metadata.format
+        && width === originalWidth && height === originalHeight;
+    if (keptOriginal) {
+        data = input;
+    }
+    const outputFileName = getOutputFileName(options.pattern, file.path, format, {
+        width,
+        height,
+        quality,
+        date: new Date(),
+        index,
+        hash: templateUsesHash(options.pattern) ? await getContentHash(new Blob([data])) : undefined,
+    });
+    const outputPath = path.join(options.outDir, file.relativeDir, outputFileName);
+    if (writtenPaths.has(path.resolve(outputPath))) {
+        throw new Error(`${outputPath} was already written for another input, use a --pattern with {index} or {hash}`);
+    }
+    writtenPaths.add(path.resolve(outputPath));
+    await mkdir(path.dirname(outputPath), { recursive: true });
+    await writeFile(outputPath, data);
+    return {
+        output: outputPath,
+        originalSize: input.length,
+        compressedSize: data.length,
+        savedPercent: 100 - (data.length / input.length) * 100,
+        format: `image/${format}`,
+        width,
+        height,
+        quality: format === 'png' || keptOriginal ? null : quality,
+        frameCount: animated ? metadata.pages : 1,
+        keptOriginal,
+    };
+};
+
+const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+};
+
+const formatPercent = (percent) => `${percent.toFixed(1)}%`;
+
+const printTable = (rows) => {
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    // Sizes and percentages are right-aligned
+    const line = (row) => row.map((cell, column) => (column === 0 || column === row.length - 1 ? cell.padEnd(widths[column]) : cell.padStart(widths[column]))).join('  ').trimEnd();
+    console.log(line(rows[0]));
+    console.log(widths.map(width => '-'.repeat(width)).join('  '));
+    rows.slice(1).forEach(row => console.log(line(row)));
+};
+
+const printSummary = (entries, totals) => {
+    const rows = [['File', 'Original', 'Compressed', 'Saved', 'Result']];
+    entries.forEach(entry => rows.push(entry.error
+        ? [entry.input, formatBytes(entry.originalSize ?? 0), '-', '-', `FAILED: ${entry.error}`]
+        : [entry.input, formatBytes(entry.originalSize), formatBytes(entry.compressedSize), formatPercent(entry.savedPercent), `${entry.output} (${entry.width}×${entry.height}${entry.keptOriginal ? ', original kept' : ''})`]));
+    rows.push(['Total', formatBytes(totals.originalSize), formatBytes(totals.compressedSize), formatPercent(totals.savedPercent), `${totals.succeeded} of ${totals.files} compressed`]);
+    printTable(rows);
+};
+
+const main = async () => {
+    let options;
+    try {
+        options = parseOptions(process.argv.slice(2));
+    } catch (err) {
+        // parseArgs throws TypeErrors with a code for unknown or malformed options
+        if (err instanceof UsageError || err.code?.startsWith('ERR_PARSE_ARGS')) {
+            console.error(`${err.message}\n\n${USAGE}`);
+            return 2;
+        }
+        throw err;
+    }
+    if (!options) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const files = await findInputFiles(options.inputs, options.outDir);
+    if (files.length === 0) {
+        console.error("No images found.");
+        return 1;
+    }
+
+    // One file at a time: sharp already uses every core for a single image
+    const entries = [];
+    const writtenPaths = new Set();
+    for (const [index, file] of files.entries()) {
+        try {
+            entries.push({ input: file.path, ...await compressFile(file, index + 1, options, writtenPaths) });
+        } catch (err) {
+            const originalSize = (await stat(file.path).catch(() => null))?.size;
+            entries.push({ input: file.path, originalSize, error: err.message });
+        }
+    }
+
+    const succeeded = entries.filter(entry => !entry.error);
+    const originalSize = succeeded.reduce((sum, entry) => sum + entry.originalSize, 0);
+    const compressedSize = succeeded.reduce((sum, entry) => sum + entry.compressedSize, 0);
+    const totals = {
+        files: entries.length,
+        succeeded: succeeded.length,
+        failed: entries.length - succeeded.length,
+        originalSize,
+        compressedSize,
+        savedPercent: originalSize > 0 ? 100 - (compressedSize / originalSize) * 100 : 0,
+    };
+    printSummary(entries, totals);
+
+    const { inputs: _inputs, reportPath, ...reportOptions } = options;
+    await mkdir(path.dirname(reportPath), { recursive: true });
+    await writeFile(reportPath, JSON.stringify({ createdAt: new Date().toISOString(), options: reportOptions, totals, files: entries }, null, 2));
+    console.log(`\nReport written to ${reportPath}`);
+    return totals.failed > 0 ? 1 : 0;
+};
+
+main().then(
+    (exitCode) => { process.exitCode = exitCode; },
+    (err) => {
+        console.error(err);
+        process.exitCode = 1;
+    }
+);
@@ -1,61 +1,60 @@
 "use client";
 
-import React, { useState, useRef, useEffect, useCallback } from "react";
-
-// Robust Dummy CompressorJS class for reliable simulation in sandbox environments.
-// In a real browser environment with the CDN loaded, the actual `window.Compressor` will be used.
-class Compressor {
-    constructor(file, options) {
-        // Basic validation: ensure a File object is provided
-        if (!(file instanceof File)) {
-            options.error(new Error("Invalid file type provided to Compressor. (Simulated error)"));
-            return;
-        }
-
-        // Simulate asynchronous compression, ensuring success or error callbacks are always called.
-        setTimeout(() => {
-            let progress = 0;
-            const progressInterval = setInterval(() => {
-                progress += 10;
-                if (options.progress && progress <= 100) {
-                    options.progress(percentage);
-                } else {
-                    clearInterval(progressInterval);
-                }
-            }, 50); // Update progress every 50ms
-
-            setTimeout(() => {
-                clearInterval(progressInterval); // Ensure interval is cleared
-
-                const originalSize = file.size;
-                const quality = options.quality !== undefined ? options.quality : 0.8;
-
-                // Simulate compression: create a dummy Blob with arbitrary content but correct type.
-                // This avoids complex Base64 decoding issues while still providing a downloadable file.
-                const simulatedCompressedSize = Math.max(1024, Math.floor(originalSize * quality * 0.5)); // Ensure it's always smaller, min 1KB
-
-                // Create an array of random bytes for the dummy content
-                const dummyContent = new Uint8Array(simulatedCompressedSize).map(() => Math.floor(Math.random() * 256));
-                const compressedBlob = new Blob([dummyContent], { type: file.type });
-
-                // Define the name of the simulated compressed file with '_ai' suffix
-                const originalFileNameParts = file.name.split('.');
-                const extension = originalFileNameParts.pop();
-                const baseName = originalFileNameParts.join('.');
-                const newFileName = `${baseName}_ai.${extension}`;
-
-                Object.defineProperty(compressedBlob, 'name', { value: newFileName, writable: false });
-                // Explicitly set simulated reduced size on the Blob object for consistent display
-                Object.defineProperty(compressedBlob, 'size', { value: simulatedCompressedSize, writable: false });
+import React, { useState, useRef, useEffect, useCallback, useMemo } from "react";
+import { compressImage, validateImage, formatBytes, ERROR_CODES, SIMULATE_COMPRESSION } from "./lib";
+import { getDroppedFiles } from "./lib/droppedFiles";
+import { getPastedFiles, canCopyImages, copyImageToClipboard } from "./lib/clipboard";
+import { takeSharedFiles } from "./lib/pwa";
+import { createHistoryZip } from "./lib/historyExport";
+import { getImageDimensions, loadImage } from "./lib/imageInfo";
+import { CROP_RATIOS, DEFAULT_CROP, getCropRatio, getCroppedDimensions, hasCrop } from "./lib/crop";
+import { findSmartCrop } from "./lib/smartCrop";
+import { formatPsnr } from "./lib/metrics";
+import { loadStats, recordCompression, clearStats, statsToCsv, getDayKey } from "./lib/stats";
+import {
+    loadHistory, saveHistoryEntry, deleteHistoryEntry, clearHistoryStore, enforceQuota,
+    getHistoryQuotaMB, setHistoryQuotaMB, getHistorySize, getSourceId, groupHistoryBySource, QUOTA_OPTIONS_MB,
+} from "./lib/historyStore";
+import { getFormatLabel, getSupportedEncoders } from "./lib/formats";
+import { isJobActive, getJobState, canRetryJob, toJobError } from "./lib/jobs";
+import { getMetadataCategoryLabel } from "./lib/metadata";
+import { getAnimationInfo, formatAnimationDuration } from "./lib/animation";
+import {
+    DEFAULT_SETTINGS, BUILT_IN_PRESETS, loadProfiles, saveProfiles, createProfile, mergeProfiles, exportProfiles, parseProfilesFile,
+    ProfileImportError, toCompressOptions,
+} from "./lib/profiles";
+import ResizeControls from "./components/ResizeControls";
+import FormatControls from "./components/FormatControls";
+import ComparisonViewer from "./components/ComparisonViewer";
+import MetadataInspector from "./components/MetadataInspector";
+import ProfileControls from "./components/ProfileControls";
+import PngControls from "./components/PngControls";
+import AnimationControls from "./components/AnimationControls";
+import FileNameControls from "./components/FileNameControls";
+import CropTool from "./components/CropTool";
+import ResponsiveSetPanel from "./components/ResponsiveSetPanel";
+import StatsDashboard from "./components/StatsDashboard";
+import WatermarkControls from "./components/WatermarkControls";
+
+// Trigger a browser download for a Blob
+const saveBlob = (blob, fileName) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url); // Clean up the object URL
+};
 
-                if (options.success) {
-                    options.success(compressedBlob);
-                }
-            }, 500); // Simulate total compression time of 0.5 seconds
-        }, 100); // Initial delay to allow UI to render 'Compressing...'
-    }
-}
+const COMPRESSION_MODES = [
+    { id: 'quality', label: 'Quality' },
+    { id: 'target', label: 'Target File Size' },
+    { id: 'ssim', label: 'Minimum SSIM' },
+];
 
+let queueIdCounter = 0;
 
 // Simple Toast Component for notifications
 const Toast = ({ message, type, onClose }) => {
@@ -66,20 +65,83 @@ const Toast = ({ message, type, onClose }) => {
     return (
         <div className={`fixed top-20 right-4 p-3 rounded-lg shadow-xl text-center ${bgColor} ${textColor} border-b-4 ${borderColor} animate-fade-in-down z-[9999]`} style={{ animationFillMode: 'forwards' }}>
             {message}
-            <button onClick={onClose} className="ml-4 text-white font-bold opacity-75 hover:opacity-100 focus:outline-none">
+            <button onClick={onClose} className="ml-4 text-white font-bold opacity-75 hover:opacity-100 focus:outline-hidden">
                 &times;
             </button>
         </div>
     );
 };
 
+// Status pill for a compression queue item (job states are described in lib/jobs.js)
+const QueueStatusBadge = ({ item }) => {
+    const styles = {
+        pending: 'bg-gray-200 text-gray-700',
+        queued: 'bg-indigo-50 text-indigo-600',
+        decoding: 'bg-indigo-100 text-indigo-700',
+        encoding: 'bg-indigo-100 text-indigo-700',
+        done: 'bg-green-100 text-green-700',
+        failed: 'bg-red-100 text-red-700',
+        cancelled: 'bg-yellow-100 text-yellow-800',
+    };
+    const progress = item.progress !== undefined ? ` ${Math.round(item.progress)}%` : '...';
+    const labels = {
+        pending: 'Pending',
+        queued: 'Queued',
+        decoding: `Decoding${progress}`,
+        encoding: `Encoding${progress}`,
+        done: `Done${item.savedPercent !== undefined ? ` (-${item.savedPercent.toFixed(1)}%)` : ''}`,
+        failed: 'Failed',
+        cancelled: 'Cancelled',
+    };
+
+    return (
+        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${styles[item.status]}`}>
+            {labels[item.status]}
+        </span>
+    );
+};
+
+// "Recompress with..." picker of a history group: the settings panel, a built-in preset or a saved profile
+const RecompressMenu = ({ entry, profiles, onRecompress, disabled }) => {
+    const handleChange = (e) => {
+        const { value } = e.target;
+        e.target.value = ''; // Back to the placeholder, so the same choice can be picked again
+        if (value === 'current') {
+            onRecompress(entry, null);
+        } else {
+            onRecompress(entry, [...BUILT_IN_PRESETS, ...profiles].find(profile => profile.id === value));
+        }
+    };
+
+    return (
+        <select
+            defaultValue=""
+            onChange={handleChange}
+            disabled={disabled}
+            className="shrink-0 px-3 py-2 border border-indigo-300 rounded-lg text-sm text-indigo-700 bg-white focus:outline-hidden focus:ring-2 focus:ring-indigo-500 disabled:opacity-50"
+            title="Compress the original again and keep both results"
+        >
+            <option value="" disabled>Recompress with…</option>
+            <option value="current">Current settings</option>
+            <optgroup label="Presets">
+                {BUILT_IN_PRESETS.map(preset => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+            </optgroup>
+            {profiles.length > 0 && (
+                <optgroup label="My profiles">
+                    {profiles.map(profile => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+                </optgroup>
+            )}
+        </select>
+    );
+};
+
 // Privacy Policy Modal Component
 const PrivacyPolicyModal = ({ isOpen, onClose }) => {
     if (!isOpen) return null;
 
     return (
         <div
-            className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center p-4 z-[10000]"
+            className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-[10000]"
             onClick={onClose} // Close on outside click
         >
             <div
@@ -88,7 +150,7 @@ const PrivacyPolicyModal = ({ isOpen, onClose }) => {
             >
                 <button
                     onClick={onClose}
-                    className="absolute top-4 right-4 text-gray-500 hover:text-gray-800 text-2xl font-bold focus:outline-none"
+                    className="absolute top-4 right-4 text-gray-500 hover:text-gray-800 text-2xl font-bold focus:outline-hidden"
                 >
                     &times;
                 </button>
@@ -100,6 +162,9 @@ const PrivacyPolicyModal = ({ isOpen, onClose }) => {
                     <p>
                         <strong>Data Collection:</strong> We do not collect any personal information from users. All image compression processes occur client-side, directly in your browser. Your images and data are never uploaded to our servers.
                     </p>
+                    <p>
+                        <strong>Usage Statistics:</strong> The "Your Stats" dashboard is computed from daily totals (number of images, byte sizes and output formats) stored in your browser's local storage. It holds no file names or images, is never sent to us, and can be exported or reset at any time.
+                    </p>
                     <p>
                         <strong>Log Data:</strong> We do not collect log data from your interactions with the site as no data is processed on our servers.
                     </p>
@@ -123,43 +188,85 @@ const PrivacyPolicyModal = ({ isOpen, onClose }) => {
 
 
 export default function ImageCompressorApp() {
-    const [selectedFile, setSelectedFile] = useState(null); // Changed from originalFile to selectedFile for consistency
+    // [{ id, file, sourceId, status (see lib/jobs.js), error: { code, message }, progress, savedPercent, crop, index, profile }]
+    // `profile` overrides the current settings for variants recompressed from history
+    const [queue, setQueue] = useState([]);
+    const [selectedId, setSelectedId] = useState(null); // Queue item shown in the preview panel
     const [previewUrl, setPreviewUrl] = useState('');
-    const [compressionLevel, setCompressionLevel] = useState(70);
-    const [isCompressing, setIsCompressing] = useState(false); // Renamed from isProcessing
-    const [isRealCompressorLoaded, setIsRealCompressorLoaded] = useState(false);
+    const [compressionLevel, setCompressionLevel] = useState(DEFAULT_SETTINGS.compressionLevel);
+    const [compressionMode, setCompressionMode] = useState(DEFAULT_SETTINGS.compressionMode); // 'quality' | 'target' | 'ssim'
+    const [targetSizeKB, setTargetSizeKB] = useState(DEFAULT_SETTINGS.targetSizeKB);
+    const [minSsim, setMinSsim] = useState(DEFAULT_SETTINGS.minSsim);
+    const [resize, setResize] = useState(DEFAULT_SETTINGS.resize);
+    const [selectedDimensions, setSelectedDimensions] = useState(null); // { width, height } of the selected image
+    const [isCropping, setIsCropping] = useState(false); // Crop tool open for the selected image
+    const [outputFormat, setOutputFormat] = useState(DEFAULT_SETTINGS.outputFormat); // 'original' or an output MIME type
+    const [backgroundColor, setBackgroundColor] = useState(DEFAULT_SETTINGS.backgroundColor); // Used when transparency is flattened to JPEG
+    const [supportedEncoders] = useState(getSupportedEncoders);
+    const [canCopy] = useState(canCopyImages); // Images can be written to the clipboard
+    const [isTouchDevice] = useState(() => window.matchMedia?.('(pointer: coarse)').matches ?? false); // Offer camera capture on phones and tablets
+    const [metadataPolicy, setMetadataPolicy] = useState(DEFAULT_SETTINGS.metadata); // Metadata category -> keep
+    const [pngOptions, setPngOptions] = useState(DEFAULT_SETTINGS.png); // { colors: 0 (lossless) | 2-256, dithering }
+    const [animationOptions, setAnimationOptions] = useState(DEFAULT_SETTINGS.animation); // { keepFrames, frameStep, colors, dithering }
+    const [fileNameTemplate, setFileNameTemplate] = useState(DEFAULT_SETTINGS.fileNameTemplate); // See lib/fileNameTemplate.js
+    const [watermark, setWatermark] = useState(DEFAULT_SETTINGS.watermark); // See lib/watermark.js
+    const [selectedAnimation, setSelectedAnimation] = useState(null); // { frameCount, duration, ... } when the selected image is animated
+    const [profiles, setProfiles] = useState(loadProfiles); // User-defined named settings
     const [toast, setToast] = useState(null); // { message: '...', type: 'success' | 'error' | 'info' }
     const [compressedHistory, setCompressedHistory] = useState([]);
+    const [historyQuota, setHistoryQuota] = useState(getHistoryQuotaMB); // Storage limit in MB
+    const [isZipping, setIsZipping] = useState(false);
     const [showPrivacyPolicy, setShowPrivacyPolicy] = useState(false);
+    const [comparedItem, setComparedItem] = useState(null); // History entry open in the comparison viewer
+    const [usageStats, setUsageStats] = useState(loadStats); // Local totals, see lib/stats.js
+    const [showStats, setShowStats] = useState(false);
 
     // New state for ad blocker detection
     const [showAdBlockMessage, setShowAdBlockMessage] = useState(false);
 
+    const selectedItem = queue.find(item => item.id === selectedId) || null;
+    const selectedFile = selectedItem?.file || null;
+    // What resizing starts from: the selected image's size after cropping
+    const croppedDimensions = selectedDimensions && getCroppedDimensions(selectedDimensions, selectedItem?.crop);
+    const pendingCount = queue.filter(item => item.status === 'pending').length;
+    const isCompressing = queue.some(isJobActive);
+    // The settings panel as profile settings (see lib/profiles.js)
+    const currentSettings = useMemo(() => ({
+        compressionMode, compressionLevel, targetSizeKB, minSsim, resize, outputFormat, backgroundColor, metadata: metadataPolicy, png: pngOptions,
+        animation: animationOptions, fileNameTemplate, watermark,
+    }), [compressionMode, compressionLevel, targetSizeKB, minSsim, resize, outputFormat, backgroundColor, metadataPolicy, pngOptions, animationOptions, fileNameTemplate, watermark]);
+    // PNGs go through the dedicated PNG pipeline, where the quality slider doesn't apply
+    const pendingTypes = queue.filter(item => item.status === 'pending').map(item => item.file.type);
+    const usesPngPipeline = outputFormat === 'image/png' || (outputFormat === 'original' && (pendingTypes.includes('image/png') || selectedFile?.type === 'image/png'));
+    const onlyPngPipeline = outputFormat === 'image/png' || (outputFormat === 'original' && pendingTypes.length > 0 && pendingTypes.every(type => type === 'image/png'));
+    // GIFs (animated or not) may be animated, and GIF output uses the animation's palette options
+    const showsAnimationOptions = outputFormat === 'image/gif' || Boolean(selectedAnimation) || pendingTypes.includes('image/gif');
+    const outputsGif = outputFormat === 'image/gif' || (outputFormat === 'original' && (pendingTypes.includes('image/gif') || selectedFile?.type === 'image/gif'));
+
     const fileInputRef = useRef(null);
+    const folderInputRef = useRef(null);
+    const cameraInputRef = useRef(null);
     const howItWorksRef = useRef(null);
     const mainCompressorRef = useRef(null); // Ref for the main compressor section to scroll to
+    const jobsRef = useRef(new Map()); // Queue item id -> AbortController of its running compression
 
     // Function to show toast messages
-    const showToast = (message, type = 'info') => {
+    const showToast = useCallback((message, type = 'info') => {
         setToast({ message, type });
         setTimeout(() => setToast(null), 3000); // Hide toast after 3 seconds
-    };
+    }, []);
 
-    // Effect to check if CompressorJS is loaded from CDN, or use the dummy if not
+    // Restore the history saved in IndexedDB
     useEffect(() => {
-        const checkCompressor = setInterval(() => {
-            if (typeof window.Compressor !== 'undefined') {
-                setIsRealCompressorLoaded(true);
-                clearInterval(checkCompressor);
-                console.log("Actual CompressorJS from CDN detected.");
-            } else {
-                setIsRealCompressorLoaded(false);
-                clearInterval(checkCompressor);
-                console.log("Using internal DummyCompressor class for simulation.");
-            }
-        }, 200);
-
-        return () => clearInterval(checkCompressor);
+        loadHistory()
+            .then(storedHistory => {
+                setCompressedHistory(prevHistory => {
+                    // Entries added while loading come first, they are the newest
+                    const currentIds = new Set(prevHistory.map(entry => entry.id));
+                    return [...prevHistory, ...storedHistory.filter(entry => !currentIds.has(entry.id))];
+                });
+            })
+            .catch(err => console.error("Could not load saved history:", err));
     }, []);
 
     // Ad Blocker Detection Logic
@@ -199,48 +306,82 @@ export default function ImageCompressorApp() {
         };
 
         detectAdBlock();
-    }, []); // Run once on component mount
+    }, [showToast]); // Run once on component mount (showToast is stable)
 
     // Scroll to How It Works section
     const scrollToHowItWorks = () => {
         howItWorksRef.current?.scrollIntoView({ behavior: 'smooth' });
     };
 
-    // Handle file change (upload)
-    const handleFileChange = (e) => {
-        showToast("Processing file...", "info");
-        setSelectedFile(null); // Use selectedFile consistently
-        setCompressedHistory([]); // Clear history on new file upload for simplicity
-        if (previewUrl) URL.revokeObjectURL(previewUrl);
-        setPreviewUrl('');
-        setCompressionLevel(70); // Reset compression level
-        setToast(null); // Clear any existing toasts
+    // Add an entry to the top of the history and save it, evicting the oldest saved entries if over quota
+    const addToHistory = useCallback((entry) => {
+        setCompressedHistory(prevHistory => [entry, ...prevHistory]);
+        saveHistoryEntry(entry)
+            .then(({ stored, evictedIds }) => {
+                if (evictedIds.length > 0) {
+                    setCompressedHistory(prevHistory => prevHistory.filter(existing => !evictedIds.includes(existing.id)));
+                }
+                if (!stored) {
+                    showToast(`${entry.originalFileName} is larger than the history storage limit and won't be kept after a reload.`, "info");
+                }
+            })
+            .catch(err => {
+                console.error("Could not save history entry:", err);
+                showToast("Could not save to browser storage. This result will be lost on page refresh.", "error");
+            });
+    }, [showToast]);
 
-        const file = e.target.files[0];
+    // Update a single queue item in place
+    const updateQueueItem = (id, changes) => {
+        setQueue(prevQueue => prevQueue.map(item => (item.id === id ? { ...item, ...changes } : item)));
+    };
 
-        if (!file) {
+    // Validate files and add them to the compression queue.
+    // Rejected files stay in the queue with an error status so the user can see why they were skipped.
+    const addFiles = useCallback((files) => {
+        setToast(null); // Clear any existing toasts
+
+        if (!files.length) {
             showToast("No file selected.", "error");
             return;
         }
 
-        const validTypes = ["image/jpeg", "image/png", "image/gif", "image/webp", "image/jpg"];
-        if (!validTypes.includes(file.type)) {
-            showToast("Unsupported file type. Please upload JPG, JPEG, PNG, GIF, or WEBP images.", "error");
-            // Important: Clear the input value to allow selecting the same file again immediately
-            e.target.value = '';
+        const newItems = files.map(file => {
+            const error = validateImage(file);
+            return {
+                id: ++queueIdCounter,
+                sourceId: `source-${Date.now()}-${queueIdCounter}`,
+                file,
+                status: error ? 'failed' : 'pending',
+                error: error && toJobError(error),
+            };
+        });
+        const acceptedItems = newItems.filter(item => item.status === 'pending');
+
+        setQueue(prevQueue => [...prevQueue, ...newItems]);
+
+        if (acceptedItems.length === 0) {
+            showToast(newItems.length === 1 ? newItems[0].error.message : "None of the selected files could be added. Please upload JPG, JPEG, PNG, GIF, or WEBP images under 20MB.", "error");
             return;
         }
 
-        if (file.size > 20 * 1024 * 1024) { // 20 MB limit
-            showToast("File size should be less than 20MB.", "error");
-            // Important: Clear the input value to allow selecting the same file again immediately
-            e.target.value = '';
-            return;
+        if (!selectedId) {
+            setSelectedId(acceptedItems[0].id);
+        }
+
+        const rejectedCount = newItems.length - acceptedItems.length;
+        if (newItems.length === 1) {
+            showToast("Image uploaded successfully!", "success");
+        } else if (rejectedCount > 0) {
+            showToast(`${acceptedItems.length} images added to the queue, ${rejectedCount} skipped.`, "info");
+        } else {
+            showToast(`${acceptedItems.length} images added to the queue!`, "success");
         }
+    }, [selectedId, showToast]);
 
-        setSelectedFile(file);
-        setPreviewUrl(URL.createObjectURL(file));
-        showToast("Image uploaded successfully!", "success");
+    // Handle file change (upload of one or more files, a whole folder or a camera photo)
+    const handleFileChange = (e) => {
+        addFiles(Array.from(e.target.files || []));
 
         // Important: Clear the input value to allow selecting the same file again immediately
         e.target.value = '';
@@ -253,79 +394,274 @@ export default function ImageCompressorApp() {
         e.dataTransfer.dropEffect = 'copy';
     };
 
-    // Handle file drop
-    const handleDrop = (e) => {
+    // Handle file drop, including dropped folders
+    const handleDrop = async (e) => {
         e.preventDefault();
         e.stopPropagation();
-        if (e.dataTransfer.files && e.dataTransfer.files[0]) {
-            handleFileChange({ target: { files: [e.dataTransfer.files[0]], value: '' } }); // Simulate event with value reset
+        try {
+            const files = await getDroppedFiles(e.dataTransfer);
+            addFiles(files);
+        } catch (err) {
+            console.error("Error reading dropped files:", err);
+            showToast("Could not read the dropped files. Please try again.", "error");
         }
     };
 
-    // Initiate compression
-    const handleCompress = useCallback(() => { // Renamed from compressImage to handleCompress for consistency
-        if (!selectedFile) {
+    // Paste images (e.g. screenshots) anywhere on the page with Ctrl/Cmd+V
+    useEffect(() => {
+        const handlePaste = (e) => {
+            const files = getPastedFiles(e.clipboardData);
+            if (files.length === 0) return; // Text pasted into a form field is left alone
+            e.preventDefault();
+            addFiles(files);
+        };
+        document.addEventListener('paste', handlePaste);
+        return () => document.removeEventListener('paste', handlePaste);
+    }, [addFiles]);
+
+    // Images shared to the installed app arrive through the service worker.
+    // Re-running is harmless: the shared files are only returned on the first call after a share.
+    useEffect(() => {
+        takeSharedFiles()
+            .then(files => { if (files.length > 0) addFiles(files); })
+            .catch(err => {
+                console.error("Error reading shared files:", err);
+                showToast("Could not read the shared images. Please try again.", "error");
+            });
+    }, [addFiles, showToast]);
+
+    // Remove an item from the queue
+    const removeQueueItem = (id) => {
+        setQueue(prevQueue => prevQueue.filter(item => item.id !== id));
+        if (id === selectedId) {
+            setSelectedId(null);
+        }
+    };
+
+    // Smart crop every pending image to the same ratio, e.g. a batch of avatars
+    const handleSmartCropAll = async (ratioId) => {
+        const ratio = getCropRatio(ratioId);
+        const pendingItems = queue.filter(item => item.status === 'pending');
+        let cropped = 0;
+        for (const item of pendingItems) {
+            try {
+                const image = await loadImage(item.file);
+                try {
+                    const crop = { ...DEFAULT_CROP, ...item.crop, ratioId };
+                    updateQueueItem(item.id, { crop: { ...crop, rect: findSmartCrop(image, crop, ratio) } });
+                    cropped++;
+                } finally {
+                    image.release();
+                }
+            } catch (err) {
+                console.error(`Could not smart crop ${item.file.name}:`, err);
+            }
+        }
+        const label = CROP_RATIOS.find(option => option.id === ratioId).label;
+        showToast(`Smart cropped ${cropped} of ${pendingItems.length} images to ${label}.`, cropped === pendingItems.length ? "success" : "error");
+    };
+
+    const clearQueue = () => {
+        setQueue([]);
+        setSelectedId(null);
+    };
+
+    // Run one queue item through the compressor with the current settings. The item tracks the job's
+    // state, progress and error; resolves with the final state and sizes for the batch summary.
+    // `index` is the item's position in its batch, for the {index} file name token.
+    const runJob = useCallback(async (item, index) => {
+        const controller = new AbortController();
+        jobsRef.current.set(item.id, controller);
+        updateQueueItem(item.id, { status: 'queued', progress: 0, error: null, index });
+        try {
+            const { blob: result, fileName: fileNameToUse, stats } = await compressImage(item.file, {
+                ...toCompressOptions(item.profile?.settings || currentSettings),
+                crop: item.crop,
+                index,
+                onProgress: ({ stage, percent }) => {
+                    // Progress still in flight after a cancel mustn't revive the job
+                    if (!controller.signal.aborted) {
+                        updateQueueItem(item.id, { status: getJobState(stage), progress: percent });
+                    }
+                },
+                signal: controller.signal,
+            });
+            const fileToDownload = new Blob([result], { type: result.type });
+            Object.defineProperty(fileToDownload, 'name', { value: fileNameToUse, writable: false });
+
+            // Add to history stack
+            addToHistory({
+                id: `${Date.now()}-${item.id}`, // Unique ID for key prop
+                sourceId: item.sourceId, // Shared by all variants of the same original
+                createdAt: Date.now(),
+                originalFileName: item.file.name,
+                originalSize: item.file.size,
+                originalBlob: item.file, // Kept for the before/after comparison
+                compressedFileName: fileNameToUse,
+                compressedSize: result.size,
+                compressedBlob: fileToDownload, // Store the Blob for download
+                originalDimensions: stats.originalDimensions,
+                sourceFormat: stats.sourceFormat,
+                targetFormat: stats.outputFormat,
+                dimensions: stats.dimensions,
+                metrics: stats.metrics, // { psnr, ssim } against the original
+                searchInfo: stats.searchInfo, // Quality picked by the target-size or minimum-SSIM mode, if used
+                retainedMetadata: stats.retainedMetadata, // Metadata categories present in the output
+                animation: stats.animation, // { frameCount, duration } of animated output
+                crop: item.crop, // Kept for recompressing the same region
+                profileName: item.profile?.name, // Settings a variant was recompressed with, if not the panel's
+            });
+
+            setUsageStats(recordCompression({ originalSize: item.file.size, compressedSize: result.size, outputFormat: stats.outputFormat }));
+            updateQueueItem(item.id, { status: 'done', progress: 100, savedPercent: stats.savedPercent });
+            return { status: 'done', originalSize: item.file.size, compressedSize: result.size };
+        } catch (err) {
+            const status = err.code === ERROR_CODES.CANCELLED ? 'cancelled' : 'failed';
+            updateQueueItem(item.id, { status, progress: undefined, error: status === 'failed' ? toJobError(err) : null });
+            return { status };
+        } finally {
+            jobsRef.current.delete(item.id);
+        }
+    }, [currentSettings, addToHistory]);
+
+    // Compress every pending item in the queue with the shared settings.
+    // Items run in parallel on the worker pool; the pool size bounds how many are decoded at once.
+    const handleCompress = useCallback(async () => { // Renamed from compressImage to handleCompress for consistency
+        const pendingItems = queue.filter(item => item.status === 'pending');
+        if (pendingItems.length === 0) {
             showToast("Please upload an image to compress.", "error");
             return;
         }
 
-        showToast("Compressing image...", "info");
-        const CompressorToUse = isRealCompressorLoaded ? window.Compressor : Compressor; // Using global Compressor or local dummy
-
-        setIsCompressing(true);
-        // setCompressedFile(null); // No longer needed as we store in history
-        setToast(null); // Clear previous toasts
-        // Removed compressionProgress here, now handled by the Compressor's progress callback
-
-        new CompressorToUse(selectedFile, {
-            quality: compressionLevel / 100,
-
-            // Progress callback for UI feedback
-            progress(percentage) {
-                // If you want a progress bar, you'd update a state here
-                // For now, we just log it or use it for the dummy compressor above
-                // setCompressionProgress(Math.round(percentage));
-            },
-            success(result) {
-                const fileNameToUse = result.name || (() => {
-                    const originalFileNameParts = selectedFile.name.split('.');
-                    const extension = originalFileNameParts.pop();
-                    const baseName = originalFileNameParts.join('.');
-                    return `${baseName}_ai.${extension}`;
-                })();
-
-                const fileToDownload = new Blob([result], { type: result.type });
-                Object.defineProperty(fileToDownload, 'name', { value: fileNameToUse, writable: false });
-
-                // Add to history stack
-                setCompressedHistory(prevHistory => [
-                    {
-                        id: Date.now(), // Unique ID for key prop
-                        originalFileName: selectedFile.name,
-                        originalSize: selectedFile.size,
-                        compressedFileName: fileNameToUse,
-                        compressedSize: result.size,
-                        compressedBlob: fileToDownload, // Store the Blob for download
-                    },
-                    ...prevHistory // Add new item to the top
-                ]);
-
-                setIsCompressing(false);
-                showToast(`Image compressed successfully! Saved ${(100 - (result.size / selectedFile.size) * 100).toFixed(1)}%`, "success");
-
-                // Clear current selection after successful compression to ready for next upload
-                setSelectedFile(null);
-                if (previewUrl) URL.revokeObjectURL(previewUrl);
-                setPreviewUrl('');
-                setCompressionLevel(70); // Reset for next use
-            },
-            error(err) {
-                showToast(`Compression failed: ${err.message}. Please try again.`, "error");
-                setIsCompressing(false);
-            },
-        });
-    }, [selectedFile, compressionLevel, isRealCompressorLoaded, previewUrl, showToast]);
+        showToast(pendingItems.length === 1 ? "Compressing image..." : `Compressing ${pendingItems.length} images...`, "info");
+        const results = await Promise.all(pendingItems.map((item, index) => runJob(item, index + 1)));
+
+        const succeeded = results.filter(result => result.status === 'done');
+        const cancelled = results.filter(result => result.status === 'cancelled').length;
+        const attempted = pendingItems.length - cancelled;
+        const totalOriginalSize = succeeded.reduce((total, result) => total + result.originalSize, 0);
+        const totalCompressedSize = succeeded.reduce((total, result) => total + result.compressedSize, 0);
+        const savedPercent = (100 - (totalCompressedSize / totalOriginalSize) * 100).toFixed(1);
+        // Failures are shown on their queue items, with the reason
+        if (cancelled > 0) {
+            showToast(`Compression cancelled. ${succeeded.length} of ${pendingItems.length} images were compressed.`, "info");
+        } else if (succeeded.length === 0) {
+            showToast(attempted === 1 ? "Compression failed. See the queue for the reason." : "Compression failed for all images. See the queue for the reasons.", "error");
+        } else if (succeeded.length < attempted) {
+            showToast(`Compressed ${succeeded.length} of ${attempted} images. Check the queue for failed files.`, "error");
+        } else if (pendingItems.length === 1) {
+            showToast(`Image compressed successfully! Saved ${savedPercent}%`, "success");
+        } else {
+            showToast(`${succeeded.length} images compressed successfully! Saved ${savedPercent}% in total`, "success");
+        }
+    }, [queue, runJob, showToast]);
+
+    // Run a failed or cancelled item again, with the current settings
+    const retryJob = async (item) => {
+        const result = await runJob(item, item.index ?? 1);
+        if (result.status === 'done') {
+            showToast(`${item.file.name} compressed successfully!`, "success");
+        }
+    };
+
+    const cancelJob = (id) => {
+        jobsRef.current.get(id)?.abort();
+    };
 
+    // Compress the original of a history entry again, as a variant in the same group. `profile` is a
+    // preset or saved profile, or null for the settings panel. The job shows in the queue while it runs.
+    const handleRecompress = async (entry, profile) => {
+        const item = {
+            id: ++queueIdCounter,
+            sourceId: getSourceId(entry),
+            file: new File([entry.originalBlob], entry.originalFileName, { type: entry.sourceFormat }),
+            status: 'pending',
+            error: null,
+            crop: entry.crop,
+            profile,
+        };
+        setQueue(prevQueue => [...prevQueue, item]);
+        const result = await runJob(item, 1);
+        if (result.status === 'done') {
+            showToast(`Added a variant of ${entry.originalFileName}${profile ? ` (${profile.name})` : ''}.`, "success");
+        } else if (result.status === 'failed') {
+            showToast(`Could not recompress ${entry.originalFileName}. See the queue for the reason.`, "error");
+        }
+    };
+
+    // Apply a preset or saved profile to the current settings
+    const applyProfile = (profile) => {
+        const { settings } = profile;
+        setCompressionMode(settings.compressionMode);
+        setCompressionLevel(settings.compressionLevel);
+        setTargetSizeKB(settings.targetSizeKB);
+        setMinSsim(settings.minSsim);
+        setResize(settings.resize);
+        setOutputFormat(supportedEncoders.includes(settings.outputFormat) || settings.outputFormat === 'original' ? settings.outputFormat : 'original');
+        setBackgroundColor(settings.backgroundColor);
+        setMetadataPolicy(settings.metadata);
+        setPngOptions(settings.png);
+        setAnimationOptions(settings.animation);
+        setFileNameTemplate(settings.fileNameTemplate);
+        setWatermark(settings.watermark);
+        if (settings.outputFormat !== 'original' && !supportedEncoders.includes(settings.outputFormat)) {
+            showToast(`Applied "${profile.name}", but this browser can't encode ${getFormatLabel(settings.outputFormat)}. Keeping the original format.`, "info");
+        } else {
+            showToast(`Applied "${profile.name}".`, "success");
+        }
+    };
+
+    // Returns false (after telling the user) when the profiles could not be persisted; they stay
+    // usable until the page is closed
+    const updateProfiles = (nextProfiles) => {
+        setProfiles(nextProfiles);
+        try {
+            saveProfiles(nextProfiles);
+            return true;
+        } catch (err) {
+            console.error("Error saving profiles:", err);
+            showToast("Could not save profiles: browser storage is full. Watermark logos take the most space. Export your profiles to keep them.", "error");
+            return false;
+        }
+    };
+
+    // Save the current settings as a named profile (replacing a profile with the same name)
+    const handleSaveProfile = (name) => {
+        const profile = createProfile(name, currentSettings);
+        if (updateProfiles(mergeProfiles(profiles, [profile]))) {
+            showToast(`Profile "${profile.name}" saved.`, "success");
+        }
+        return profile;
+    };
+
+    const handleDeleteProfile = (profile) => {
+        if (updateProfiles(profiles.filter(existing => existing.id !== profile.id))) {
+            showToast(`Profile "${profile.name}" deleted.`, "info");
+        }
+    };
+
+    const handleImportProfiles = async (file) => {
+        try {
+            const imported = parseProfilesFile(await file.text());
+            if (!updateProfiles(mergeProfiles(profiles, imported))) {
+                return;
+            }
+            showToast(imported.length === 1 ? `Imported profile "${imported[0].name}".` : `Imported ${imported.length} profiles.`, "success");
+        } catch (err) {
+            console.error("Error importing profiles:", err);
+            showToast(err instanceof ProfileImportError ? err.message : `Could not import profiles: ${err.message}`, "error");
+        }
+    };
+
+    const handleExportProfiles = () => {
+        saveBlob(new Blob([exportProfiles(profiles)], { type: 'application/json' }), 'image-compressor-profiles.json');
+        showToast(`Exported ${profiles.length} profiles.`, "success");
+    };
+
+    // Cancel every running and waiting compression job
+    const cancelCompression = () => {
+        jobsRef.current.forEach(controller => controller.abort());
+    };
 
     // Handle download from history or current compressed file
     const handleDownload = (fileBlob, fileName) => {
@@ -333,17 +669,40 @@ export default function ImageCompressorApp() {
             showToast("Error: No file data to download.", "error");
             return;
         }
-        const url = URL.createObjectURL(fileBlob);
-        const link = document.createElement("a");
-        link.href = url;
-        link.download = fileName;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url); // Clean up the object URL
+        saveBlob(fileBlob, fileName);
         showToast("Image downloaded!", "success");
     };
 
+    // Package every compressed image of the history (plus a manifest) into one ZIP download
+    const handleDownloadAll = async () => {
+        if (compressedHistory.length === 0) {
+            showToast("No compressed images to download.", "error");
+            return;
+        }
+        setIsZipping(true);
+        try {
+            const zipBlob = await createHistoryZip(compressedHistory);
+            saveBlob(zipBlob, `compressed-images-${new Date().toISOString().slice(0, 10)}.zip`);
+            showToast(`Downloaded ${compressedHistory.length} images as ZIP!`, "success");
+        } catch (err) {
+            console.error("Error creating ZIP:", err);
+            showToast(`Failed to create ZIP: ${err.message}`, "error");
+        } finally {
+            setIsZipping(false);
+        }
+    };
+
+    // Copy a compressed image to the clipboard
+    const handleCopy = async (fileBlob) => {
+        try {
+            const convertedToPng = await copyImageToClipboard(fileBlob);
+            showToast(convertedToPng ? "Image copied to clipboard as PNG (the only format the clipboard accepts)." : "Image copied to clipboard!", "success");
+        } catch (err) {
+            console.error("Error copying image:", err);
+            showToast(`Failed to copy image: ${err.message}`, "error");
+        }
+    };
+
     // Handle sharing of compressed image
     const handleShare = useCallback(async (fileBlob, fileName) => {
         if (!fileBlob) {
@@ -379,28 +738,85 @@ export default function ImageCompressorApp() {
         }
     }, [showToast]);
 
-    // Utility to format file size
-    const formatBytes = (bytes, decimals = 2) => {
-        if (bytes === 0) return '0 Bytes';
-        const k = 1024;
-        const dm = decimals < 0 ? 0 : decimals;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
-    };
-
-    // Clean up object URL when component unmounts or previewUrl changes
+    // Create the preview for the selected queue item, and clean up the object URL when the selection changes or the component unmounts
     useEffect(() => {
-        return () => {
-            if (previewUrl) {
-                URL.revokeObjectURL(previewUrl);
-            }
-        };
-    }, [previewUrl]);
+        if (!selectedFile) {
+            setPreviewUrl('');
+            return;
+        }
+        const url = URL.createObjectURL(selectedFile);
+        setPreviewUrl(url);
+        return () => URL.revokeObjectURL(url);
+    }, [selectedFile]);
 
-    const clearHistory = () => {
+    // Read the selected image's dimensions for display and the aspect-ratio lock
+    useEffect(() => {
+        setSelectedDimensions(null);
+        if (!selectedFile) return;
+        let cancelled = false;
+        getImageDimensions(selectedFile)
+            .then(dimensions => { if (!cancelled) setSelectedDimensions(dimensions); })
+            .catch(() => { if (!cancelled) setSelectedDimensions(null); });
+        return () => { cancelled = true; };
+    }, [selectedFile]);
+
+    // Frame count and duration of the selected image, if it is animated
+    useEffect(() => {
+        setSelectedAnimation(null);
+        if (!selectedFile) return;
+        let cancelled = false;
+        getAnimationInfo(selectedFile)
+            .then(info => { if (!cancelled) setSelectedAnimation(info); })
+            .catch(() => { if (!cancelled) setSelectedAnimation(null); });
+        return () => { cancelled = true; };
+    }, [selectedFile]);
+
+    const clearHistory = async () => {
         setCompressedHistory([]);
-        showToast("Compression history cleared!", "info");
+        try {
+            await clearHistoryStore();
+            showToast("Compression history cleared!", "info");
+        } catch (err) {
+            console.error("Error clearing history storage:", err);
+            showToast("History cleared, but the saved copy could not be deleted.", "error");
+        }
+    };
+
+    const handleExportStats = () => {
+        saveBlob(new Blob([statsToCsv(usageStats)], { type: 'text/csv' }), `compression-stats-${getDayKey(new Date())}.csv`);
+        showToast("Stats exported as CSV!", "success");
+    };
+
+    // Stats are kept apart from the history, clearing one leaves the other
+    const handleClearStats = () => {
+        if (window.confirm("Reset all compression stats? This can't be undone.")) {
+            setUsageStats(clearStats());
+            showToast("Compression stats reset.", "info");
+        }
+    };
+
+    // Delete a single history entry, from the list and from storage
+    const deleteHistoryItem = async (id) => {
+        setCompressedHistory(prevHistory => prevHistory.filter(entry => entry.id !== id));
+        try {
+            await deleteHistoryEntry(id);
+        } catch (err) {
+            console.error("Error deleting history entry:", err);
+        }
+    };
+
+    const handleQuotaChange = async (quotaMB) => {
+        setHistoryQuotaMB(quotaMB);
+        setHistoryQuota(quotaMB);
+        try {
+            const evictedIds = await enforceQuota();
+            if (evictedIds.length > 0) {
+                setCompressedHistory(prevHistory => prevHistory.filter(entry => !evictedIds.includes(entry.id)));
+                showToast(`Removed ${evictedIds.length} oldest images to fit the new storage limit.`, "info");
+            }
+        } catch (err) {
+            console.error("Error applying history quota:", err);
+        }
     };
 
     // Define the vibrant color for the SVG logo
@@ -430,11 +846,14 @@ export default function ImageCompressorApp() {
                         <button onClick={scrollToHowItWorks} className="text-gray-600 hover:text-indigo-700 transition-colors rounded-md px-3 py-2">
                             How it Works
                         </button>
+                        <button onClick={() => setShowStats(true)} className="text-gray-600 hover:text-indigo-700 transition-colors rounded-md px-3 py-2">
+                            Your Stats
+                        </button>
                     </div>
                 </nav>
             </header>
 
-            <main className="flex-grow">
+            <main className="grow">
                 {/* Ad Blocker Message */}
                 {showAdBlockMessage && (
                     <div className="container mx-auto px-4 mt-4 py-3 bg-red-100 border border-red-400 text-red-700 rounded-lg text-center animate-fade-in-down">
@@ -445,7 +864,7 @@ export default function ImageCompressorApp() {
 
                 {/* Ad Placeholder 1 */}
                 <div className="container mx-auto px-4 py-8 text-center">
-                    <div className="bg-gray-200 h-24 md:h-32 flex items-center justify-center text-gray-600 text-sm rounded-lg shadow-sm px-4">
+                    <div className="bg-gray-200 h-24 md:h-32 flex items-center justify-center text-gray-600 text-sm rounded-lg shadow-xs px-4">
                         {/*
             AdSense code should ideally be placed directly in a div,
             not wrapped inside a <p> tag, as ad units are block-level elements.
@@ -503,10 +922,26 @@ export default function ImageCompressorApp() {
                                 <input
                                     type="file"
                                     accept="image/jpeg,image/png,image/gif,image/webp,image/jpg"
+                                    multiple
                                     onChange={handleFileChange}
                                     ref={fileInputRef}
                                     className="hidden"
                                 />
+                                <input
+                                    type="file"
+                                    webkitdirectory=""
+                                    onChange={handleFileChange}
+                                    ref={folderInputRef}
+                                    className="hidden"
+                                />
+                                <input
+                                    type="file"
+                                    accept="image/*"
+                                    capture="environment"
+                                    onChange={handleFileChange}
+                                    ref={cameraInputRef}
+                                    className="hidden"
+                                />
                                 <div className="flex flex-col items-center text-gray-500">
                                     {/* Replaced generic file upload SVG with the custom logo SVG */}
                                     <svg width="32" height="32" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg" className="h-14 w-14 md:h-16 md:w-16">
@@ -517,31 +952,165 @@ export default function ImageCompressorApp() {
                                         <path d="M19 19L17 17M17 19L19 17" stroke="#FFFFFF" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
                                         <path d="M5 19L7 17M7 19L5 17" stroke="#FFFFFF" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round" />
                                     </svg>
-                                    <p className="text-xl md:text-2xl font-semibold mb-1">Drag & Drop your image here</p> {/* Adjusted text sizes */}
-                                    <p className="text-sm md:text-base">or <span className="text-indigo-600 font-medium">click to upload</span></p> {/* Adjusted text sizes */}
+                                    <p className="text-xl md:text-2xl font-semibold mb-1">Drag & Drop your images or a folder here</p> {/* Adjusted text sizes */}
+                                    <p className="text-sm md:text-base">
+                                        or <span className="text-indigo-600 font-medium">click to upload</span>
+                                        {' '}or{' '}
+                                        <button
+                                            type="button"
+                                            onClick={(e) => { e.stopPropagation(); folderInputRef.current.click(); }}
+                                            className="text-indigo-600 font-medium hover:underline"
+                                        >
+                                            select a folder
+                                        </button>
+                                        {isTouchDevice && (
+                                            <>
+                                                {' '}or{' '}
+                                                <button
+                                                    type="button"
+                                                    onClick={(e) => { e.stopPropagation(); cameraInputRef.current.click(); }}
+                                                    className="text-indigo-600 font-medium hover:underline"
+                                                >
+                                                    take a photo
+                                                </button>
+                                            </>
+                                        )}
+                                    </p> {/* Adjusted text sizes */}
+                                    {!isTouchDevice && <p className="text-xs md:text-sm mt-2">You can also paste a screenshot with Ctrl+V / ⌘V.</p>}
                                     <p className="text-xs md:text-sm mt-2">(JPG, JPEG, PNG, GIF, WEBP files are supported, max 20MB)</p> {/* Adjusted text sizes */}
                                 </div>
                             </div>
 
-                            {!isRealCompressorLoaded && (
-                                <div className="mt-4 p-3 bg-yellow-100 border border-yellow-300 text-yellow-800 rounded-md shadow-sm w-full text-center text-sm md:text-base"> {/* Adjusted text size */}
-                                    <strong>Note:</strong> Actual image compression library (Compressor.js CDN) not detected. Compression results will be **simulated** for demonstration.
+                            {SIMULATE_COMPRESSION && (
+                                <div className="mt-4 p-3 bg-yellow-100 border border-yellow-300 text-yellow-800 rounded-md shadow-xs w-full text-center text-sm md:text-base"> {/* Adjusted text size */}
+                                    <strong>Demo mode:</strong> compression is <strong>simulated</strong> (VITE_SIMULATE_COMPRESSION is enabled). Downloaded files are placeholders, not real images.
                                 </div>
                             )}
 
-                            {selectedFile && (
+                            {queue.length > 0 && (
                                 <div className="mt-6 w-full"> {/* Adjusted margin-top */}
-                                    <h3 className="text-lg md:text-xl font-semibold text-gray-700 mb-3">Selected Image:</h3> {/* Adjusted text size */}
-                                    <div className="flex flex-col md:flex-row items-center justify-center bg-gray-50 p-4 rounded-lg border border-gray-200">
-                                        {previewUrl && (
-                                            <img src={previewUrl} alt="Original Preview" className="max-w-[120px] max-h-[120px] md:max-w-[150px] md:max-h-[150px] rounded-md shadow-md object-contain mb-4 md:mb-0 md:mr-6 animate-fade-in-scale" />
+                                    <div className="flex justify-between items-center mb-3">
+                                        <h3 className="text-lg md:text-xl font-semibold text-gray-700">Queue ({queue.length}):</h3>
+                                        <button
+                                            onClick={clearQueue}
+                                            disabled={isCompressing}
+                                            className="text-sm text-gray-500 hover:text-red-600 disabled:opacity-50 transition-colors"
+                                        >
+                                            Clear queue
+                                        </button>
+                                    </div>
+                                    <ul className="bg-gray-50 rounded-lg border border-gray-200 divide-y divide-gray-200 max-h-64 overflow-y-auto text-left">
+                                        {queue.map(item => (
+                                            <li
+                                                key={item.id}
+                                                onClick={() => setSelectedId(item.id)}
+                                                className={`flex items-center justify-between px-4 py-2 cursor-pointer transition-colors ${item.id === selectedId ? 'bg-indigo-50' : 'hover:bg-gray-100'}`}
+                                            >
+                                                <div className="min-w-0 mr-3">
+                                                    <p className="text-sm font-medium text-gray-800 truncate">{item.file.webkitRelativePath || item.file.name}</p>
+                                                    <p className="text-xs text-gray-500">
+                                                        {formatBytes(item.file.size)}
+                                                        {hasCrop(item.crop) && ' · cropped'}
+                                                        {item.profile && ` · ${item.profile.name}`}
+                                                        {item.error && <span className="text-red-600" title={item.error.code}> — {item.error.message}</span>}
+                                                    </p>
+                                                    {isJobActive(item) && (
+                                                        <div className="mt-1 h-1 w-full bg-gray-200 rounded-full overflow-hidden">
+                                                            <div className="h-full bg-indigo-500 transition-all" style={{ width: `${item.progress || 0}%` }}></div>
+                                                        </div>
+                                                    )}
+                                                </div>
+                                                <div className="flex items-center shrink-0">
+                                                    <QueueStatusBadge item={item} />
+                                                    {canRetryJob(item) && !isJobActive(item) && (
+                                                        <button
+                                                            onClick={(e) => { e.stopPropagation(); retryJob(item); }}
+                                                            className="ml-2 text-xs font-semibold text-indigo-600 hover:underline focus:outline-hidden"
+                                                        >
+                                                            Retry
+                                                        </button>
+                                                    )}
+                                                    {/* Running jobs are cancelled first, then they can be removed */}
+                                                    <button
+                                                        onClick={(e) => { e.stopPropagation(); isJobActive(item) ? cancelJob(item.id) : removeQueueItem(item.id); }}
+                                                        className="ml-2 text-gray-400 hover:text-red-600 font-bold focus:outline-hidden"
+                                                        title={isJobActive(item) ? "Cancel compression" : "Remove from queue"}
+                                                    >
+                                                        &times;
+                                                    </button>
+                                                </div>
+                                            </li>
+                                        ))}
+                                    </ul>
+
+                                    {selectedFile && (
+                                        <>
+                                            <h3 className="text-lg md:text-xl font-semibold text-gray-700 mt-6 mb-3">Selected Image:</h3> {/* Adjusted text size */}
+                                            <div className="flex flex-col md:flex-row items-center justify-center bg-gray-50 p-4 rounded-lg border border-gray-200">
+                                                {previewUrl && (
+                                                    <img src={previewUrl} alt="Original Preview" className="max-w-[120px] max-h-[120px] md:max-w-[150px] md:max-h-[150px] rounded-md shadow-md object-contain mb-4 md:mb-0 md:mr-6 animate-fade-in-scale" />
+                                                )}
+                                                <div className="text-left w-full md:w-auto"> {/* Ensure text takes full width on mobile */}
+                                                    <p className="text-base md:text-lg font-medium text-gray-800 break-words"><span className="font-semibold">File Name:</span> {selectedFile.name}</p> {/* Changed from fileName to selectedFile.name */}
+                                                    <p className="text-sm md:text-base text-gray-600"><span className="font-semibold">Original Size:</span> {formatBytes(selectedFile.size)}</p> {/* Adjusted text size */}
+                                                    {selectedDimensions && (
+                                                        <p className="text-sm md:text-base text-gray-600"><span className="font-semibold">Dimensions:</span> {selectedDimensions.width}×{selectedDimensions.height}px</p>
+                                                    )}
+                                                    {hasCrop(selectedItem.crop) && croppedDimensions && (
+                                                        <p className="text-sm md:text-base text-gray-600"><span className="font-semibold">Cropped:</span> {croppedDimensions.width}×{croppedDimensions.height}px</p>
+                                                    )}
+                                                    {selectedAnimation && (
+                                                        <p className="text-sm md:text-base text-gray-600"><span className="font-semibold">Animation:</span> {selectedAnimation.frameCount} frames · {formatAnimationDuration(selectedAnimation.duration)}</p>
+                                                    )}
+                                                    <button
+                                                        onClick={() => setIsCropping(!isCropping)}
+                                                        disabled={isJobActive(selectedItem)}
+                                                        className="mt-2 text-sm font-semibold text-indigo-600 hover:underline disabled:opacity-40 disabled:no-underline"
+                                                    >
+                                                        {isCropping ? "Done cropping" : hasCrop(selectedItem.crop) ? "Edit crop" : "Crop & rotate"}
+                                                    </button>
+                                                </div>
+                                            </div>
+                                            {isCropping && !isJobActive(selectedItem) && (
+                                                <CropTool
+                                                    file={selectedFile}
+                                                    crop={selectedItem.crop}
+                                                    onChange={(crop) => updateQueueItem(selectedItem.id, { crop })}
+                                                    onSmartCropAll={pendingCount > 1 ? handleSmartCropAll : null}
+                                                />
+                                            )}
+                                        </>
+                                    )}
+
+                                    <ProfileControls
+                                        profiles={profiles}
+                                        onApply={applyProfile}
+                                        onSave={handleSaveProfile}
+                                        onDelete={handleDeleteProfile}
+                                        onImport={handleImportProfiles}
+                                        onExport={handleExportProfiles}
+                                    />
+
+                                    <div className="mt-6 w-full text-left"> {/* Adjusted margin-top */}
+                                        <div className="flex rounded-lg border border-indigo-200 overflow-hidden mb-4 text-sm font-semibold">
+                                            {COMPRESSION_MODES.map(mode => (
+                                                <button
+                                                    key={mode.id}
+                                                    onClick={() => setCompressionMode(mode.id)}
+                                                    className={`flex-1 px-4 py-2 transition-colors ${compressionMode === mode.id ? 'bg-indigo-600 text-white' : 'bg-white text-indigo-700 hover:bg-indigo-50'}`}
+                                                >
+                                                    {mode.label}
+                                                </button>
+                                            ))}
+                                        </div>
+
+                                        {compressionMode === 'quality' && onlyPngPipeline && (
+                                            <p className="text-sm text-gray-600">PNG images are optimized with the PNG options below.</p>
                                         )}
-                                        <div className="text-left w-full md:w-auto"> {/* Ensure text takes full width on mobile */}
-                                            <p className="text-base md:text-lg font-medium text-gray-800 break-words"><span className="font-semibold">File Name:</span> {selectedFile.name}</p> {/* Changed from fileName to selectedFile.name */}
-                                            <p className="text-sm md:text-base text-gray-600"><span className="font-semibold">Original Size:</span> {formatBytes(selectedFile.size)}</p> {/* Adjusted text size */}
-                                            <div className="mt-3 w-full"> {/* Adjusted margin-top */}
+                                        {compressionMode === 'quality' && !onlyPngPipeline && (
+                                            <>
                                                 <label htmlFor="compression-slider" className="block text-gray-700 text-sm font-bold mb-2">
-                                                    Compression Level: {compressionLevel}%
+                                                    Compression Level: {compressionLevel}% <span className="font-normal text-gray-500">{usesPngPipeline ? "(applies to non-PNG images)" : "(applies to all queued images)"}</span>
                                                 </label>
                                                 <input
                                                     type="range"
@@ -553,26 +1122,125 @@ export default function ImageCompressorApp() {
                                                     className="w-full h-2 bg-indigo-200 rounded-lg appearance-none cursor-pointer range-lg transition-colors duration-200"
                                                     style={{ '--webkit-slider-thumb-bg': '#6366f1', '--moz-range-thumb-bg': '#6366f1' }}
                                                 />
-                                            </div>
-                                        </div>
-                                    </div>
-
-                                    <button
-                                        onClick={handleCompress}
-                                        disabled={isCompressing}
-                                        className="mt-6 w-full px-6 py-3 bg-indigo-600 text-white font-bold text-lg rounded-xl shadow-lg hover:bg-indigo-700 focus:outline-none focus:ring-4 focus:ring-indigo-500 focus:ring-opacity-50 transition-all duration-300 ease-in-out
-                                        flex items-center justify-center transform hover:scale-105 active:scale-95 text-base md:text-lg"
-                                    >
-                                        {isCompressing ? (
+                                            </>
+                                        )}
+                                        {compressionMode === 'target' && (
+                                            <>
+                                                <label htmlFor="target-size-input" className="block text-gray-700 text-sm font-bold mb-2">
+                                                    Maximum File Size <span className="font-normal text-gray-500">(applies to all queued images)</span>
+                                                </label>
+                                                <div className="flex items-center">
+                                                    <input
+                                                        type="number"
+                                                        id="target-size-input"
+                                                        min="1"
+                                                        value={targetSizeKB}
+                                                        onChange={(e) => setTargetSizeKB(Math.max(1, Number(e.target.value)))}
+                                                        className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:outline-hidden focus:ring-2 focus:ring-indigo-500"
+                                                    />
+                                                    <span className="ml-2 text-gray-700 font-semibold">KB</span>
+                                                </div>
+                                                <p className="text-xs text-gray-500 mt-2">
+                                                    The best quality that fits is picked automatically. If lowering the quality isn't enough, the image dimensions are reduced as well.
+                                                </p>
+                                            </>
+                                        )}
+                                        {compressionMode === 'ssim' && (
                                             <>
-                                                <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                                </svg>
-                                                Compressing...
+                                                <label htmlFor="min-ssim-input" className="block text-gray-700 text-sm font-bold mb-2">
+                                                    Minimum SSIM <span className="font-normal text-gray-500">(applies to all queued images)</span>
+                                                </label>
+                                                <input
+                                                    type="number"
+                                                    id="min-ssim-input"
+                                                    min="0.5"
+                                                    max="0.999"
+                                                    step="0.005"
+                                                    value={minSsim}
+                                                    onChange={(e) => setMinSsim(Math.min(0.999, Math.max(0.5, Number(e.target.value))))}
+                                                    className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:outline-hidden focus:ring-2 focus:ring-indigo-500"
+                                                />
+                                                <p className="text-xs text-gray-500 mt-2">
+                                                    Picks the lowest quality whose result still has at least this structural similarity to the original (1 = identical, 0.95 is usually visually lossless).
+                                                </p>
                                             </>
-                                        ) : "Compress Image"}
-                                    </button>
+                                        )}
+                                    </div>
+
+                                    {usesPngPipeline && <PngControls png={pngOptions} onChange={setPngOptions} />}
+
+                                    {showsAnimationOptions && (
+                                        <AnimationControls animation={animationOptions} onChange={setAnimationOptions} info={selectedAnimation} outputsGif={outputsGif} />
+                                    )}
+
+                                    <ResizeControls resize={resize} onChange={setResize} sourceDimensions={croppedDimensions} />
+
+                                    <FormatControls
+                                        outputFormat={outputFormat}
+                                        onFormatChange={setOutputFormat}
+                                        backgroundColor={backgroundColor}
+                                        onBackgroundColorChange={setBackgroundColor}
+                                        supportedEncoders={supportedEncoders}
+                                    />
+
+                                    <WatermarkControls
+                                        watermark={watermark}
+                                        onChange={setWatermark}
+                                        file={selectedFile}
+                                        onError={(message) => showToast(message, "error")}
+                                    />
+
+                                    <FileNameControls
+                                        template={fileNameTemplate}
+                                        onChange={setFileNameTemplate}
+                                        file={selectedFile}
+                                        sourceDimensions={croppedDimensions}
+                                        resize={resize}
+                                        outputFormat={outputFormat}
+                                        quality={compressionMode === 'quality' ? compressionLevel : undefined}
+                                    />
+
+                                    <MetadataInspector
+                                        file={selectedFile}
+                                        policy={metadataPolicy}
+                                        onPolicyChange={setMetadataPolicy}
+                                        outputFormat={outputFormat}
+                                    />
+
+                                    {selectedFile && (
+                                        <ResponsiveSetPanel
+                                            file={selectedFile}
+                                            crop={selectedItem.crop}
+                                            sourceDimensions={croppedDimensions}
+                                            compressOptions={toCompressOptions(currentSettings)}
+                                            supportedEncoders={supportedEncoders}
+                                            onDownload={saveBlob}
+                                            onToast={showToast}
+                                        />
+                                    )}
+
+                                    {isCompressing ? (
+                                        <button
+                                            onClick={cancelCompression}
+                                            className="mt-6 w-full px-6 py-3 bg-white text-indigo-700 border-2 border-indigo-600 font-bold rounded-xl shadow-lg hover:bg-indigo-50 focus:outline-hidden focus:ring-4 focus:ring-indigo-500/50 transition-all duration-300 ease-in-out
+                                            flex items-center justify-center text-base md:text-lg"
+                                        >
+                                            <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-indigo-600" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                                <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                                <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                            </svg>
+                                            Compressing... Cancel all
+                                        </button>
+                                    ) : (
+                                        <button
+                                            onClick={handleCompress}
+                                            disabled={pendingCount === 0}
+                                            className="mt-6 w-full px-6 py-3 bg-indigo-600 text-white font-bold text-lg rounded-xl shadow-lg hover:bg-indigo-700 focus:outline-hidden focus:ring-4 focus:ring-indigo-500/50 transition-all duration-300 ease-in-out
+                                            flex items-center justify-center transform hover:scale-105 active:scale-95 text-base md:text-lg disabled:opacity-60 disabled:hover:scale-100"
+                                        >
+                                            {pendingCount > 1 ? `Compress ${pendingCount} Images` : "Compress Image"}
+                                        </button>
+                                    )}
                                 </div>
                             )}
 
@@ -592,40 +1260,148 @@ export default function ImageCompressorApp() {
                             <h2 className="text-2xl md:text-4xl font-extrabold text-center text-indigo-800 mb-8 md:mb-12"> {/* Adjusted text sizes */}
                                 Compression History
                                 <span className="block text-sm md:text-base font-normal text-gray-600 mt-1 md:mt-2"> {/* Adjusted text sizes */}
-                                    (This history is temporary and clears on page refresh)
+                                    (Saved in this browser only · {formatBytes(getHistorySize(compressedHistory))} of {historyQuota} MB used)
                                 </span>
                             </h2>
-                            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 md:gap-8"> {/* Adjusted gap */}
-                                {compressedHistory.map(item => (
-                                    <div key={item.id} className="bg-white p-5 rounded-xl shadow-lg border border-gray-200 flex flex-col items-center text-center animate-fade-in"> {/* Adjusted padding */}
-                                        <p className="text-base md:text-lg font-semibold text-gray-800 mb-2 break-words">{item.originalFileName}</p> {/* Adjusted text size */}
-                                        <p className="text-xs md:text-sm text-gray-600 mb-3">Original: {formatBytes(item.originalSize)}</p> {/* Adjusted text size */}
-                                        <p className="text-base md:text-lg font-bold text-indigo-600 mb-3">Compressed: {formatBytes(item.compressedSize)}</p> {/* Adjusted text size */}
-                                        <p className="text-xs md:text-sm text-gray-500 mb-4">Reduction: {((1 - (item.compressedSize / item.originalSize)) * 100).toFixed(1)}%</p> {/* Adjusted text size */}
-                                        <div className="flex flex-col sm:flex-row gap-2 mt-auto w-full"> {/* Buttons grouped and responsive */}
-                                            <button
-                                                onClick={() => handleDownload(item.compressedBlob, item.compressedFileName)}
-                                                className="w-full px-4 py-2 bg-green-500 text-white font-semibold rounded-lg shadow-md hover:bg-green-600 transition-colors duration-200 flex items-center justify-center transform hover:scale-105 active:scale-95 text-sm"
-                                            >
-                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" viewBox="0 0 20 20" fill="currentColor">
-                                                    <path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd" />
-                                                </svg>
-                                                Download
-                                            </button>
-                                            <button
-                                                onClick={() => handleShare(item.compressedBlob, item.compressedFileName)}
-                                                className="w-full px-4 py-2 bg-blue-500 text-white font-semibold rounded-lg shadow-md hover:bg-blue-600 transition-colors duration-200 flex items-center justify-center transform hover:scale-105 active:scale-95 text-sm"
-                                            >
-                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" viewBox="0 0 20 20" fill="currentColor">
-                                                    <path d="M15 8a3 3 0 10-2.977-2.977l-3.328 1.664a3 3 0 100 4.626l3.328 1.664A3 3 0 1015 12a3 3 0 00-3-3 3.001 3.001 0 00-2.977 2.977l-3.328-1.664a3 3 0 100-4.626l3.328-1.664A3 3 0 105 8zm0 2a1 1 0 110-2 1 1 0 010 2zM5 6a1 1 0 110-2 1 1 0 010 2zm0 8a1 1 0 110-2 1 1 0 010 2z" />
-                                                </svg>
-                                                Share
-                                            </button>
+                            <div className="space-y-8 md:space-y-10">
+                                {groupHistoryBySource(compressedHistory).map(({ sourceId, entries }) => {
+                                    const original = entries[entries.length - 1];
+                                    const smallestSize = Math.min(...entries.map(entry => entry.compressedSize));
+                                    return (
+                                        <div key={sourceId}>
+                                            <div className="flex flex-col sm:flex-row sm:items-end sm:justify-between gap-2 mb-4 text-left">
+                                                <div className="min-w-0">
+                                                    <h3 className="text-lg md:text-xl font-semibold text-gray-800 break-words">{original.originalFileName}</h3>
+                                                    <p className="text-xs md:text-sm text-gray-600">
+                                                        Original: {formatBytes(original.originalSize)}
+                                                        {original.originalDimensions && ` · ${original.originalDimensions.width}×${original.originalDimensions.height}px`}
+                                                        {entries.length > 1 && ` · ${entries.length} variants`}
+                                                    </p>
+                                                </div>
+                                                <RecompressMenu
+                                                    entry={original}
+                                                    profiles={profiles}
+                                                    onRecompress={handleRecompress}
+                                                    disabled={!original.originalBlob}
+                                                />
+                                            </div>
+                                            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6 md:gap-8"> {/* Adjusted gap */}
+                                                {entries.map(item => (
+                                                    <div key={item.id} className="relative bg-white p-5 rounded-xl shadow-lg border border-gray-200 flex flex-col items-center text-center animate-fade-in"> {/* Adjusted padding */}
+                                                        <button
+                                                            onClick={() => deleteHistoryItem(item.id)}
+                                                            className="absolute top-2 right-3 text-gray-400 hover:text-red-600 text-xl font-bold focus:outline-hidden"
+                                                            title="Delete from history"
+                                                        >
+                                                            &times;
+                                                        </button>
+                                                        <p className="text-base md:text-lg font-semibold text-gray-800 mb-2 px-4 break-words">{item.compressedFileName}</p> {/* Adjusted text size */}
+                                                        {entries.length > 1 && item.compressedSize === smallestSize && (
+                                                            <span className="mb-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-green-100 text-green-700">Smallest</span>
+                                                        )}
+                                                        {item.profileName && <p className="text-xs md:text-sm text-gray-600 mb-3">Settings: {item.profileName}</p>}
+                                                        <p className="text-base md:text-lg font-bold text-indigo-600 mb-3">Compressed: {formatBytes(item.compressedSize)}</p> {/* Adjusted text size */}
+                                                        <p className="text-xs md:text-sm text-gray-500 mb-4">Reduction: {((1 - (item.compressedSize / item.originalSize)) * 100).toFixed(1)}%</p> {/* Adjusted text size */}
+                                                        <p className="text-xs text-gray-500 -mt-2 mb-4">
+                                                            Format: {getFormatLabel(item.sourceFormat)} → {getFormatLabel(item.targetFormat)}
+                                                        </p>
+                                                        {item.dimensions && (
+                                                            <p className="text-xs text-gray-500 -mt-2 mb-4">
+                                                                Dimensions: {item.originalDimensions.width}×{item.originalDimensions.height} → {item.dimensions.width}×{item.dimensions.height}px
+                                                            </p>
+                                                        )}
+                                                        {item.animation && (
+                                                            <p className="text-xs text-gray-500 -mt-2 mb-4">
+                                                                Animation: {item.animation.frameCount} frames · {formatAnimationDuration(item.animation.duration)}
+                                                            </p>
+                                                        )}
+                                                        {item.metrics && (
+                                                            <p className="text-xs text-gray-500 -mt-2 mb-4">
+                                                                PSNR: {formatPsnr(item.metrics.psnr)} · SSIM: {item.metrics.ssim.toFixed(4)}
+                                                            </p>
+                                                        )}
+                                                        {item.searchInfo && (
+                                                            <p className="text-xs text-gray-500 -mt-2 mb-4">
+                                                                {item.searchInfo.mode === 'target'
+                                                                    ? `Target ≤ ${formatBytes(item.searchInfo.targetBytes)}`
+                                                                    : `Min SSIM ${item.searchInfo.minSsim}`}: quality {Math.round(item.searchInfo.quality * 100)}%
+                                                            </p>
+                                                        )}
+                                                        {item.retainedMetadata && (
+                                                            <p className="text-xs text-gray-500 -mt-2 mb-4">
+                                                                Metadata: {item.retainedMetadata.length > 0
+                                                                    ? `kept ${item.retainedMetadata.map(getMetadataCategoryLabel).join(', ')}`
+                                                                    : 'all stripped'}
+                                                            </p>
+                                                        )}
+                                                        <div className="flex flex-col sm:flex-row gap-2 mt-auto w-full"> {/* Buttons grouped and responsive */}
+                                                            <button
+                                                                onClick={() => handleDownload(item.compressedBlob, item.compressedFileName)}
+                                                                className="w-full px-4 py-2 bg-green-500 text-white font-semibold rounded-lg shadow-md hover:bg-green-600 transition-colors duration-200 flex items-center justify-center transform hover:scale-105 active:scale-95 text-sm"
+                                                            >
+                                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" viewBox="0 0 20 20" fill="currentColor">
+                                                                    <path fillRule="evenodd" d="M3 17a1 1 0 011-1h12a1 1 0 110 2H4a1 1 0 01-1-1zm3.293-7.707a1 1 0 011.414 0L9 10.586V3a1 1 0 112 0v7.586l1.293-1.293a1 1 0 111.414 1.414l-3 3a1 1 0 01-1.414 0l-3-3a1 1 0 010-1.414z" clipRule="evenodd" />
+                                                                </svg>
+                                                                Download
+                                                            </button>
+                                                            <button
+                                                                onClick={() => handleShare(item.compressedBlob, item.compressedFileName)}
+                                                                className="w-full px-4 py-2 bg-blue-500 text-white font-semibold rounded-lg shadow-md hover:bg-blue-600 transition-colors duration-200 flex items-center justify-center transform hover:scale-105 active:scale-95 text-sm"
+                                                            >
+                                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" viewBox="0 0 20 20" fill="currentColor">
+                                                                    <path d="M15 8a3 3 0 10-2.977-2.977l-3.328 1.664a3 3 0 100 4.626l3.328 1.664A3 3 0 1015 12a3 3 0 00-3-3 3.001 3.001 0 00-2.977 2.977l-3.328-1.664a3 3 0 100-4.626l3.328-1.664A3 3 0 105 8zm0 2a1 1 0 110-2 1 1 0 010 2zM5 6a1 1 0 110-2 1 1 0 010 2zm0 8a1 1 0 110-2 1 1 0 010 2z" />
+                                                                </svg>
+                                                                Share
+                                                            </button>
+                                                            {canCopy && (
+                                                                <button
+                                                                    onClick={() => handleCopy(item.compressedBlob)}
+                                                                    disabled={SIMULATE_COMPRESSION}
+                                                                    className="w-full px-4 py-2 bg-gray-600 text-white font-semibold rounded-lg shadow-md hover:bg-gray-700 transition-colors duration-200 flex items-center justify-center transform hover:scale-105 active:scale-95 text-sm disabled:opacity-50"
+                                                                    title="Copy compressed image to clipboard"
+                                                                >
+                                                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4 mr-2" viewBox="0 0 20 20" fill="currentColor">
+                                                                        <path d="M8 3a1 1 0 011-1h2a1 1 0 110 2H9a1 1 0 01-1-1z" />
+                                                                        <path d="M6 3a2 2 0 00-2 2v11a2 2 0 002 2h8a2 2 0 002-2V5a2 2 0 00-2-2 3 3 0 01-3 3H9a3 3 0 01-3-3z" />
+                                                                    </svg>
+                                                                    Copy
+                                                                </button>
+                                                            )}
+                                                        </div>
+                                                        <button
+                                                            onClick={() => setComparedItem(item)}
+                                                            disabled={SIMULATE_COMPRESSION}
+                                                            className="w-full mt-2 px-4 py-2 bg-white text-indigo-700 font-semibold rounded-lg border border-indigo-300 hover:bg-indigo-50 transition-colors duration-200 text-sm disabled:opacity-50"
+                                                        >
+                                                            Compare Before/After
+                                                        </button>
+                                                    </div>
+                                                ))}
+                                            </div>
                                         </div>
-                                    </div>
-                                ))}
+                                    );
+                                })}
                             </div>
-                            <div className="text-center mt-10 md:mt-12"> {/* Adjusted margin-top */}
+                            <div className="flex flex-col sm:flex-row justify-center gap-4 mt-10 md:mt-12"> {/* Adjusted margin-top */}
+                                <button
+                                    onClick={handleDownloadAll}
+                                    disabled={isZipping}
+                                    className="px-6 py-3 bg-green-500 text-white font-semibold rounded-lg shadow-md hover:bg-green-600 transition-colors duration-200 text-base md:text-lg disabled:opacity-60"
+                                >
+                                    {isZipping ? "Creating ZIP..." : `Download All (${compressedHistory.length}) as ZIP`}
+                                </button>
+                                <label className="flex items-center justify-center text-sm text-gray-600">
+                                    Storage limit
+                                    <select
+                                        value={historyQuota}
+                                        onChange={(e) => handleQuotaChange(Number(e.target.value))}
+                                        className="ml-2 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:outline-hidden focus:ring-2 focus:ring-indigo-500"
+                                    >
+                                        {QUOTA_OPTIONS_MB.map(quotaMB => (
+                                            <option key={quotaMB} value={quotaMB}>{quotaMB >= 1000 ? `${quotaMB / 1000} GB` : `${quotaMB} MB`}</option>
+                                        ))}
+                                    </select>
+                                </label>
                                 <button
                                     onClick={clearHistory}
                                     className="px-6 py-3 bg-red-500 text-white font-semibold rounded-lg shadow-md hover:bg-red-600 transition-colors duration-200 text-base md:text-lg"
@@ -640,7 +1416,7 @@ export default function ImageCompressorApp() {
 
                 {/* Ad Placeholder 2 */}
                 <div className="container mx-auto px-4 py-8 text-center">
-                    <div className="bg-gray-200 h-24 md:h-32 flex items-center justify-center text-gray-600 text-sm rounded-lg shadow-sm px-4">
+                    <div className="bg-gray-200 h-24 md:h-32 flex items-center justify-center text-gray-600 text-sm rounded-lg shadow-xs px-4">
                         {/*
             Corrected AdSense code:
             - Removed the surrounding <p> tags.
@@ -670,7 +1446,7 @@ export default function ImageCompressorApp() {
 
                         <div className="space-y-6 md:space-y-8"> {/* Adjusted space-y */}
                             {/* FAQ Item 1 */}
-                            <div className="bg-gray-50 p-5 rounded-xl shadow-sm border border-gray-200"> {/* Adjusted padding */}
+                            <div className="bg-gray-50 p-5 rounded-xl shadow-xs border border-gray-200"> {/* Adjusted padding */}
                                 <h3 className="text-lg md:text-xl font-semibold text-gray-800 mb-2">Is it really free?</h3> {/* Adjusted text sizes */}
                                 <p className="text-sm md:text-base text-gray-700"> {/* Adjusted text sizes */}
                                     Yes, ImageCompressor.ai is completely free to use for everyone. There are no hidden costs, subscriptions, or limits on the number of images you can compress. Enjoy unlimited, high-quality image compression without spending a dime.
@@ -678,7 +1454,7 @@ export default function ImageCompressorApp() {
                             </div>
 
                             {/* FAQ Item 2 */}
-                            <div className="bg-gray-50 p-5 rounded-xl shadow-sm border border-gray-200">
+                            <div className="bg-gray-50 p-5 rounded-xl shadow-xs border border-gray-200">
                                 <h3 className="text-lg md:text-xl font-semibold text-gray-800 mb-2">What formats are supported?</h3>
                                 <p className="text-sm md:text-base text-gray-700">
                                     Our online compressor supports the most common image formats: JPEG, JPG, PNG, and GIF. Simply upload your image, and we'll handle the compression.
@@ -686,7 +1462,7 @@ export default function ImageCompressorApp() {
                             </div>
 
                             {/* FAQ Item 3 */}
-                            <div className="bg-gray-50 p-5 rounded-xl shadow-sm border border-gray-200">
+                            <div className="bg-gray-50 p-5 rounded-xl shadow-xs border border-gray-200">
                                 <h3 className="text-lg md:text-xl font-semibold text-gray-800 mb-2">Will quality reduce?</h3>
                                 <p className="text-sm md:text-base text-gray-700">
                                     Our intelligent compression algorithms are designed to reduce file size significantly while preserving as much image quality as possible. You can also adjust the compression level using our slider to find the perfect balance between file size and visual fidelity.
@@ -694,7 +1470,7 @@ export default function ImageCompressorApp() {
                             </div>
 
                             {/* FAQ Item 4 */}
-                            <div className="bg-gray-50 p-5 rounded-xl shadow-sm border border-gray-200">
+                            <div className="bg-gray-50 p-5 rounded-xl shadow-xs border border-gray-200">
                                 <h3 className="text-lg md:text-xl font-semibold text-gray-800 mb-2">Is this secure/private?</h3>
                                 <p className="text-sm md:text-base text-gray-700">
                                     Absolutely! Your privacy is our top priority. All image compression happens directly in your browser, on your device. Your files are never uploaded to our servers, ensuring 100% privacy and security.
@@ -702,7 +1478,7 @@ export default function ImageCompressorApp() {
                             </div>
 
                             {/* FAQ Item 5 */}
-                            <div className="bg-gray-50 p-5 rounded-xl shadow-sm border border-gray-200">
+                            <div className="bg-gray-50 p-5 rounded-xl shadow-xs border border-gray-200">
                                 <h3 className="text-lg md:text-xl font-semibold text-gray-800 mb-2">What are the use cases?</h3>
                                 <div className="text-gray-700">
                                     <ul className="list-disc list-inside mt-2 space-y-1 text-sm md:text-base"> {/* Adjusted text size */}
@@ -736,6 +1512,14 @@ export default function ImageCompressorApp() {
             {/* Toast Notification */}
             {toast && <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
 
+            {/* Before/After Comparison */}
+            {comparedItem && <ComparisonViewer item={comparedItem} onClose={() => setComparedItem(null)} />}
+
+            {/* Local Stats Dashboard */}
+            {showStats && (
+                <StatsDashboard stats={usageStats} onExport={handleExportStats} onClear={handleClearStats} onClose={() => setShowStats(false)} />
+            )}
+
             {/* Privacy Policy Modal */}
             <PrivacyPolicyModal isOpen={showPrivacyPolicy} onClose={() => setShowPrivacyPolicy(false)} />
         </div>
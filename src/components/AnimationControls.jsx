@@ -0,0 +1,79 @@
+import React from "react";
+import { DITHERING_OPTIONS } from "../lib/quantize";
+import { formatAnimationDuration } from "../lib/animation";
+
+// Options for animated GIF/WebP: keep all frames or only the first, drop frames, GIF palette size and dithering.
+// `info` is the selected file's animation info, used to preview the effect of dropping frames.
+const AnimationControls = ({ animation, onChange, info, outputsGif }) => {
+    const update = (changes) => onChange({ ...animation, ...changes });
+
+    return (
+        <div className="mt-6 w-full text-left">
+            <p className="block text-gray-700 text-sm font-bold mb-2">Animation</p>
+            <label className="flex items-center text-sm text-gray-700">
+                <input
+                    type="checkbox"
+                    checked={animation.keepFrames}
+                    onChange={(e) => update({ keepFrames: e.target.checked })}
+                    className="mr-2 accent-indigo-600"
+                />
+                Keep all frames (GIF or WebP output)
+            </label>
+
+            {animation.keepFrames && (
+                <>
+                    <label className="block text-xs text-gray-600 mt-3">
+                        Frames
+                        <select
+                            value={animation.frameStep}
+                            onChange={(e) => update({ frameStep: Number(e.target.value) })}
+                            className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-hidden focus:ring-2 focus:ring-indigo-500"
+                        >
+                            <option value={1}>Keep every frame</option>
+                            <option value={2}>Keep every 2nd frame</option>
+                            <option value={3}>Keep every 3rd frame</option>
+                            <option value={4}>Keep every 4th frame</option>
+                        </select>
+                    </label>
+                    {info && animation.frameStep > 1 && (
+                        <p className="text-xs text-gray-500 mt-1">
+                            {info.frameCount} → {Math.ceil(info.frameCount / animation.frameStep)} frames, still {formatAnimationDuration(info.duration)} long.
+                        </p>
+                    )}
+                </>
+            )}
+
+            {outputsGif && (
+                <>
+                    <label htmlFor="gif-colors-slider" className="block text-xs text-gray-600 mt-3 mb-1">
+                        GIF colors per frame: {animation.colors}
+                    </label>
+                    <input
+                        type="range"
+                        id="gif-colors-slider"
+                        min="2"
+                        max="256"
+                        value={animation.colors}
+                        onChange={(e) => update({ colors: Number(e.target.value) })}
+                        className="w-full h-2 bg-indigo-200 rounded-lg appearance-none cursor-pointer"
+                    />
+                    <label className="block text-xs text-gray-600 mt-3">
+                        Dithering
+                        <select
+                            value={animation.dithering}
+                            onChange={(e) => update({ dithering: e.target.value })}
+                            className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-hidden focus:ring-2 focus:ring-indigo-500"
+                        >
+                            {DITHERING_OPTIONS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+                        </select>
+                    </label>
+                </>
+            )}
+            <p className="text-xs text-gray-500 mt-2">
+                Animations are re-encoded at the chosen compression level; target size and minimum SSIM apply to still images only. Other output formats keep the first frame.
+            </p>
+        </div>
+    );
+};
+
+export default AnimationControls;
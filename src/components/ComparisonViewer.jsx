@@ -0,0 +1,266 @@
+import React, { useState, useRef, useEffect, useCallback } from "react";
+import { applyCrop, getCroppedDimensions, hasCrop } from "../lib/crop";
+import { loadImage } from "../lib/imageInfo";
+import { canvasToBlob } from "../lib/canvas";
+
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 32; // 3200%, enough to inspect single pixels
+const FLICKER_INTERVAL = 500; // ms
+
+// Before/after viewer for a history entry.
+// Both images are drawn on top of each other at the original's resolution and share one pan/zoom
+// transform, so every pixel lines up. A resized output is scaled up to the original's size; a cropped
+// one is compared with the same crop of the original.
+const ComparisonViewer = ({ item, onClose }) => {
+    const [urls, setUrls] = useState(null); // { original, compressed }
+    const [error, setError] = useState(null);
+    const [naturalSize, setNaturalSize] = useState(null); // Size of the original image
+    const [zoom, setZoom] = useState(1);
+    const [offset, setOffset] = useState({ x: 0, y: 0 });
+    const [mode, setMode] = useState('split'); // 'split' | 'flicker'
+    const [split, setSplit] = useState(50); // Divider position in % of the viewport width
+    const [showCompressed, setShowCompressed] = useState(true); // Flicker mode: which image is visible
+    const [autoFlicker, setAutoFlicker] = useState(false);
+
+    const viewportRef = useRef(null);
+    const dragRef = useRef(null); // { type: 'pan' | 'split', startX, startY, startOffset }
+
+    useEffect(() => {
+        let cancelled = false;
+        let created = null;
+        // A cropped, rotated or flipped output is compared with the same region of the original
+        const loadOriginal = async () => {
+            if (!hasCrop(item.crop)) {
+                return item.originalBlob;
+            }
+            const image = await loadImage(item.originalBlob);
+            const cropped = applyCrop(image, item.crop);
+            try {
+                return await canvasToBlob(cropped.source, 'image/png');
+            } finally {
+                cropped.release();
+                image.release();
+            }
+        };
+        loadOriginal()
+            .then(original => {
+                if (cancelled) {
+                    return;
+                }
+                created = { original: URL.createObjectURL(original), compressed: URL.createObjectURL(item.compressedBlob) };
+                setUrls(created);
+            })
+            .catch(err => {
+                console.error("Error preparing the comparison:", err);
+                if (!cancelled) {
+                    setError("Could not decode the original image.");
+                }
+            });
+        return () => {
+            cancelled = true;
+            if (created) {
+                URL.revokeObjectURL(created.original);
+                URL.revokeObjectURL(created.compressed);
+            }
+            setUrls(null);
+            setNaturalSize(null);
+        };
+    }, [item]);
+
+    // Scale the image to fit the viewport and center it
+    const fitToViewport = useCallback(() => {
+        if (!naturalSize || !viewportRef.current) return;
+        const { clientWidth, clientHeight } = viewportRef.current;
+        const fitZoom = Math.min(clientWidth / naturalSize.width, clientHeight / naturalSize.height, 1);
+        setZoom(fitZoom);
+        setOffset({
+            x: (clientWidth - naturalSize.width * fitZoom) / 2,
+            y: (clientHeight - naturalSize.height * fitZoom) / 2,
+        });
+    }, [naturalSize]);
+
+    useEffect(() => {
+        fitToViewport();
+    }, [fitToViewport]);
+
+    // Zoom around a point of the viewport, keeping the image pixel under it in place
+    const zoomAt = useCallback((newZoom, point) => {
+        const clampedZoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, newZoom));
+        const viewport = viewportRef.current;
+        const center = point || { x: viewport.clientWidth / 2, y: viewport.clientHeight / 2 };
+        setOffset(prevOffset => ({
+            x: center.x - (center.x - prevOffset.x) * (clampedZoom / zoom),
+            y: center.y - (center.y - prevOffset.y) * (clampedZoom / zoom),
+        }));
+        setZoom(clampedZoom);
+    }, [zoom]);
+
+    // Wheel zoom needs a non-passive listener to prevent the page from scrolling
+    useEffect(() => {
+        const viewport = viewportRef.current;
+        if (!viewport) return;
+        const handleWheel = (e) => {
+            e.preventDefault();
+            const rect = viewport.getBoundingClientRect();
+            zoomAt(zoom * (e.deltaY < 0 ? 1.25 : 0.8), { x: e.clientX - rect.left, y: e.clientY - rect.top });
+        };
+        viewport.addEventListener('wheel', handleWheel, { passive: false });
+        return () => viewport.removeEventListener('wheel', handleWheel);
+    }, [zoom, zoomAt]);
+
+    useEffect(() => {
+        if (!autoFlicker) return;
+        const interval = setInterval(() => setShowCompressed(prev => !prev), FLICKER_INTERVAL);
+        return () => clearInterval(interval);
+    }, [autoFlicker]);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+            if (e.key === ' ' && mode === 'flicker') {
+                e.preventDefault();
+                setShowCompressed(prev => !prev);
+            }
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [mode, onClose]);
+
+    const handlePointerDown = (e, type) => {
+        e.stopPropagation();
+        e.currentTarget.setPointerCapture(e.pointerId);
+        dragRef.current = { type, startX: e.clientX, startY: e.clientY, startOffset: offset };
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        if (drag.type === 'split') {
+            const rect = viewportRef.current.getBoundingClientRect();
+            setSplit(Math.min(100, Math.max(0, ((e.clientX - rect.left) / rect.width) * 100)));
+        } else {
+            setOffset({
+                x: drag.startOffset.x + e.clientX - drag.startX,
+                y: drag.startOffset.y + e.clientY - drag.startY,
+            });
+        }
+    };
+
+    const handlePointerUp = () => {
+        dragRef.current = null;
+    };
+
+    const imageStyle = naturalSize && {
+        position: 'absolute',
+        left: 0,
+        top: 0,
+        width: naturalSize.width,
+        height: naturalSize.height,
+        maxWidth: 'none',
+        transformOrigin: '0 0',
+        transform: `translate(${offset.x}px, ${offset.y}px) scale(${zoom})`,
+        imageRendering: zoom >= 2 ? 'pixelated' : 'auto', // Show real pixels instead of smoothing them when zoomed in
+    };
+    const referenceDimensions = item.originalDimensions && getCroppedDimensions(item.originalDimensions, item.crop); // What the output is compared with
+    const compressedVisible = mode === 'split' || showCompressed;
+
+    const buttonClassName = "px-3 py-1 rounded-lg text-sm font-semibold border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 transition-colors";
+    const activeButtonClassName = "px-3 py-1 rounded-lg text-sm font-semibold border border-indigo-600 bg-indigo-600 text-white";
+
+    return (
+        <div className="fixed inset-0 bg-black/75 flex items-center justify-center p-2 md:p-6 z-[10000]" onClick={onClose}>
+            <div
+                className="bg-white rounded-lg shadow-2xl w-full h-full max-w-6xl flex flex-col overflow-hidden animate-fade-in-down"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <div className="flex flex-wrap items-center justify-between gap-2 p-3 border-b border-gray-200">
+                    <h2 className="text-lg md:text-xl font-bold text-gray-800 truncate">Compare: {item.originalFileName}</h2>
+                    <div className="flex flex-wrap items-center gap-2">
+                        <button onClick={() => { setMode('split'); setAutoFlicker(false); }} className={mode === 'split' ? activeButtonClassName : buttonClassName}>Split</button>
+                        <button onClick={() => setMode('flicker')} className={mode === 'flicker' ? activeButtonClassName : buttonClassName}>Flicker</button>
+                        <span className="mx-1 h-6 border-l border-gray-300" />
+                        <button onClick={() => zoomAt(zoom / 2)} className={buttonClassName} title="Zoom out">−</button>
+                        <span className="text-sm text-gray-600 w-16 text-center">{Math.round(zoom * 100)}%</span>
+                        <button onClick={() => zoomAt(zoom * 2)} className={buttonClassName} title="Zoom in">+</button>
+                        <button onClick={fitToViewport} className={buttonClassName}>Fit</button>
+                        <button onClick={() => zoomAt(1)} className={buttonClassName}>1:1</button>
+                        <button onClick={onClose} className="ml-2 text-gray-500 hover:text-gray-800 text-2xl font-bold focus:outline-hidden">&times;</button>
+                    </div>
+                </div>
+
+                <div
+                    ref={viewportRef}
+                    className="relative grow overflow-hidden bg-gray-800 cursor-grab active:cursor-grabbing select-none touch-none"
+                    onPointerDown={(e) => handlePointerDown(e, 'pan')}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={handlePointerUp}
+                    onPointerCancel={handlePointerUp}
+                >
+                    {error && <p className="absolute inset-0 flex items-center justify-center text-white text-sm">{error}</p>}
+                    {urls && (
+                        <>
+                            <img
+                                src={urls.original}
+                                alt="Original"
+                                draggable={false}
+                                onLoad={(e) => setNaturalSize({ width: e.target.naturalWidth, height: e.target.naturalHeight })}
+                                style={imageStyle || { visibility: 'hidden' }}
+                            />
+                            {naturalSize && (
+                                <div
+                                    className="absolute inset-0"
+                                    style={{
+                                        clipPath: mode === 'split' ? `inset(0 0 0 ${split}%)` : 'none',
+                                        visibility: compressedVisible ? 'visible' : 'hidden',
+                                    }}
+                                >
+                                    <img src={urls.compressed} alt="Compressed" draggable={false} style={imageStyle} />
+                                </div>
+                            )}
+                        </>
+                    )}
+
+                    {mode === 'split' ? (
+                        <>
+                            <div
+                                className="absolute top-0 bottom-0 w-8 -ml-4 flex justify-center cursor-ew-resize"
+                                style={{ left: `${split}%` }}
+                                onPointerDown={(e) => handlePointerDown(e, 'split')}
+                            >
+                                <div className="w-0.5 h-full bg-white shadow-sm" />
+                                <div className="absolute top-1/2 -mt-4 h-8 w-8 rounded-full bg-white shadow-lg flex items-center justify-center text-gray-700 text-xs font-bold">⇔</div>
+                            </div>
+                            <span className="absolute top-2 left-2 px-2 py-1 rounded-sm bg-black/60 text-white text-xs">Original</span>
+                            <span className="absolute top-2 right-2 px-2 py-1 rounded-sm bg-black/60 text-white text-xs">Compressed</span>
+                        </>
+                    ) : (
+                        <span className="absolute top-2 left-2 px-2 py-1 rounded-sm bg-black/60 text-white text-xs">
+                            {showCompressed ? 'Compressed' : 'Original'}
+                        </span>
+                    )}
+                </div>
+
+                <div className="flex flex-wrap items-center justify-between gap-2 p-3 border-t border-gray-200 text-xs md:text-sm text-gray-600">
+                    <span>
+                        Scroll to zoom, drag to pan.
+                        {hasCrop(item.crop) && <> The original is shown with the same crop, rotation and flip.</>}
+                        {item.dimensions && referenceDimensions && (item.dimensions.width !== referenceDimensions.width || item.dimensions.height !== referenceDimensions.height) && (
+                            <> The compressed image ({item.dimensions.width}×{item.dimensions.height}px) is scaled to the original&apos;s size.</>
+                        )}
+                    </span>
+                    {mode === 'flicker' && (
+                        <div className="flex items-center gap-2">
+                            <button onClick={() => setShowCompressed(prev => !prev)} className={buttonClassName}>Toggle (Space)</button>
+                            <label className="flex items-center">
+                                <input type="checkbox" checked={autoFlicker} onChange={(e) => setAutoFlicker(e.target.checked)} className="mr-1" />
+                                Auto flicker
+                            </label>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ComparisonViewer;
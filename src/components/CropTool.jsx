@@ -0,0 +1,220 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+    CROP_RATIOS, DEFAULT_CROP, applyCrop, getCenteredRect, getCropPixels, getCropRatio, getRotatedSize,
+} from "../lib/crop";
+import { findSmartCrop } from "../lib/smartCrop";
+import { loadImage } from "../lib/imageInfo";
+
+const PREVIEW_EDGE = 360; // Longest edge of the editing preview
+const MIN_SIZE = 0.05; // Smallest crop, as a fraction of the image's width or height
+const FULL_RECT = { x: 0, y: 0, width: 1, height: 1 };
+const HANDLES = [
+    { id: 'nw', className: '-left-1.5 -top-1.5 cursor-nwse-resize' },
+    { id: 'ne', className: '-right-1.5 -top-1.5 cursor-nesw-resize' },
+    { id: 'sw', className: '-left-1.5 -bottom-1.5 cursor-nesw-resize' },
+    { id: 'se', className: '-right-1.5 -bottom-1.5 cursor-nwse-resize' },
+];
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// New rect while a corner handle is dragged: the opposite corner stays put, a fixed ratio
+// (width/height in fractions) is kept and the rect stays inside the image
+const resizeRect = (start, handle, dx, dy, fractionRatio) => {
+    const east = handle.includes('e');
+    const south = handle.includes('s');
+    const anchorX = east ? start.x : start.x + start.width;
+    const anchorY = south ? start.y : start.y + start.height;
+    const cornerX = clamp((east ? start.x + start.width : start.x) + dx, 0, 1);
+    const cornerY = clamp((south ? start.y + start.height : start.y) + dy, 0, 1);
+
+    let width = Math.max(MIN_SIZE, Math.abs(cornerX - anchorX));
+    let height = Math.max(MIN_SIZE, Math.abs(cornerY - anchorY));
+    if (fractionRatio) {
+        if (width / height > fractionRatio) {
+            width = height * fractionRatio;
+        } else {
+            height = width / fractionRatio;
+        }
+    }
+    const maxWidth = east ? 1 - anchorX : anchorX;
+    const maxHeight = south ? 1 - anchorY : anchorY;
+    if (width > maxWidth) {
+        width = maxWidth;
+        height = fractionRatio ? width / fractionRatio : height;
+    }
+    if (height > maxHeight) {
+        height = maxHeight;
+        width = fractionRatio ? height * fractionRatio : width;
+    }
+    return { x: east ? anchorX : anchorX - width, y: south ? anchorY : anchorY - height, width, height };
+};
+
+// Crop, rotate and flip the selected image: fixed-ratio presets, a draggable crop rectangle and smart crop
+const CropTool = ({ file, crop: currentCrop, onChange, onSmartCropAll }) => {
+    const crop = currentCrop || DEFAULT_CROP;
+    const { rotation, flipX, flipY } = crop;
+    const [image, setImage] = useState(null);
+    const canvasRef = useRef(null);
+    const frameRef = useRef(null);
+    const dragRef = useRef(null); // { handle, startX, startY, startRect } while dragging
+
+    // Decode the image once per file
+    useEffect(() => {
+        let cancelled = false;
+        let loaded = null;
+        setImage(null);
+        loadImage(file)
+            .then(result => {
+                if (cancelled) {
+                    result.release();
+                } else {
+                    loaded = result;
+                    setImage(result);
+                }
+            })
+            .catch(err => console.error("Could not load the image for cropping:", err));
+        return () => {
+            cancelled = true;
+            loaded?.release();
+        };
+    }, [file]);
+
+    // The preview shows the whole rotated and flipped image, the crop is drawn on top of it
+    useEffect(() => {
+        if (!image) {
+            return;
+        }
+        const rotated = getRotatedSize(image, rotation);
+        const scale = Math.min(1, PREVIEW_EDGE / Math.max(rotated.width, rotated.height));
+        const preview = applyCrop(image, { rotation, flipX, flipY, rect: null }, scale);
+        const canvas = canvasRef.current;
+        canvas.width = preview.width;
+        canvas.height = preview.height;
+        canvas.getContext('2d').drawImage(preview.source, 0, 0);
+        preview.release();
+    }, [image, rotation, flipX, flipY]);
+
+    const rotated = image ? getRotatedSize(image, rotation) : null;
+    const ratio = getCropRatio(crop.ratioId);
+    const rect = crop.rect || FULL_RECT;
+    const pixels = image ? getCropPixels(image, crop) : null;
+
+    const selectRatio = (ratioId) => {
+        const nextRatio = getCropRatio(ratioId);
+        onChange({ ...crop, ratioId, rect: nextRatio ? getCenteredRect(rotated, nextRatio) : crop.rect });
+    };
+
+    // Rotating changes the image's shape, so the crop starts over (centered, at the same ratio)
+    const rotate = (degrees) => {
+        const nextRotation = (rotation + degrees + 360) % 360;
+        onChange({ ...crop, rotation: nextRotation, rect: getCenteredRect(getRotatedSize(image, nextRotation), ratio) });
+    };
+
+    // Flipping mirrors the crop along with the image, so it keeps covering the same content
+    const flip = (axis) => {
+        const mirrored = crop.rect && (axis === 'x'
+            ? { ...crop.rect, x: 1 - crop.rect.x - crop.rect.width }
+            : { ...crop.rect, y: 1 - crop.rect.y - crop.rect.height });
+        onChange(axis === 'x' ? { ...crop, flipX: !flipX, rect: mirrored } : { ...crop, flipY: !flipY, rect: mirrored });
+    };
+
+    const startDrag = (e, handle) => {
+        e.stopPropagation();
+        frameRef.current.setPointerCapture(e.pointerId);
+        dragRef.current = { handle, startX: e.clientX, startY: e.clientY, startRect: rect };
+    };
+
+    const handlePointerMove = (e) => {
+        const drag = dragRef.current;
+        if (!drag) {
+            return;
+        }
+        const bounds = frameRef.current.getBoundingClientRect();
+        const dx = (e.clientX - drag.startX) / bounds.width;
+        const dy = (e.clientY - drag.startY) / bounds.height;
+        const { startRect } = drag;
+        const nextRect = drag.handle === 'move'
+            ? { ...startRect, x: clamp(startRect.x + dx, 0, 1 - startRect.width), y: clamp(startRect.y + dy, 0, 1 - startRect.height) }
+            // Fractions of a non-square image: the same ratio in pixels is a different ratio in fractions
+            : resizeRect(startRect, drag.handle, dx, dy, ratio && ratio * (rotated.height / rotated.width));
+        onChange({ ...crop, rect: nextRect });
+    };
+
+    const endDrag = () => {
+        dragRef.current = null;
+    };
+
+    const buttonClass = "px-3 py-1.5 text-sm text-indigo-700 border border-indigo-200 rounded-lg hover:bg-indigo-50 disabled:opacity-40 disabled:hover:bg-white";
+
+    return (
+        <div className="mt-4 w-full text-left">
+            <div className="flex flex-wrap gap-1 mb-3">
+                {CROP_RATIOS.map(option => (
+                    <button
+                        key={option.id}
+                        onClick={() => selectRatio(option.id)}
+                        disabled={!image}
+                        className={`px-3 py-1 text-xs font-semibold rounded-full border transition-colors ${crop.ratioId === option.id ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-indigo-700 border-indigo-200 hover:bg-indigo-50'}`}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="flex justify-center bg-gray-100 rounded-lg p-2">
+                {!image && <p className="text-sm text-gray-500 py-12">Loading image...</p>}
+                <div
+                    ref={frameRef}
+                    onPointerMove={handlePointerMove}
+                    onPointerUp={endDrag}
+                    onPointerCancel={endDrag}
+                    className={`relative inline-block overflow-hidden select-none touch-none ${image ? '' : 'hidden'}`}
+                >
+                    <canvas ref={canvasRef} className="block max-w-full" />
+                    {image && (
+                        <div
+                            onPointerDown={(e) => startDrag(e, 'move')}
+                            className="absolute border-2 border-white shadow-[0_0_0_9999px_rgba(0,0,0,0.5)] cursor-move"
+                            style={{ left: `${rect.x * 100}%`, top: `${rect.y * 100}%`, width: `${rect.width * 100}%`, height: `${rect.height * 100}%` }}
+                        >
+                            {HANDLES.map(handle => (
+                                <div
+                                    key={handle.id}
+                                    onPointerDown={(e) => startDrag(e, handle.id)}
+                                    className={`absolute w-3 h-3 bg-white border border-indigo-600 rounded-xs ${handle.className}`}
+                                />
+                            ))}
+                        </div>
+                    )}
+                </div>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-2 mt-3">
+                <button onClick={() => rotate(-90)} disabled={!image} className={buttonClass} title="Rotate left">⟲ Rotate</button>
+                <button onClick={() => rotate(90)} disabled={!image} className={buttonClass} title="Rotate right">⟳ Rotate</button>
+                <button onClick={() => flip('x')} disabled={!image} className={buttonClass} title="Flip horizontally">⇋ Flip</button>
+                <button onClick={() => flip('y')} disabled={!image} className={buttonClass} title="Flip vertically">⇵ Flip</button>
+                <button
+                    onClick={() => onChange({ ...crop, rect: findSmartCrop(image, crop, ratio) })}
+                    disabled={!image || !ratio}
+                    className={buttonClass}
+                    title={ratio ? "Center the crop on the most detailed part of the image" : "Pick a ratio first"}
+                >
+                    Smart crop
+                </button>
+                <button onClick={() => onChange(null)} disabled={!image} className={buttonClass}>Reset</button>
+                {pixels && <span className="text-xs text-gray-500 ml-auto">{pixels.width}×{pixels.height}px</span>}
+            </div>
+            {onSmartCropAll && ratio && (
+                <button onClick={() => onSmartCropAll(crop.ratioId)} className="mt-2 text-sm text-indigo-600 hover:underline">
+                    Smart crop all queued images to {CROP_RATIOS.find(option => option.id === crop.ratioId).label}
+                </button>
+            )}
+            <p className="text-xs text-gray-500 mt-2">
+                The crop is applied before resizing and compression. Smart crop looks for the most detailed region; it runs on this device.
+            </p>
+        </div>
+    );
+};
+
+export default CropTool;
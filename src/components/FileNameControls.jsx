@@ -0,0 +1,76 @@
+import React, { useRef } from "react";
+import { FILE_NAME_TOKENS, DEFAULT_FILE_NAME_TEMPLATE } from "../lib/fileNameTemplate";
+import { getCompressedFileName } from "../lib/files";
+import { getOutputDimensions, toResizeOptions } from "../lib/resize";
+
+// Stands in for the selected image in the preview when nothing is selected
+const EXAMPLE_FILE = { name: 'photo.jpg', type: 'image/jpeg' };
+const EXAMPLE_DIMENSIONS = { width: 1920, height: 1080 };
+
+// File name template with clickable tokens and a live preview for the selected image
+const FileNameControls = ({ template, onChange, file, sourceDimensions, resize, outputFormat, quality }) => {
+    const inputRef = useRef(null);
+    const source = file || EXAMPLE_FILE;
+    const { width, height } = getOutputDimensions(sourceDimensions || EXAMPLE_DIMENSIONS, toResizeOptions(resize));
+    // {hash} depends on the output and stays as it is until the image is compressed
+    const preview = getCompressedFileName(source.name, outputFormat === 'original' ? source.type : outputFormat, {
+        template, width, height, quality, date: new Date(), index: 1,
+    });
+
+    // Insert a token at the cursor, or at the end when the field hasn't been focused
+    const insertToken = (token) => {
+        const input = inputRef.current;
+        const start = input?.selectionStart ?? template.length;
+        const end = input?.selectionEnd ?? template.length;
+        onChange(template.slice(0, start) + token + template.slice(end));
+        requestAnimationFrame(() => {
+            input?.focus();
+            input?.setSelectionRange(start + token.length, start + token.length);
+        });
+    };
+
+    return (
+        <div className="mt-6 w-full text-left">
+            <label htmlFor="file-name-template" className="block text-gray-700 text-sm font-bold mb-2">File Name</label>
+            <div className="flex gap-2">
+                <input
+                    ref={inputRef}
+                    type="text"
+                    id="file-name-template"
+                    value={template}
+                    onChange={(e) => onChange(e.target.value)}
+                    spellCheck={false}
+                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono focus:outline-hidden focus:ring-2 focus:ring-indigo-500"
+                />
+                {template !== DEFAULT_FILE_NAME_TEMPLATE && (
+                    <button
+                        onClick={() => onChange(DEFAULT_FILE_NAME_TEMPLATE)}
+                        className="px-3 py-2 text-sm text-indigo-700 border border-indigo-200 rounded-lg hover:bg-indigo-50"
+                    >
+                        Reset
+                    </button>
+                )}
+            </div>
+            <div className="flex flex-wrap gap-1 mt-2">
+                {FILE_NAME_TOKENS.map(({ token, description }) => (
+                    <button
+                        key={token}
+                        onClick={() => insertToken(token)}
+                        title={description}
+                        className="px-2 py-0.5 text-xs font-mono bg-indigo-50 text-indigo-700 rounded-sm hover:bg-indigo-100"
+                    >
+                        {token}
+                    </button>
+                ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-2">
+                Preview{file ? '' : ' (example)'}: <span className="font-mono text-gray-700 break-all">{preview}</span>
+            </p>
+            <p className="text-xs text-gray-500 mt-1">
+                Characters that aren't allowed in file names are replaced with "_". The extension is added if the template has no {'{ext}'}.
+            </p>
+        </div>
+    );
+};
+
+export default FileNameControls;
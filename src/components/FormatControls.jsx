@@ -0,0 +1,43 @@
+import React from "react";
+import { OUTPUT_FORMATS } from "../lib/formats";
+
+// Output format selector with the background color used when transparency is flattened
+const FormatControls = ({ outputFormat, onFormatChange, backgroundColor, onBackgroundColorChange, supportedEncoders }) => {
+    return (
+        <div className="mt-6 w-full text-left">
+            <div className="flex flex-wrap items-end gap-4">
+                <label className="text-gray-700 text-sm font-bold">
+                    Output Format
+                    <select
+                        value={outputFormat}
+                        onChange={(e) => onFormatChange(e.target.value)}
+                        className="block mt-2 px-3 py-2 border border-gray-300 rounded-lg text-sm font-normal focus:outline-hidden focus:ring-2 focus:ring-indigo-500"
+                    >
+                        <option value="original">Same as original</option>
+                        {OUTPUT_FORMATS.map(format => (
+                            <option key={format.mimeType} value={format.mimeType} disabled={!supportedEncoders.includes(format.mimeType)}>
+                                {format.label}{supportedEncoders.includes(format.mimeType) ? '' : ' (not supported by this browser)'}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                {outputFormat === 'image/jpeg' && (
+                    <label className="text-gray-700 text-sm font-bold flex items-center">
+                        Background
+                        <input
+                            type="color"
+                            value={backgroundColor}
+                            onChange={(e) => onBackgroundColorChange(e.target.value)}
+                            className="ml-2 h-9 w-12 border border-gray-300 rounded-sm cursor-pointer"
+                        />
+                    </label>
+                )}
+            </div>
+            {outputFormat === 'image/jpeg' && (
+                <p className="text-xs text-gray-500 mt-2">JPEG has no transparency, transparent areas are filled with the background color.</p>
+            )}
+        </div>
+    );
+};
+
+export default FormatControls;
@@ -0,0 +1,96 @@
+import React, { useEffect, useState } from "react";
+import { METADATA_CATEGORIES, readMetadata, getMetadataFields } from "../lib/metadata";
+
+// Whether a field of the source survives the policy.
+// Location data inside XMP/IPTC is removed with location; orientation is always applied.
+const isFieldKept = (field, policy) => {
+    if (field.name === 'Orientation') {
+        return true;
+    }
+    if (field.source === 'exif') {
+        return policy[field.category];
+    }
+    return policy[field.source] && policy[field.category];
+};
+
+// EXIF/XMP/IPTC inspector for the selected file, with a keep/strip choice per category
+const MetadataInspector = ({ file, policy, onPolicyChange, outputFormat }) => {
+    const [fields, setFields] = useState(null); // null while reading
+
+    useEffect(() => {
+        if (!file) {
+            return;
+        }
+        let cancelled = false;
+        setFields(null);
+        readMetadata(file)
+            .then(metadata => getMetadataFields(metadata))
+            .catch(() => [])
+            .then(result => {
+                if (!cancelled) {
+                    setFields(result);
+                }
+            });
+        return () => { cancelled = true; };
+    }, [file]);
+
+    const countByCategory = (fields || []).reduce((counts, field) => {
+        counts[field.category] = (counts[field.category] || 0) + 1;
+        return counts;
+    }, {});
+    const outputType = outputFormat === 'original' ? file?.type : outputFormat;
+
+    return (
+        <div className="mt-6 w-full text-left">
+            <p className="block text-gray-700 text-sm font-bold mb-2">Metadata</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-x-4 gap-y-1">
+                {METADATA_CATEGORIES.map(category => (
+                    <label key={category.id} className="flex items-center text-sm text-gray-700">
+                        <input
+                            type="checkbox"
+                            checked={policy[category.id]}
+                            onChange={(e) => onPolicyChange({ ...policy, [category.id]: e.target.checked })}
+                            className="mr-2 accent-indigo-600"
+                        />
+                        Keep {category.label.toLowerCase()}
+                        {countByCategory[category.id] > 0 && (
+                            <span className="ml-1 text-xs text-gray-500">({countByCategory[category.id]})</span>
+                        )}
+                    </label>
+                ))}
+            </div>
+            {policy.iptc && outputType && outputType !== 'image/jpeg' && outputType !== 'image/jpg' && (
+                <p className="text-xs text-gray-500 mt-2">IPTC can only be kept in JPEG output.</p>
+            )}
+
+            {file && (
+                <details className="mt-3 bg-gray-50 border border-gray-200 rounded-lg">
+                    <summary className="px-3 py-2 text-sm text-gray-700 cursor-pointer">
+                        {fields === null ? "Reading metadata..." : `Metadata in this image (${fields.length} fields)`}
+                    </summary>
+                    {fields !== null && (fields.length === 0 ? (
+                        <p className="px-3 pb-3 text-xs text-gray-500">This image has no EXIF, XMP or IPTC metadata.</p>
+                    ) : (
+                        <table className="w-full text-xs">
+                            <tbody>
+                                {fields.map((field, i) => {
+                                    const kept = isFieldKept(field, policy);
+                                    return (
+                                        <tr key={i} className={`border-t border-gray-200 ${kept ? 'text-gray-700' : 'text-gray-400 line-through'}`}>
+                                            <td className="px-3 py-1 font-medium whitespace-nowrap align-top">{field.name}</td>
+                                            <td className="px-3 py-1 break-all">{field.value}</td>
+                                            <td className="px-3 py-1 whitespace-nowrap align-top no-underline">{kept ? 'Kept' : 'Stripped'}</td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    ))}
+                    <p className="px-3 pb-2 text-xs text-gray-500">The EXIF orientation is applied to the pixels, so the output is always upright.</p>
+                </details>
+            )}
+        </div>
+    );
+};
+
+export default MetadataInspector;
@@ -0,0 +1,64 @@
+import React from "react";
+import { DITHERING_OPTIONS } from "../lib/quantize";
+
+// PNG options: lossless optimization, or color quantization to a palette with a dithering choice
+const PngControls = ({ png, onChange }) => {
+    const update = (changes) => onChange({ ...png, ...changes });
+    const isQuantized = png.colors > 0;
+
+    return (
+        <div className="mt-6 w-full text-left">
+            <p className="block text-gray-700 text-sm font-bold mb-2">PNG Optimization</p>
+            <div className="flex rounded-lg border border-indigo-200 overflow-hidden mb-3 text-sm font-semibold">
+                <button
+                    onClick={() => update({ colors: 0 })}
+                    className={`flex-1 px-4 py-2 transition-colors ${!isQuantized ? 'bg-indigo-600 text-white' : 'bg-white text-indigo-700 hover:bg-indigo-50'}`}
+                >
+                    Lossless
+                </button>
+                <button
+                    onClick={() => update({ colors: 256 })}
+                    className={`flex-1 px-4 py-2 transition-colors ${isQuantized ? 'bg-indigo-600 text-white' : 'bg-white text-indigo-700 hover:bg-indigo-50'}`}
+                >
+                    Reduce Colors
+                </button>
+            </div>
+
+            {isQuantized ? (
+                <>
+                    <label htmlFor="png-colors-slider" className="block text-xs text-gray-600 mb-1">
+                        Colors: {png.colors}
+                    </label>
+                    <input
+                        type="range"
+                        id="png-colors-slider"
+                        min="2"
+                        max="256"
+                        value={png.colors}
+                        onChange={(e) => update({ colors: Number(e.target.value) })}
+                        className="w-full h-2 bg-indigo-200 rounded-lg appearance-none cursor-pointer"
+                    />
+                    <label className="block text-xs text-gray-600 mt-3">
+                        Dithering
+                        <select
+                            value={png.dithering}
+                            onChange={(e) => update({ dithering: e.target.value })}
+                            className="block mt-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-hidden focus:ring-2 focus:ring-indigo-500"
+                        >
+                            {DITHERING_OPTIONS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+                        </select>
+                    </label>
+                    <p className="text-xs text-gray-500 mt-2">
+                        Lossy: the image is reduced to a palette. Transparency is preserved. Dithering hides banding in gradients at the cost of a slightly larger file.
+                    </p>
+                </>
+            ) : (
+                <p className="text-xs text-gray-500">
+                    Pixels stay identical: the smallest PNG color type, the best row filters and maximum deflate compression are picked automatically.
+                </p>
+            )}
+        </div>
+    );
+};
+
+export default PngControls;
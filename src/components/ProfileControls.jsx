@@ -0,0 +1,91 @@
+import React, { useRef, useState } from "react";
+import { BUILT_IN_PRESETS } from "../lib/profiles";
+
+const buttonClassName = "px-3 py-2 rounded-lg text-xs font-semibold border border-indigo-200 bg-white text-indigo-700 hover:bg-indigo-50 disabled:opacity-50 transition-colors";
+
+// Preset/profile picker with save, delete, import and export.
+// Choosing an entry applies its settings right away; they can still be tweaked afterwards.
+const ProfileControls = ({ profiles, onApply, onSave, onDelete, onImport, onExport }) => {
+    const [selectedId, setSelectedId] = useState('');
+    const [newName, setNewName] = useState('');
+    const importInputRef = useRef(null);
+
+    const allProfiles = [...BUILT_IN_PRESETS, ...profiles];
+    const selectedProfile = profiles.find(profile => profile.id === selectedId);
+
+    const handleSelect = (id) => {
+        setSelectedId(id);
+        const profile = allProfiles.find(candidate => candidate.id === id);
+        if (profile) {
+            onApply(profile);
+        }
+    };
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        if (!newName.trim()) {
+            return;
+        }
+        setSelectedId(onSave(newName.trim()).id);
+        setNewName('');
+    };
+
+    const handleImportChange = (e) => {
+        const file = e.target.files?.[0];
+        if (file) {
+            onImport(file);
+        }
+        e.target.value = '';
+    };
+
+    return (
+        <div className="mt-6 w-full text-left">
+            <label htmlFor="profile-select" className="block text-gray-700 text-sm font-bold mb-2">Preset / Profile</label>
+            <div className="flex flex-wrap gap-2">
+                <select
+                    id="profile-select"
+                    value={selectedId}
+                    onChange={(e) => handleSelect(e.target.value)}
+                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-hidden focus:ring-2 focus:ring-indigo-500"
+                >
+                    <option value="">Custom settings</option>
+                    <optgroup label="Presets">
+                        {BUILT_IN_PRESETS.map(preset => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+                    </optgroup>
+                    {profiles.length > 0 && (
+                        <optgroup label="My profiles">
+                            {profiles.map(profile => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+                        </optgroup>
+                    )}
+                </select>
+                <button
+                    onClick={() => { onDelete(selectedProfile); setSelectedId(''); }}
+                    disabled={!selectedProfile}
+                    className={buttonClassName}
+                    title="Delete the selected profile"
+                >
+                    Delete
+                </button>
+            </div>
+
+            <form onSubmit={handleSave} className="flex flex-wrap gap-2 mt-2">
+                <input
+                    type="text"
+                    value={newName}
+                    onChange={(e) => setNewName(e.target.value)}
+                    placeholder="Profile name, e.g. Blog hero"
+                    className="flex-1 min-w-0 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-hidden focus:ring-2 focus:ring-indigo-500"
+                />
+                <button type="submit" disabled={!newName.trim()} className={buttonClassName}>Save current settings</button>
+            </form>
+
+            <div className="flex gap-2 mt-2">
+                <button onClick={() => importInputRef.current.click()} className={buttonClassName}>Import profiles</button>
+                <button onClick={onExport} disabled={profiles.length === 0} className={buttonClassName}>Export profiles</button>
+                <input ref={importInputRef} type="file" accept="application/json,.json" onChange={handleImportChange} className="hidden" />
+            </div>
+        </div>
+    );
+};
+
+export default ProfileControls;
@@ -0,0 +1,87 @@
+import React from "react";
+import { RESIZE_PRESETS } from "../lib/resize";
+
+const inputClassName = "w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-hidden focus:ring-2 focus:ring-indigo-500 text-sm";
+
+// Width/height, max size, resize mode and preset controls.
+// `sourceDimensions` (the selected image's size) is used to keep the aspect ratio when it is locked.
+// Unlocked, fit mode stretches the image to the exact width and height.
+const ResizeControls = ({ resize, onChange, sourceDimensions }) => {
+    const update = (changes) => onChange({ ...resize, ...changes });
+
+    // Keep width and height proportional to the selected image while the aspect ratio is locked
+    const handleDimensionChange = (field, value) => {
+        const changes = { [field]: value };
+        if (resize.lockAspect && sourceDimensions && Number(value) > 0) {
+            const ratio = sourceDimensions.width / sourceDimensions.height;
+            if (field === 'width') {
+                changes.height = Math.round(Number(value) / ratio);
+            } else {
+                changes.width = Math.round(Number(value) * ratio);
+            }
+        }
+        update(changes);
+    };
+
+    const hasBothDimensions = Number(resize.width) > 0 && Number(resize.height) > 0;
+    const isPresetActive = (preset) => Object.keys(preset.resize).every(key => String(preset.resize[key]) === String(resize[key]));
+
+    return (
+        <div className="mt-6 w-full text-left">
+            <p className="block text-gray-700 text-sm font-bold mb-2">Resize</p>
+            <div className="flex flex-wrap gap-2 mb-4">
+                {RESIZE_PRESETS.map(preset => (
+                    <button
+                        key={preset.label}
+                        onClick={() => onChange(preset.resize)}
+                        className={`px-3 py-1 rounded-full text-xs font-semibold border transition-colors ${isPresetActive(preset) ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-indigo-700 border-indigo-200 hover:bg-indigo-50'}`}
+                    >
+                        {preset.label}
+                    </button>
+                ))}
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+                <label className="text-xs text-gray-600">
+                    Width (px)
+                    <input type="number" min="1" value={resize.width} placeholder="Auto" onChange={(e) => handleDimensionChange('width', e.target.value)} className={inputClassName} />
+                </label>
+                <label className="text-xs text-gray-600">
+                    Height (px)
+                    <input type="number" min="1" value={resize.height} placeholder="Auto" onChange={(e) => handleDimensionChange('height', e.target.value)} className={inputClassName} />
+                </label>
+                <label className="text-xs text-gray-600">
+                    Max width (px)
+                    <input type="number" min="1" value={resize.maxWidth} placeholder="None" onChange={(e) => update({ maxWidth: e.target.value })} className={inputClassName} />
+                </label>
+                <label className="text-xs text-gray-600">
+                    Max height (px)
+                    <input type="number" min="1" value={resize.maxHeight} placeholder="None" onChange={(e) => update({ maxHeight: e.target.value })} className={inputClassName} />
+                </label>
+            </div>
+
+            <div className="flex flex-wrap items-center gap-4 mt-3">
+                <label className="text-xs text-gray-600 flex items-center">
+                    Mode
+                    <select value={resize.mode} onChange={(e) => update({ mode: e.target.value })} className="ml-2 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:outline-hidden focus:ring-2 focus:ring-indigo-500">
+                        <option value="fit">Fit (stretch when unlocked)</option>
+                        <option value="contain">Contain (exact size, letterbox)</option>
+                        <option value="cover">Cover (exact size, crop)</option>
+                    </select>
+                </label>
+                <label className="text-xs text-gray-600 flex items-center">
+                    <input type="checkbox" checked={resize.lockAspect} onChange={(e) => update({ lockAspect: e.target.checked })} className="mr-2" />
+                    Lock aspect ratio
+                </label>
+            </div>
+            {resize.mode !== 'fit' && !hasBothDimensions && (
+                <p className="text-xs text-yellow-700 mt-2">Contain and cover need both a width and a height.</p>
+            )}
+            {resize.mode === 'fit' && !resize.lockAspect && hasBothDimensions && (
+                <p className="text-xs text-yellow-700 mt-2">Aspect ratio unlocked: the image is stretched to exactly {resize.width}×{resize.height}px.</p>
+            )}
+        </div>
+    );
+};
+
+export default ResizeControls;
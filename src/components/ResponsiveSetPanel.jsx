@@ -0,0 +1,201 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+    RESPONSIVE_WIDTHS, RESPONSIVE_FORMATS, DEFAULT_RESPONSIVE_FORMATS, getSetWidths, generateResponsiveSet,
+    buildImgMarkup, buildPictureMarkup, buildResponsiveManifest, createResponsiveBundle,
+} from "../lib/responsive";
+import { ERROR_CODES } from "../lib/errors";
+import { formatBytes } from "../lib/files";
+import { getFormatLabel } from "../lib/formats";
+
+const toggle = (values, value) => (values.includes(value) ? values.filter(v => v !== value) : [...values, value]);
+
+const getBaseName = (fileName) => fileName.replace(/\.[^.]+$/, '');
+
+// A read-only code block with a copy button
+const Snippet = ({ label, code, onCopy }) => (
+    <div className="mt-3">
+        <div className="flex items-center justify-between mb-1">
+            <span className="text-xs font-semibold text-gray-600">{label}</span>
+            <button onClick={() => onCopy(code, label)} className="text-xs font-semibold text-indigo-600 hover:underline">Copy</button>
+        </div>
+        <pre className="p-2 bg-gray-900 text-gray-100 text-xs rounded-lg overflow-x-auto whitespace-pre">{code}</pre>
+    </div>
+);
+
+// Responsive set mode: the selected image at several widths in modern formats plus a fallback, with
+// copy-ready <img srcset> / <picture> markup and one ZIP of images, markup and manifest.
+// `compressOptions` are the current settings; their resize, format and file name are set per variant.
+const ResponsiveSetPanel = ({ file, crop, sourceDimensions, compressOptions, supportedEncoders, onDownload, onToast }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [widths, setWidths] = useState(RESPONSIVE_WIDTHS);
+    const [formats, setFormats] = useState(DEFAULT_RESPONSIVE_FORMATS);
+    const [sizes, setSizes] = useState('100vw');
+    const [basePath, setBasePath] = useState('');
+    const [alt, setAlt] = useState('');
+    const [progress, setProgress] = useState(null); // Percent while generating
+    const [set, setSet] = useState(null);
+    const controllerRef = useRef(null);
+
+    // A set belongs to one image and crop
+    useEffect(() => {
+        setSet(null);
+        return () => controllerRef.current?.abort();
+    }, [file, crop]);
+
+    const availableFormats = RESPONSIVE_FORMATS.filter(format => supportedEncoders.includes(format));
+    const selectedFormats = availableFormats.filter(format => formats.includes(format));
+    const selectedWidths = RESPONSIVE_WIDTHS.filter(width => widths.includes(width));
+    const setWidthsPreview = sourceDimensions ? getSetWidths(selectedWidths, sourceDimensions.width) : selectedWidths;
+    const markupOptions = { sizes: sizes.trim() || '100vw', basePath, alt };
+
+    const handleGenerate = async () => {
+        const controller = new AbortController();
+        controllerRef.current = controller;
+        setSet(null);
+        setProgress(0);
+        try {
+            const result = await generateResponsiveSet(file, {
+                widths: selectedWidths,
+                formats: selectedFormats,
+                compressOptions,
+                crop,
+                onProgress: setProgress,
+                signal: controller.signal,
+            });
+            setSet(result);
+            onToast(`Generated ${result.variants.length} images.`, "success");
+        } catch (err) {
+            if (err.code !== ERROR_CODES.CANCELLED) {
+                console.error("Error generating the responsive set:", err);
+                onToast(`Failed to generate the responsive set: ${err.message}`, "error");
+            }
+        } finally {
+            // Only the latest run clears the progress
+            if (controllerRef.current === controller) {
+                controllerRef.current = null;
+                setProgress(null);
+            }
+        }
+    };
+
+    const handleCopy = async (code, label) => {
+        try {
+            await navigator.clipboard.writeText(code);
+            onToast(`${label} copied to clipboard!`, "success");
+        } catch (err) {
+            console.error("Error copying to clipboard:", err);
+            onToast("Could not copy to the clipboard.", "error");
+        }
+    };
+
+    const handleDownloadBundle = async () => {
+        try {
+            onDownload(await createResponsiveBundle(set, markupOptions), `${getBaseName(set.source.fileName)}-responsive.zip`);
+            onToast(`Downloaded ${set.variants.length} images with markup and manifest as ZIP!`, "success");
+        } catch (err) {
+            console.error("Error creating ZIP:", err);
+            onToast(`Failed to create ZIP: ${err.message}`, "error");
+        }
+    };
+
+    const chipClass = (active) => `px-3 py-1 text-xs font-semibold rounded-full border transition-colors ${active ? 'bg-indigo-600 text-white border-indigo-600' : 'bg-white text-indigo-700 border-indigo-200 hover:bg-indigo-50'}`;
+    const inputClass = "w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-hidden focus:ring-2 focus:ring-indigo-500";
+    const isGenerating = progress !== null;
+
+    return (
+        <div className="mt-6 w-full text-left">
+            <button onClick={() => setIsOpen(!isOpen)} className="text-gray-700 text-sm font-bold">
+                {isOpen ? '▾' : '▸'} Responsive Image Set
+            </button>
+            {isOpen && (
+                <div className="mt-3 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                    <p className="text-xs text-gray-500 mb-3">
+                        Generates every width in each format from the selected image, with srcset markup and a manifest. Uses the current quality and metadata settings; target size falls back to quality.
+                    </p>
+
+                    <span className="block text-gray-700 text-sm font-bold mb-1">Widths</span>
+                    <div className="flex flex-wrap gap-1 mb-1">
+                        {RESPONSIVE_WIDTHS.map(width => (
+                            <button key={width} onClick={() => setWidths(toggle(widths, width))} className={chipClass(widths.includes(width))}>
+                                {width}w
+                            </button>
+                        ))}
+                    </div>
+                    {sourceDimensions && setWidthsPreview.join() !== selectedWidths.join() && (
+                        <p className="text-xs text-gray-500 mb-1">
+                            The image is {sourceDimensions.width}px wide and isn't upscaled: generates {setWidthsPreview.map(width => `${width}w`).join(', ')}.
+                        </p>
+                    )}
+
+                    <span className="block text-gray-700 text-sm font-bold mt-3 mb-1">Formats</span>
+                    <div className="flex flex-wrap gap-1">
+                        {availableFormats.map(format => (
+                            <button key={format} onClick={() => setFormats(toggle(formats, format))} className={chipClass(formats.includes(format))}>
+                                {getFormatLabel(format)}
+                            </button>
+                        ))}
+                    </div>
+                    <p className="text-xs text-gray-500 mt-1">The last selected format is the &lt;img&gt; fallback, the others become &lt;source&gt; elements.</p>
+
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mt-3">
+                        <label className="text-sm text-gray-700">
+                            <span className="block font-bold mb-1">sizes</span>
+                            <input type="text" value={sizes} onChange={(e) => setSizes(e.target.value)} spellCheck={false} className={`${inputClass} font-mono`} />
+                        </label>
+                        <label className="text-sm text-gray-700">
+                            <span className="block font-bold mb-1">Path prefix</span>
+                            <input type="text" value={basePath} onChange={(e) => setBasePath(e.target.value)} placeholder="/images/" spellCheck={false} className={`${inputClass} font-mono`} />
+                        </label>
+                        <label className="text-sm text-gray-700">
+                            <span className="block font-bold mb-1">Alt text</span>
+                            <input type="text" value={alt} onChange={(e) => setAlt(e.target.value)} className={inputClass} />
+                        </label>
+                    </div>
+
+                    {isGenerating ? (
+                        <button
+                            onClick={() => controllerRef.current?.abort()}
+                            className="mt-4 w-full px-4 py-2 bg-white text-indigo-700 border-2 border-indigo-600 font-semibold rounded-lg hover:bg-indigo-50"
+                        >
+                            Generating... {Math.round(progress)}% · Cancel
+                        </button>
+                    ) : (
+                        <button
+                            onClick={handleGenerate}
+                            disabled={selectedWidths.length === 0 || selectedFormats.length === 0}
+                            className="mt-4 w-full px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-60"
+                        >
+                            Generate {setWidthsPreview.length * selectedFormats.length} Images
+                        </button>
+                    )}
+
+                    {set && (
+                        <div className="mt-4">
+                            <ul className="text-sm divide-y divide-gray-200 border border-gray-200 rounded-lg bg-white">
+                                {set.variants.map(variant => (
+                                    <li key={variant.fileName} className="flex items-center justify-between gap-2 px-3 py-1.5">
+                                        <span className="font-mono text-xs truncate">{variant.fileName}</span>
+                                        <span className="text-xs text-gray-500 whitespace-nowrap">
+                                            {variant.width}×{variant.height} · {formatBytes(variant.size)}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                            <Snippet label="<picture>" code={buildPictureMarkup(set, markupOptions)} onCopy={handleCopy} />
+                            <Snippet label="<img srcset>" code={buildImgMarkup(set, markupOptions)} onCopy={handleCopy} />
+                            <Snippet label="Manifest" code={JSON.stringify(buildResponsiveManifest(set, markupOptions), null, 2)} onCopy={handleCopy} />
+                            <button
+                                onClick={handleDownloadBundle}
+                                className="mt-4 w-full px-4 py-2 bg-green-500 text-white font-semibold rounded-lg hover:bg-green-600"
+                            >
+                                Download Bundle (ZIP)
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ResponsiveSetPanel;
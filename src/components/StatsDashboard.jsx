@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from "react";
+import { summarizeStats, getDailySeries } from "../lib/stats";
+import { formatBytes } from "../lib/files";
+import { getFormatLabel } from "../lib/formats";
+
+const CHART_RANGES = [14, 30, 90]; // Days
+
+const StatTile = ({ label, value, detail }) => (
+    <div className="bg-indigo-50 rounded-lg p-3">
+        <p className="text-xs font-semibold text-indigo-700 uppercase tracking-wide">{label}</p>
+        <p className="text-xl md:text-2xl font-bold text-gray-800">{value}</p>
+        {detail && <p className="text-xs text-gray-600">{detail}</p>}
+    </div>
+);
+
+// Bytes saved per day as a bar chart; days where outputs grew in total show no bar
+const DailyChart = ({ series }) => {
+    const max = Math.max(...series.map(day => day.savedBytes), 1);
+    return (
+        <div>
+            <div className="flex items-end gap-px h-32 border-b border-gray-300">
+                {series.map(day => (
+                    <div
+                        key={day.day}
+                        title={`${day.day}: ${formatBytes(Math.max(0, day.savedBytes))} saved · ${day.files} ${day.files === 1 ? 'file' : 'files'}`}
+                        className="flex-1 h-full flex items-end hover:bg-indigo-50"
+                    >
+                        <div className="w-full bg-indigo-500 rounded-t-sm" style={{ height: `${(Math.max(0, day.savedBytes) / max) * 100}%` }} />
+                    </div>
+                ))}
+            </div>
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{series[0].day}</span>
+                <span>{series[series.length - 1].day}</span>
+            </div>
+        </div>
+    );
+};
+
+// Dashboard of the local compression stats (see lib/stats.js)
+const StatsDashboard = ({ stats, onExport, onClear, onClose }) => {
+    const [range, setRange] = useState(30);
+    const summary = summarizeStats(stats);
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, [onClose]);
+
+    return (
+        <div className="fixed inset-0 bg-black/50 flex items-center justify-center p-4 z-[10000]" onClick={onClose}>
+            <div
+                className="bg-white rounded-lg shadow-2xl p-6 md:p-8 max-w-2xl w-full max-h-[90vh] overflow-y-auto relative animate-fade-in-down"
+                onClick={(e) => e.stopPropagation()}
+            >
+                <button
+                    onClick={onClose}
+                    className="absolute top-4 right-4 text-gray-500 hover:text-gray-800 text-2xl font-bold focus:outline-hidden"
+                >
+                    &times;
+                </button>
+                <h2 className="text-2xl md:text-3xl font-bold text-gray-800 mb-1">Your Stats</h2>
+                <p className="text-xs md:text-sm text-gray-600 mb-4 border-b pb-2">
+                    Stored only in this browser{summary.firstDay && ` since ${summary.firstDay}`}. No file names or images are kept, and nothing is sent anywhere.
+                </p>
+
+                {summary.files === 0 ? (
+                    <p className="text-gray-600 py-8 text-center">No compressions yet. Totals appear here after your first compressed image.</p>
+                ) : (
+                    <>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                            <StatTile label="Bytes saved" value={formatBytes(Math.max(0, summary.savedBytes))} detail={`of ${formatBytes(summary.originalBytes)}`} />
+                            <StatTile label="Images" value={summary.files.toLocaleString()} />
+                            <StatTile label="Avg. reduction" value={`${summary.averageReduction.toFixed(1)}%`} detail="per image" />
+                            <StatTile label="Total reduction" value={`${summary.totalReduction.toFixed(1)}%`} detail="of all bytes" />
+                        </div>
+
+                        <div className="flex items-center justify-between mt-6 mb-2">
+                            <h3 className="text-sm font-bold text-gray-700">Saved per day</h3>
+                            <div className="flex rounded-lg border border-indigo-200 overflow-hidden text-xs font-semibold">
+                                {CHART_RANGES.map(days => (
+                                    <button
+                                        key={days}
+                                        onClick={() => setRange(days)}
+                                        className={`px-3 py-1 transition-colors ${range === days ? 'bg-indigo-600 text-white' : 'bg-white text-indigo-700 hover:bg-indigo-50'}`}
+                                    >
+                                        {days}d
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                        <DailyChart series={getDailySeries(stats, range)} />
+
+                        <h3 className="text-sm font-bold text-gray-700 mt-6 mb-2">Images by output format</h3>
+                        <ul className="space-y-1">
+                            {summary.formats.map(({ format, files }) => (
+                                <li key={format} className="flex items-center gap-2 text-sm">
+                                    <span className="w-16 text-gray-700">{getFormatLabel(format)}</span>
+                                    <div className="flex-1 bg-gray-100 rounded-full h-2">
+                                        <div className="bg-indigo-500 h-2 rounded-full" style={{ width: `${(files / summary.files) * 100}%` }} />
+                                    </div>
+                                    <span className="w-12 text-right text-gray-600">{files}</span>
+                                </li>
+                            ))}
+                        </ul>
+                    </>
+                )}
+
+                <div className="flex flex-wrap gap-2 mt-6">
+                    <button
+                        onClick={onExport}
+                        disabled={summary.files === 0}
+                        className="px-4 py-2 bg-indigo-600 text-white font-semibold rounded-lg hover:bg-indigo-700 disabled:opacity-60"
+                    >
+                        Export CSV
+                    </button>
+                    <button
+                        onClick={onClear}
+                        disabled={summary.files === 0}
+                        className="px-4 py-2 text-red-600 border border-red-200 font-semibold rounded-lg hover:bg-red-50 disabled:opacity-60"
+                    >
+                        Reset Stats
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default StatsDashboard;
@@ -0,0 +1,224 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+    WATERMARK_POSITIONS, WATERMARK_FONTS, MAX_WATERMARK_IMAGE_SIZE, loadWatermark, readWatermarkImage,
+} from "../lib/watermark";
+import { loadImage } from "../lib/imageInfo";
+import { formatBytes } from "../lib/files";
+
+const PREVIEW_EDGE = 280; // Longest edge of the preview
+const WATERMARK_TYPES = [
+    { id: 'none', label: 'None' },
+    { id: 'text', label: 'Text' },
+    { id: 'image', label: 'Logo' },
+];
+const LOGO_TYPES = ['image/png', 'image/webp', 'image/jpeg', 'image/gif'];
+
+// Watermark settings: a text line or a logo, its position on a 3×3 grid or tiled, and a live
+// preview on the selected image. The same settings are stamped on every image of the batch.
+const WatermarkControls = ({ watermark, onChange, file, onError }) => {
+    const update = (changes) => onChange({ ...watermark, ...changes });
+    const [image, setImage] = useState(null);
+    const canvasRef = useRef(null);
+    const logoInputRef = useRef(null);
+    const isEnabled = watermark.type !== 'none';
+    // Offsets are insets from the edges the mark is anchored to, a centered axis has none
+    const hasOffsetX = /left|right/.test(watermark.position);
+    const hasOffsetY = /top|bottom/.test(watermark.position);
+
+    // Decode the selected image once per file, for the preview
+    useEffect(() => {
+        if (!file || !isEnabled) {
+            return undefined;
+        }
+        let cancelled = false;
+        let loaded = null;
+        loadImage(file)
+            .then(result => {
+                if (cancelled) {
+                    result.release();
+                } else {
+                    loaded = result;
+                    setImage(result);
+                }
+            })
+            .catch(() => {});
+        return () => {
+            cancelled = true;
+            loaded?.release();
+            setImage(null);
+        };
+    }, [file, isEnabled]);
+
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) {
+            return undefined;
+        }
+        // A neutral stand-in shows the placement when no image is selected
+        const source = image || { width: 4, height: 3 };
+        const scale = PREVIEW_EDGE / Math.max(source.width, source.height);
+        const width = Math.max(1, Math.round(source.width * scale));
+        const height = Math.max(1, Math.round(source.height * scale));
+        let cancelled = false;
+        let mark = null;
+        loadWatermark(watermark)
+            .then(result => {
+                if (cancelled) {
+                    result?.release();
+                    return;
+                }
+                mark = result;
+                canvas.width = width;
+                canvas.height = height;
+                const context = canvas.getContext('2d');
+                if (image) {
+                    context.drawImage(image.source, 0, 0, width, height);
+                } else {
+                    context.fillStyle = '#9ca3af';
+                    context.fillRect(0, 0, width, height);
+                }
+                mark?.apply(context, width, height);
+            })
+            .catch(() => {});
+        return () => {
+            cancelled = true;
+            mark?.release();
+        };
+    }, [image, watermark]);
+
+    const handleLogoChange = async (e) => {
+        const logo = e.target.files[0];
+        e.target.value = '';
+        if (!logo) {
+            return;
+        }
+        if (!LOGO_TYPES.includes(logo.type)) {
+            onError("The logo must be a PNG, WebP, JPEG or GIF image.");
+            return;
+        }
+        if (logo.size > MAX_WATERMARK_IMAGE_SIZE) {
+            onError(`The logo is too large (max ${formatBytes(MAX_WATERMARK_IMAGE_SIZE)}).`);
+            return;
+        }
+        try {
+            update({ image: await readWatermarkImage(logo), imageName: logo.name });
+        } catch (err) {
+            console.error("Error reading the logo:", err);
+            onError("Could not read the logo.");
+        }
+    };
+
+    const inputClass = "px-3 py-2 border border-gray-300 rounded-lg text-sm focus:outline-hidden focus:ring-2 focus:ring-indigo-500";
+    const sliderClass = "w-full h-2 bg-indigo-200 rounded-lg appearance-none cursor-pointer";
+
+    return (
+        <div className="mt-6 w-full text-left">
+            <p className="block text-gray-700 text-sm font-bold mb-2">Watermark</p>
+            <div className="flex rounded-lg border border-indigo-200 overflow-hidden mb-3 text-sm font-semibold">
+                {WATERMARK_TYPES.map(type => (
+                    <button
+                        key={type.id}
+                        onClick={() => update({ type: type.id })}
+                        className={`flex-1 px-4 py-2 transition-colors ${watermark.type === type.id ? 'bg-indigo-600 text-white' : 'bg-white text-indigo-700 hover:bg-indigo-50'}`}
+                    >
+                        {type.label}
+                    </button>
+                ))}
+            </div>
+
+            {isEnabled && (
+                <>
+                    {watermark.type === 'text' ? (
+                        <div className="flex flex-wrap items-center gap-2">
+                            <input
+                                type="text"
+                                value={watermark.text}
+                                onChange={(e) => update({ text: e.target.value })}
+                                placeholder="© Company"
+                                className={`flex-1 min-w-[10rem] ${inputClass}`}
+                            />
+                            <select value={watermark.font} onChange={(e) => update({ font: e.target.value })} className={inputClass}>
+                                {WATERMARK_FONTS.map(font => <option key={font.id} value={font.id}>{font.label}</option>)}
+                            </select>
+                            <input
+                                type="color"
+                                value={watermark.color}
+                                onChange={(e) => update({ color: e.target.value })}
+                                className="w-10 h-9 border border-gray-300 rounded-sm cursor-pointer"
+                                title="Text color"
+                            />
+                            <label className="flex items-center gap-1 text-sm text-gray-700">
+                                <input type="checkbox" checked={watermark.bold} onChange={(e) => update({ bold: e.target.checked })} />
+                                Bold
+                            </label>
+                        </div>
+                    ) : (
+                        <div className="flex flex-wrap items-center gap-2">
+                            <button
+                                onClick={() => logoInputRef.current.click()}
+                                className="px-3 py-2 text-sm text-indigo-700 border border-indigo-200 rounded-lg hover:bg-indigo-50"
+                            >
+                                {watermark.image ? "Replace logo" : "Choose logo"}
+                            </button>
+                            <span className="text-sm text-gray-600 truncate">{watermark.image ? watermark.imageName || "Logo" : "PNG with transparency works best"}</span>
+                            <input ref={logoInputRef} type="file" accept={LOGO_TYPES.join(',')} onChange={handleLogoChange} className="hidden" />
+                        </div>
+                    )}
+
+                    <div className="flex flex-col sm:flex-row gap-4 mt-4">
+                        <div>
+                            <p className="text-xs text-gray-600 mb-1">Position</p>
+                            <div className={`grid grid-cols-3 gap-1 w-24 ${watermark.tile ? 'opacity-40' : ''}`}>
+                                {WATERMARK_POSITIONS.map(position => (
+                                    <button
+                                        key={position}
+                                        onClick={() => update({ position })}
+                                        disabled={watermark.tile}
+                                        title={position.replace('-', ' ')}
+                                        className={`h-7 rounded-sm border ${watermark.position === position ? 'bg-indigo-600 border-indigo-600' : 'bg-white border-indigo-200 hover:bg-indigo-50'}`}
+                                    />
+                                ))}
+                            </div>
+                            <label className="flex items-center gap-1 text-sm text-gray-700 mt-2">
+                                <input type="checkbox" checked={watermark.tile} onChange={(e) => update({ tile: e.target.checked })} />
+                                Tile
+                            </label>
+                        </div>
+
+                        <div className="flex-1 space-y-2">
+                            <label className="block text-xs text-gray-600">
+                                Size: {Math.round(watermark.scale * 100)}% of the image width
+                                <input type="range" min="5" max="100" value={Math.round(watermark.scale * 100)} onChange={(e) => update({ scale: Number(e.target.value) / 100 })} className={sliderClass} />
+                            </label>
+                            <label className="block text-xs text-gray-600">
+                                Opacity: {Math.round(watermark.opacity * 100)}%
+                                <input type="range" min="5" max="100" value={Math.round(watermark.opacity * 100)} onChange={(e) => update({ opacity: Number(e.target.value) / 100 })} className={sliderClass} />
+                            </label>
+                            {!watermark.tile && (
+                                <div className="grid grid-cols-2 gap-3">
+                                    <label className="block text-xs text-gray-600">
+                                        Offset X: {watermark.offsetX}%
+                                        <input type="range" min="0" max="25" step="0.5" value={watermark.offsetX} onChange={(e) => update({ offsetX: Number(e.target.value) })} disabled={!hasOffsetX} className={`${sliderClass} disabled:opacity-40`} />
+                                    </label>
+                                    <label className="block text-xs text-gray-600">
+                                        Offset Y: {watermark.offsetY}%
+                                        <input type="range" min="0" max="25" step="0.5" value={watermark.offsetY} onChange={(e) => update({ offsetY: Number(e.target.value) })} disabled={!hasOffsetY} className={`${sliderClass} disabled:opacity-40`} />
+                                    </label>
+                                </div>
+                            )}
+                        </div>
+                    </div>
+
+                    <div className="flex justify-center bg-gray-100 rounded-lg p-2 mt-3">
+                        <canvas ref={canvasRef} className="block max-w-full rounded-sm" />
+                    </div>
+                    <p className="text-xs text-gray-500 mt-2">
+                        Stamped after cropping and resizing, before compression. Size and offsets follow each image's width, so the whole batch looks the same. Save a profile to reuse it.
+                    </p>
+                </>
+            )}
+        </div>
+    );
+};
+
+export default WatermarkControls;
@@ -0,0 +1,70 @@
+// Animated images: detection, info and frame by frame decoding for GIF and animated WebP.
+// GIF frames are decoded by gif.js everywhere; animated WebP needs the browser's ImageDecoder
+// (WebCodecs), without it only the first frame can be used.
+import { createCanvas } from './canvas';
+import { getGifInfo, decodeGifFrames } from './gif';
+import { getWebpAnimationInfo } from './webp';
+
+// Output formats that can hold an animation
+export const ANIMATED_OUTPUT_TYPES = ['image/gif', 'image/webp'];
+
+export const DEFAULT_ANIMATION = {
+    keepFrames: true,    // false = only the first frame, as a still image
+    frameStep: 1,        // keep every Nth frame, the dropped frames' time goes to the kept one
+    colors: 256,         // GIF palette size per frame
+    dithering: 'none',
+};
+
+const readBytes = async (blob) => new Uint8Array(await blob.arrayBuffer());
+
+// { frameCount, duration (ms), frameDurations, loopCount (0 = forever), hasAlpha } or null if the image isn't animated
+export const getAnimationInfo = async (blob) => {
+    let info = null;
+    if (blob.type === 'image/gif') {
+        info = getGifInfo(await readBytes(blob));
+    } else if (blob.type === 'image/webp') {
+        info = getWebpAnimationInfo(await readBytes(blob));
+    }
+    return info && info.frameCount > 1 ? info : null;
+};
+
+export const canDecodeAnimation = (type) => type === 'image/gif' || (type === 'image/webp' && typeof ImageDecoder !== 'undefined');
+
+// Total duration as shown in the UI, e.g. "2.4s"
+export const formatAnimationDuration = (ms) => `${(ms / 1000).toFixed(ms < 10000 ? 1 : 0)}s`;
+
+async function* readGifFrames(blob) {
+    let canvas = null;
+    for (const { data, width, height, duration } of decodeGifFrames(await readBytes(blob))) {
+        canvas = canvas || createCanvas(width, height);
+        canvas.getContext('2d').putImageData(new ImageData(data, width, height), 0, 0);
+        yield { image: { source: canvas, width, height }, duration };
+    }
+}
+
+async function* readDecodedFrames(blob, frameDurations) {
+    const decoder = new ImageDecoder({ data: await blob.arrayBuffer(), type: blob.type });
+    try {
+        await decoder.tracks.ready;
+        const { frameCount } = decoder.tracks.selectedTrack;
+        for (let frameIndex = 0; frameIndex < frameCount; frameIndex++) {
+            const { image } = await decoder.decode({ frameIndex });
+            try {
+                yield {
+                    image: { source: image, width: image.displayWidth, height: image.displayHeight },
+                    duration: frameDurations[frameIndex] ?? (image.duration || 0) / 1000,
+                };
+            } finally {
+                image.close();
+            }
+        }
+    } finally {
+        decoder.close();
+    }
+}
+
+// Decode the frames one at a time: yields { image: { source, width, height }, duration (ms) }.
+// A frame's source is only valid until the next one is requested.
+export const readAnimationFrames = (blob, info) => (
+    blob.type === 'image/gif' ? readGifFrames(blob) : readDecodedFrames(blob, info.frameDurations)
+);
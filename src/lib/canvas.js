@@ -0,0 +1,29 @@
+// Canvas helpers that work both on the main thread and inside Web Workers.
+// OffscreenCanvas is used wherever it exists, a DOM canvas otherwise.
+
+export const createCanvas = (width, height) => {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+};
+
+// Encode a canvas. Browsers return PNG for types they can't encode, so check the result's type.
+export const canvasToBlob = (canvas, type, quality) => {
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({ type, quality });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("Failed to encode the image."))), type, quality);
+    });
+};
+
+// True when the whole pipeline can run inside a worker
+export const canUseWorkers = () => (
+    typeof Worker !== 'undefined'
+    && typeof OffscreenCanvas !== 'undefined'
+    && typeof createImageBitmap === 'function'
+);
@@ -0,0 +1,48 @@
+// Clipboard helpers: images pasted into the page, and copying a compressed image back to the clipboard.
+import { createCanvas, canvasToBlob } from './canvas';
+import { loadImage } from './imageInfo';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Pasted screenshots are all called "image.png", give them a name that tells them apart
+const getPastedFileName = (type, index) => {
+    const date = new Date();
+    const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+    const extension = type === 'image/jpeg' ? 'jpg' : type.replace('image/', '');
+    return `pasted-${stamp}${index > 0 ? `-${index + 1}` : ''}.${extension}`;
+};
+
+// Image files from a paste event's clipboardData. Files copied in a file manager keep their name.
+export const getPastedFiles = (clipboardData) => Array.from(clipboardData?.items || [])
+    .filter(item => item.kind === 'file' && item.type.startsWith('image/'))
+    .map(item => item.getAsFile())
+    .filter(Boolean)
+    .map((file, index) => (
+        file.name && file.name !== 'image.png'
+            ? file
+            : new File([file], getPastedFileName(file.type, index), { type: file.type, lastModified: Date.now() })
+    ));
+
+export const canCopyImages = () => typeof ClipboardItem !== 'undefined' && typeof navigator.clipboard?.write === 'function';
+
+// Browsers only accept PNG images on the clipboard, other formats are converted (pixels stay the same)
+const toPngBlob = async (blob) => {
+    if (blob.type === 'image/png') {
+        return blob;
+    }
+    const image = await loadImage(blob);
+    try {
+        const canvas = createCanvas(image.width, image.height);
+        canvas.getContext('2d').drawImage(image.source, 0, 0);
+        return await canvasToBlob(canvas, 'image/png');
+    } finally {
+        image.release();
+    }
+};
+
+// Copy an image to the clipboard. Resolves with true if it had to be converted to PNG.
+// The ClipboardItem is created right away (with a promise of the data) so Safari still sees the user gesture.
+export const copyImageToClipboard = async (blob) => {
+    await navigator.clipboard.write([new ClipboardItem({ 'image/png': toPngBlob(blob) })]);
+    return blob.type !== 'image/png';
+};
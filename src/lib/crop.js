@@ -0,0 +1,106 @@
+// Crop, rotation and flip of an image, applied before it is resized and compressed.
+//
+// crop: {
+//   rotation: 0 | 90 | 180 | 270,  // clockwise
+//   flipX, flipY,                  // mirrored horizontally / vertically, after rotating
+//   rect: { x, y, width, height } | null,  // fractions (0-1) of the rotated image, null = the whole image
+//   ratioId,                       // CROP_RATIOS entry the rect is kept at while editing
+// }
+//
+// The rect is stored as fractions so it doesn't depend on the size the image was decoded at.
+import { createCanvas } from './canvas';
+
+export const CROP_RATIOS = [
+    { id: 'free', label: 'Free', ratio: null },
+    { id: '1:1', label: '1:1', ratio: 1 },
+    { id: '4:5', label: '4:5', ratio: 4 / 5 },
+    { id: '3:2', label: '3:2', ratio: 3 / 2 },
+    { id: '16:9', label: '16:9', ratio: 16 / 9 },
+    { id: 'passport', label: 'Passport 35×45 mm', ratio: 35 / 45 },
+];
+
+export const DEFAULT_CROP = { rotation: 0, flipX: false, flipY: false, rect: null, ratioId: 'free' };
+
+const FULL_RECT = { x: 0, y: 0, width: 1, height: 1 };
+
+export const getCropRatio = (ratioId) => CROP_RATIOS.find(ratio => ratio.id === ratioId)?.ratio ?? null;
+
+// True when the crop changes the image at all
+export const hasCrop = (crop) => Boolean(crop && (crop.rotation || crop.flipX || crop.flipY || crop.rect));
+
+export const getRotatedSize = ({ width, height }, rotation) => (rotation % 180 ? { width: height, height: width } : { width, height });
+
+// Largest centered rect (as fractions) with the given aspect ratio in an image of the given size
+export const getCenteredRect = (size, ratio) => {
+    if (!ratio) {
+        return null;
+    }
+    const imageRatio = size.width / size.height;
+    const width = Math.min(1, ratio / imageRatio);
+    const height = Math.min(1, imageRatio / ratio);
+    return { x: (1 - width) / 2, y: (1 - height) / 2, width, height };
+};
+
+// The crop rect in pixels of the rotated image
+export const getCropPixels = (size, crop) => {
+    const rotated = getRotatedSize(size, crop.rotation);
+    const rect = crop.rect || FULL_RECT;
+    const x = Math.round(rect.x * rotated.width);
+    const y = Math.round(rect.y * rotated.height);
+    return {
+        x,
+        y,
+        width: Math.max(1, Math.min(rotated.width - x, Math.round(rect.width * rotated.width))),
+        height: Math.max(1, Math.min(rotated.height - y, Math.round(rect.height * rotated.height))),
+    };
+};
+
+// Size of the image once cropped and rotated
+export const getCroppedDimensions = (size, crop) => {
+    if (!hasCrop(crop)) {
+        return { width: size.width, height: size.height };
+    }
+    const { width, height } = getCropPixels(size, crop);
+    return { width, height };
+};
+
+// Draw a decoded image (see loadImage() in imageInfo.js) rotated, flipped and cropped, optionally
+// scaled down. Returns an image of the same shape, backed by a canvas.
+export const applyCrop = (image, crop, scale = 1) => {
+    const rotated = getRotatedSize(image, crop.rotation);
+    const pixels = getCropPixels(image, crop);
+    const canvas = createCanvas(Math.max(1, Math.round(pixels.width * scale)), Math.max(1, Math.round(pixels.height * scale)));
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+
+    // Transforms apply to the drawing in reverse order: rotate, then flip, then move the crop to the origin, then scale
+    context.scale(scale, scale);
+    context.translate(-pixels.x, -pixels.y);
+    if (crop.flipX) {
+        context.translate(rotated.width, 0);
+        context.scale(-1, 1);
+    }
+    if (crop.flipY) {
+        context.translate(0, rotated.height);
+        context.scale(1, -1);
+    }
+    if (crop.rotation === 90) {
+        context.translate(rotated.width, 0);
+    } else if (crop.rotation === 180) {
+        context.translate(rotated.width, rotated.height);
+    } else if (crop.rotation === 270) {
+        context.translate(0, rotated.height);
+    }
+    context.rotate((crop.rotation * Math.PI) / 180);
+    context.drawImage(image.source, 0, 0, image.width, image.height);
+
+    return {
+        source: canvas,
+        width: canvas.width,
+        height: canvas.height,
+        release: () => {
+            canvas.width = 0;
+            canvas.height = 0;
+        },
+    };
+};
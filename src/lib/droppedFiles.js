@@ -0,0 +1,52 @@
+// Helpers for turning a drop event into a flat list of File objects.
+// Dropped folders are walked recursively through the (webkit-prefixed but widely
+// supported) FileSystemEntry API; browsers without it fall back to dataTransfer.files.
+
+// Read every entry of a directory. readEntries() returns results in chunks,
+// so it has to be called until it yields an empty array.
+const readAllEntries = (directoryReader) => new Promise((resolve, reject) => {
+    const entries = [];
+    const readChunk = () => {
+        directoryReader.readEntries((chunk) => {
+            if (chunk.length === 0) {
+                resolve(entries);
+                return;
+            }
+            entries.push(...chunk);
+            readChunk();
+        }, reject);
+    };
+    readChunk();
+});
+
+const entryToFile = (fileEntry) => new Promise((resolve, reject) => fileEntry.file(resolve, reject));
+
+// Recursively collect the files below a FileSystemEntry
+const collectEntryFiles = async (entry) => {
+    if (entry.isFile) {
+        return [await entryToFile(entry)];
+    }
+    if (entry.isDirectory) {
+        const children = await readAllEntries(entry.createReader());
+        const nested = await Promise.all(children.map(collectEntryFiles));
+        return nested.flat();
+    }
+    return [];
+};
+
+// Get all files from a DataTransfer, expanding dropped directories
+export const getDroppedFiles = async (dataTransfer) => {
+    const items = Array.from(dataTransfer.items || []);
+    // Entries must be grabbed synchronously, the DataTransfer is emptied once the event handler yields
+    const entries = items
+        .filter(item => item.kind === 'file' && typeof item.webkitGetAsEntry === 'function')
+        .map(item => item.webkitGetAsEntry())
+        .filter(Boolean);
+
+    if (entries.length === 0) {
+        return Array.from(dataTransfer.files || []);
+    }
+
+    const files = await Promise.all(entries.map(collectEntryFiles));
+    return files.flat();
+};
@@ -0,0 +1,305 @@
+// Canvas based compression engine. It runs inside the compression workers, or on the main thread
+// in browsers without OffscreenCanvas, and produces the same results in both places.
+//
+// settings: {
+//   mode: 'quality' | 'target' | 'ssim',
+//   quality, targetBytes, minSsim,
+//   resize,           // see toResizeOptions() in resize.js
+//   outputFormat,     // 'original' or an output MIME type
+//   backgroundColor,  // fill for transparent areas when encoding JPEG
+//   metadata,         // keep/strip policy per metadata category, see metadata.js
+//   png: { colors, dithering },  // PNG output: 0 colors = lossless, 2-256 = palette quantization
+//   animation: { keepFrames, frameStep, colors, dithering },  // animated input and GIF output, see animation.js
+//   crop,             // rotation, flip and crop rect applied before resizing, see crop.js (optional)
+//   watermark,        // logo or text stamped after resizing, see watermark.js (optional)
+// }
+//
+// Animated GIF/WebP input keeps all its frames when the output is GIF or WebP (always at the
+// chosen quality, the size searches only apply to still images). Other outputs use the first frame.
+import { createCanvas, canvasToBlob } from './canvas';
+import { loadImage } from './imageInfo';
+import { getDrawRect, getOutputDimensions } from './resize';
+import { applyCrop, getCroppedDimensions, hasCrop } from './crop';
+import { loadWatermark } from './watermark';
+import { compressToTargetSize, TargetSizeError } from './targetSize';
+import { compressToMinSsim, MinSsimError } from './minSsim';
+import { createMetricsReference, measureQuality } from './metrics';
+import { readMetadata, filterMetadata, writeMetadata, getRetainedMetadata } from './metadata';
+import { quantize } from './quantize';
+import { encodePngLossless, encodePngIndexed } from './png';
+import { createGifEncoder, hasTransparentPixels } from './gif';
+import { createAnimatedWebpEncoder } from './webp';
+import { ANIMATED_OUTPUT_TYPES, canDecodeAnimation, getAnimationInfo, readAnimationFrames } from './animation';
+
+// Upper bound of encode attempts of a quality search, used to report progress
+const SEARCH_ATTEMPTS = 8;
+
+export class CancelledError extends Error {
+    constructor(message = "Compression cancelled.") {
+        super(message);
+        this.name = 'CancelledError';
+    }
+}
+
+// Errors lose their class when posted from a worker, they are rebuilt from their name
+const ERROR_CLASSES = { TargetSizeError, MinSsimError, CancelledError };
+
+export const serializeError = (error) => ({ name: error.name, message: error.message });
+
+export const deserializeError = ({ name, message }) => {
+    const ErrorClass = ERROR_CLASSES[name];
+    const error = ErrorClass ? new ErrorClass(message) : new Error(message);
+    error.name = name;
+    return error;
+};
+
+const normalizeType = (type) => (type === 'image/jpg' ? 'image/jpeg' : type);
+
+const getOutputType = (file, outputFormat) => (outputFormat === 'original' ? normalizeType(file.type) : outputFormat);
+
+// PNG and GIF have no quality setting. The size searches use palette quantization instead:
+// quality 1 is the user's PNG/GIF setting, lower qualities use fewer colors (down to 2).
+const getPaletteOptions = (options, quality) => {
+    if (quality >= 1) {
+        return options;
+    }
+    const colors = Math.max(2, Math.round(2 ** (1 + 7 * quality)));
+    return { ...options, colors: options.colors > 0 ? Math.min(options.colors, colors) : colors };
+};
+
+const encodePng = async (canvas, { colors, dithering }) => {
+    const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    if (colors > 0) {
+        return encodePngIndexed(canvas.width, canvas.height, quantize(imageData, { colors, dithering }));
+    }
+    // The browser's own encoder occasionally wins on photos, keep whichever is smaller
+    const optimized = encodePngLossless(imageData);
+    const native = await canvasToBlob(canvas, 'image/png');
+    return native.size < optimized.size ? native : optimized;
+};
+
+const encodeGif = (canvas, { colors, dithering }) => {
+    const encoder = createGifEncoder({ width: canvas.width, height: canvas.height, colors, dithering });
+    encoder.addFrame(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height).data, 0);
+    return encoder.finish();
+};
+
+const encodeStill = (canvas, mimeType, settings, quality) => {
+    const useSettings = settings.mode === 'quality';
+    if (mimeType === 'image/png') {
+        return encodePng(canvas, useSettings ? settings.png : getPaletteOptions(settings.png, quality));
+    }
+    if (mimeType === 'image/gif') {
+        return encodeGif(canvas, useSettings ? settings.animation : getPaletteOptions(settings.animation, quality));
+    }
+    return canvasToBlob(canvas, mimeType, quality);
+};
+
+// Draw the decoded image into a canvas of the output size
+const drawImage = (image, resize, mimeType, backgroundColor) => {
+    const { width, height } = getOutputDimensions(image, resize);
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    context.imageSmoothingQuality = 'high';
+
+    // JPEG has no alpha channel, transparent areas would otherwise turn black
+    if (mimeType === 'image/jpeg') {
+        context.fillStyle = backgroundColor;
+        context.fillRect(0, 0, width, height);
+    }
+
+    const rect = getDrawRect(image, resize, width, height);
+    context.drawImage(image.source, rect.x, rect.y, rect.width, rect.height);
+    return canvas;
+};
+
+const hasMetadata = ({ exif, xmp, iptc }) => Boolean(exif || xmp || iptc);
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Whether RGBA pixel data has any pixel that isn't fully opaque
+const hasTransparentArea = (rgba) => {
+    for (let i = 3; i < rgba.length; i += 4) {
+        if (rgba[i] < 255) {
+            return true;
+        }
+    }
+    return false;
+};
+
+// Re-encode the kept frames of an animation as animated GIF or WebP, one frame at a time.
+// Resolves with { blob, dimensions, animation: { frameCount, duration } }.
+const encodeAnimation = async (file, info, { mimeType, settings, watermark, onProgress, checkCancelled }) => {
+    const { frameStep, colors, dithering } = settings.animation;
+    let encoder = null;
+    let dimensions = null;
+    let frameCount = 0;
+    let index = 0;
+
+    for await (const { image } of readAnimationFrames(file, info)) {
+        if (index % frameStep === 0) {
+            checkCancelled();
+            onProgress({ stage: 'encoding', percent: 10 + (index / info.frameCount) * 80 });
+            const frame = hasCrop(settings.crop) ? applyCrop(image, settings.crop) : image;
+            const canvas = drawImage(frame, settings.resize, mimeType, settings.backgroundColor);
+            if (frame !== image) {
+                frame.release();
+            }
+            const { width, height } = canvas;
+            watermark?.apply(canvas.getContext('2d'), width, height);
+            const rgba = mimeType === 'image/gif' ? canvas.getContext('2d').getImageData(0, 0, width, height).data : null;
+            if (!encoder) {
+                dimensions = { width, height };
+                encoder = mimeType === 'image/gif'
+                    ? createGifEncoder({
+                        width,
+                        height,
+                        loopCount: info.loopCount,
+                        colors,
+                        dithering,
+                        // Contain letterboxing adds transparent bars to an opaque source, the same in
+                        // every frame, so the first drawn frame shows them
+                        transparent: hasTransparentArea(rgba)
+                            || (file.type === 'image/gif' ? hasTransparentPixels(new Uint8Array(await file.arrayBuffer())) : info.hasAlpha),
+                    })
+                    : createAnimatedWebpEncoder({ width, height, loopCount: info.loopCount });
+            }
+            // Dropped frames extend the frame before them
+            const duration = sum(info.frameDurations.slice(index, index + frameStep));
+            if (mimeType === 'image/gif') {
+                encoder.addFrame(rgba, duration);
+            } else {
+                const still = await canvasToBlob(canvas, 'image/webp', settings.quality);
+                encoder.addFrame(new Uint8Array(await still.arrayBuffer()), duration);
+            }
+            frameCount++;
+        }
+        index++;
+    }
+    return { blob: encoder.finish(), dimensions, animation: { frameCount, duration: info.duration } };
+};
+
+// Compress one image. Resolves with { blob, originalDimensions, dimensions, metrics, searchInfo, retainedMetadata, animation }.
+// `animation` is { frameCount, duration } for animated output, null otherwise.
+// `onProgress({ stage, percent })` reports progress, `isCancelled()` is polled between steps.
+export const processImage = async (file, settings, { onProgress = () => {}, isCancelled = () => false } = {}) => {
+    const checkCancelled = () => {
+        if (isCancelled()) {
+            throw new CancelledError();
+        }
+    };
+
+    onProgress({ stage: 'decoding', percent: 0 });
+    const original = await loadImage(file);
+    const isCropped = hasCrop(settings.crop);
+    const image = isCropped ? applyCrop(original, settings.crop) : original;
+    let watermark = null;
+    try {
+        watermark = await loadWatermark(settings.watermark);
+        checkCancelled();
+        const originalDimensions = { width: original.width, height: original.height };
+        // What the output is resized from
+        const sourceDimensions = getCroppedDimensions(originalDimensions, settings.crop);
+        const mimeType = getOutputType(file, settings.outputFormat);
+        // Kept metadata is written into every attempt, so the size searches account for it
+        const sourceMetadata = await readMetadata(file).catch(() => null);
+        const outputMetadata = filterMetadata(sourceMetadata, settings.metadata, { resetOrientation: true });
+        const outputDimensions = new WeakMap(); // Blob -> dimensions it was encoded at
+        const expectedAttempts = settings.mode === 'quality' ? 1 : SEARCH_ATTEMPTS;
+        let attempts = 0;
+
+        const encode = async ({ quality, maxWidth = Infinity, maxHeight = Infinity }) => {
+            checkCancelled();
+            onProgress({ stage: 'encoding', percent: 10 + Math.min(80, (attempts / expectedAttempts) * 80) });
+            const resize = {
+                ...settings.resize,
+                maxWidth: Math.min(settings.resize.maxWidth, maxWidth),
+                maxHeight: Math.min(settings.resize.maxHeight, maxHeight),
+            };
+            const canvas = drawImage(image, resize, mimeType, settings.backgroundColor);
+            watermark?.apply(canvas.getContext('2d'), canvas.width, canvas.height);
+            let blob = await encodeStill(canvas, mimeType, settings, quality);
+            if (hasMetadata(outputMetadata)) {
+                blob = await writeMetadata(blob, outputMetadata);
+            }
+            outputDimensions.set(blob, { width: canvas.width, height: canvas.height });
+            attempts++;
+            return blob;
+        };
+
+        // The quality metrics compare against the original drawn like the output: same crop, box, JPEG background and watermark
+        const referenceOptions = {
+            crop: settings.crop,
+            resize: settings.resize,
+            backgroundColor: mimeType === 'image/jpeg' ? settings.backgroundColor : undefined,
+            watermark,
+        };
+
+        const animationInfo = settings.animation.keepFrames && ANIMATED_OUTPUT_TYPES.includes(mimeType) && canDecodeAnimation(file.type)
+            ? await getAnimationInfo(file).catch(() => null)
+            : null;
+
+        let blob;
+        let metrics = null;
+        let searchInfo = null;
+        let animation = null;
+        if (animationInfo) {
+            const result = await encodeAnimation(file, animationInfo, { mimeType, settings, watermark, onProgress, checkCancelled });
+            blob = hasMetadata(outputMetadata) ? await writeMetadata(result.blob, outputMetadata) : result.blob;
+            outputDimensions.set(blob, result.dimensions);
+            animation = result.animation;
+        } else if (settings.mode === 'target') {
+            // The search starts from the size the resize settings produce and may only shrink it further
+            const { width, height } = getOutputDimensions(sourceDimensions, settings.resize);
+            const fit = await compressToTargetSize({ compress: encode, targetBytes: settings.targetBytes, width, height });
+            blob = fit.blob;
+            searchInfo = { mode: 'target', targetBytes: settings.targetBytes, quality: fit.quality };
+        } else if (settings.mode === 'ssim') {
+            const reference = await createMetricsReference(file, getOutputDimensions(sourceDimensions, settings.resize), referenceOptions);
+            const best = await compressToMinSsim({
+                compress: (quality) => encode({ quality }),
+                measure: (result) => measureQuality(reference, result),
+                minSsim: settings.minSsim,
+            });
+            blob = best.blob;
+            metrics = best.metrics;
+            searchInfo = { mode: 'ssim', minSsim: settings.minSsim, quality: best.quality };
+        } else {
+            blob = await encode({ quality: settings.quality });
+        }
+        let dimensions = outputDimensions.get(blob);
+
+        // If re-encoding to the same format at the same size only made the file bigger, keep the original
+        // (with the metadata the policy strips removed). Animations must also have kept all their frames;
+        // cropped and watermarked outputs show something else than the original and always stay.
+        const keptAllFrames = !animation || animation.frameCount === animationInfo.frameCount;
+        if ((settings.mode === 'quality' || animation) && keptAllFrames && !isCropped && !watermark && blob.size > file.size && mimeType === normalizeType(file.type)
+            && dimensions.width === originalDimensions.width && dimensions.height === originalDimensions.height) {
+            const original = await writeMetadata(file.slice(0, file.size, mimeType), filterMetadata(sourceMetadata, settings.metadata));
+            if (original.size < blob.size) {
+                blob = original;
+                dimensions = originalDimensions;
+            }
+        }
+
+        checkCancelled();
+        if (!metrics) {
+            onProgress({ stage: 'measuring', percent: 90 });
+            // Metrics are informative only, failing to compute them shouldn't fail the compression
+            metrics = await createMetricsReference(file, dimensions, referenceOptions)
+                .then(reference => measureQuality(reference, blob))
+                .catch(() => null);
+        }
+
+        const retainedMetadata = await getRetainedMetadata(blob).catch(() => []);
+
+        onProgress({ stage: 'done', percent: 100 });
+        return { blob, originalDimensions, dimensions, metrics, searchInfo, retainedMetadata, animation };
+    } finally {
+        watermark?.release();
+        if (isCropped) {
+            image.release();
+        }
+        original.release();
+    }
+};
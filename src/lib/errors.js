@@ -0,0 +1,40 @@
+// Errors of the headless API (see index.js). `code` is stable and meant for programs to branch on,
+// `message` is meant for people.
+import { CancelledError } from './engine';
+import { TargetSizeError } from './targetSize';
+import { MinSsimError } from './minSsim';
+
+export const ERROR_CODES = {
+    UNSUPPORTED_TYPE: 'UNSUPPORTED_TYPE',                   // Input isn't JPEG, PNG, GIF or WebP
+    FILE_TOO_LARGE: 'FILE_TOO_LARGE',                       // Input is over the size limit
+    UNSUPPORTED_OUTPUT_FORMAT: 'UNSUPPORTED_OUTPUT_FORMAT', // The browser can't encode the requested format
+    TARGET_SIZE_UNREACHABLE: 'TARGET_SIZE_UNREACHABLE',     // Target size mode: even the smallest attempt is too big
+    MIN_SSIM_UNREACHABLE: 'MIN_SSIM_UNREACHABLE',           // Minimum SSIM mode: even the best quality is below it
+    CANCELLED: 'CANCELLED',
+    COMPRESSION_FAILED: 'COMPRESSION_FAILED',               // Anything else, e.g. an image that can't be decoded
+};
+
+export class CompressionError extends Error {
+    constructor(code, message, options) {
+        super(message, options);
+        this.name = 'CompressionError';
+        this.code = code;
+    }
+}
+
+// Wrap an engine error in a CompressionError with the matching code
+export const toCompressionError = (error) => {
+    if (error instanceof CompressionError) {
+        return error;
+    }
+    if (error instanceof CancelledError) {
+        return new CompressionError(ERROR_CODES.CANCELLED, error.message, { cause: error });
+    }
+    if (error instanceof TargetSizeError) {
+        return new CompressionError(ERROR_CODES.TARGET_SIZE_UNREACHABLE, error.message, { cause: error });
+    }
+    if (error instanceof MinSsimError) {
+        return new CompressionError(ERROR_CODES.MIN_SSIM_UNREACHABLE, error.message, { cause: error });
+    }
+    return new CompressionError(ERROR_CODES.COMPRESSION_FAILED, `Compression failed: ${error.message}`, { cause: error });
+};
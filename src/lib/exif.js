@@ -0,0 +1,280 @@
+// Minimal EXIF (TIFF) reader and writer. It reads IFD0 and the Exif, GPS and Interoperability IFDs
+// into plain entry lists and writes them back as a new TIFF block, so individual fields can be
+// removed. The thumbnail IFD is never written back.
+//
+// entry: { tag, type, count, value }  (value: the raw bytes in the block's byte order)
+
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+const TYPE_ASCII = 2;
+const TYPE_SHORT = 3;
+const TYPE_LONG = 4;
+const TYPE_RATIONAL = 5;
+const TYPE_SRATIONAL = 10;
+
+const EXIF_POINTER = 0x8769;
+const GPS_POINTER = 0x8825;
+const INTEROP_POINTER = 0xa005;
+const POINTER_TAGS = [EXIF_POINTER, GPS_POINTER, INTEROP_POINTER];
+
+export const ORIENTATION_TAG = 0x0112;
+
+// Fields that describe the original pixel data and would be wrong after re-encoding
+const STALE_TAGS = [
+    0x0100, 0x0101, // ImageWidth, ImageLength
+    0x0111, 0x0117, 0x0201, 0x0202, // Strip and JPEG thumbnail offsets/lengths
+    0xa002, 0xa003, // PixelXDimension, PixelYDimension
+];
+
+// Names and categories of the IFD0/Exif fields worth showing. Every GPS field is 'location'.
+const TAGS = {
+    0x010e: ['Image description', 'author'],
+    0x010f: ['Camera make', 'camera'],
+    0x0110: ['Camera model', 'camera'],
+    0x0112: ['Orientation', 'other'],
+    0x011a: ['X resolution', 'other'],
+    0x011b: ['Y resolution', 'other'],
+    0x0128: ['Resolution unit', 'other'],
+    0x0131: ['Software', 'software'],
+    0x0132: ['Date modified', 'timestamps'],
+    0x013b: ['Artist', 'author'],
+    0x013c: ['Host computer', 'software'],
+    0x0213: ['YCbCr positioning', 'other'],
+    0x8298: ['Copyright', 'author'],
+    0x829a: ['Exposure time', 'camera'],
+    0x829d: ['F-number', 'camera'],
+    0x8822: ['Exposure program', 'camera'],
+    0x8827: ['ISO', 'camera'],
+    0x9000: ['EXIF version', 'other'],
+    0x9003: ['Date taken', 'timestamps'],
+    0x9004: ['Date digitized', 'timestamps'],
+    0x9010: ['Time zone', 'timestamps'],
+    0x9011: ['Time zone (taken)', 'timestamps'],
+    0x9012: ['Time zone (digitized)', 'timestamps'],
+    0x9204: ['Exposure bias', 'camera'],
+    0x9205: ['Max aperture', 'camera'],
+    0x9207: ['Metering mode', 'camera'],
+    0x9209: ['Flash', 'camera'],
+    0x920a: ['Focal length', 'camera'],
+    0x927c: ['Maker note', 'serials'],
+    0x9286: ['User comment', 'author'],
+    0x9290: ['Subseconds', 'timestamps'],
+    0x9291: ['Subseconds (taken)', 'timestamps'],
+    0x9292: ['Subseconds (digitized)', 'timestamps'],
+    0x9c9b: ['Title', 'author'],
+    0x9c9c: ['Comment', 'author'],
+    0x9c9d: ['Author', 'author'],
+    0x9c9e: ['Keywords', 'author'],
+    0x9c9f: ['Subject', 'author'],
+    0xa001: ['Color space', 'other'],
+    0xa403: ['White balance', 'camera'],
+    0xa405: ['Focal length (35mm)', 'camera'],
+    0xa420: ['Image unique ID', 'serials'],
+    0xa430: ['Camera owner', 'serials'],
+    0xa431: ['Camera serial number', 'serials'],
+    0xa432: ['Lens specification', 'camera'],
+    0xa433: ['Lens make', 'camera'],
+    0xa434: ['Lens model', 'camera'],
+    0xa435: ['Lens serial number', 'serials'],
+};
+
+const GPS_TAGS = {
+    0x00: 'GPS version',
+    0x01: 'Latitude ref',
+    0x02: 'Latitude',
+    0x03: 'Longitude ref',
+    0x04: 'Longitude',
+    0x05: 'Altitude ref',
+    0x06: 'Altitude',
+    0x07: 'GPS time',
+    0x10: 'Direction ref',
+    0x11: 'Direction',
+    0x12: 'Map datum',
+    0x1d: 'GPS date',
+};
+
+const hex = (tag) => `0x${tag.toString(16).padStart(4, '0')}`;
+
+// Parse a TIFF block (the EXIF payload without its "Exif\0\0" header). Returns null if it isn't valid.
+export const parseExif = (bytes) => {
+    if (bytes.length < 8) {
+        return null;
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const byteOrder = view.getUint16(0);
+    if ((byteOrder !== 0x4949 && byteOrder !== 0x4d4d) || view.getUint16(2, byteOrder === 0x4949) !== 42) {
+        return null;
+    }
+    const littleEndian = byteOrder === 0x4949;
+
+    const readIfd = (offset) => {
+        if (!offset || offset + 2 > bytes.length) {
+            return [];
+        }
+        const entries = [];
+        const count = view.getUint16(offset, littleEndian);
+        for (let i = 0; i < count; i++) {
+            const position = offset + 2 + i * 12;
+            if (position + 12 > bytes.length) {
+                break;
+            }
+            const tag = view.getUint16(position, littleEndian);
+            const type = view.getUint16(position + 2, littleEndian);
+            const valueCount = view.getUint32(position + 4, littleEndian);
+            if (!TYPE_SIZES[type]) {
+                continue;
+            }
+            const size = TYPE_SIZES[type] * valueCount;
+            const valueOffset = size <= 4 ? position + 8 : view.getUint32(position + 8, littleEndian);
+            if (valueOffset + size > bytes.length) {
+                continue; // Broken entry, drop it
+            }
+            entries.push({ tag, type, count: valueCount, value: bytes.slice(valueOffset, valueOffset + size) });
+        }
+        return entries;
+    };
+
+    const pointer = (entries, tag) => {
+        const entry = entries.find(candidate => candidate.tag === tag);
+        return entry ? new DataView(entry.value.buffer).getUint32(0, littleEndian) : 0;
+    };
+
+    const ifd0 = readIfd(view.getUint32(4, littleEndian));
+    const exif = readIfd(pointer(ifd0, EXIF_POINTER));
+    return {
+        littleEndian,
+        ifd0: ifd0.filter(entry => !POINTER_TAGS.includes(entry.tag)),
+        exif: exif.filter(entry => !POINTER_TAGS.includes(entry.tag)),
+        gps: readIfd(pointer(ifd0, GPS_POINTER)),
+        interop: readIfd(pointer(exif, INTEROP_POINTER)),
+    };
+};
+
+const ifdSize = (entries) => 6 + entries.length * 12
+    + entries.reduce((size, entry) => size + (entry.value.length > 4 ? entry.value.length + (entry.value.length % 2) : 0), 0);
+
+// Write parsed EXIF back into a TIFF block. Empty IFDs are left out.
+export const serializeExif = ({ littleEndian, ifd0, exif, gps, interop }) => {
+    const pointerEntry = (tag) => ({ tag, type: TYPE_LONG, count: 1, value: new Uint8Array(4) });
+    const withPointers = (entries, pointerTags) => [...entries, ...pointerTags.map(pointerEntry)].sort((a, b) => a.tag - b.tag);
+
+    const exifEntries = exif.length > 0 ? withPointers(exif, interop.length > 0 ? [INTEROP_POINTER] : []) : [];
+    const ifds = [
+        { name: 'ifd0', entries: withPointers(ifd0, [...(exifEntries.length > 0 ? [EXIF_POINTER] : []), ...(gps.length > 0 ? [GPS_POINTER] : [])]) },
+        { name: 'exif', entries: exifEntries },
+        { name: 'interop', entries: exifEntries.length > 0 ? interop : [] },
+        { name: 'gps', entries: gps },
+    ].filter(ifd => ifd.name === 'ifd0' || ifd.entries.length > 0);
+
+    let offset = 8;
+    for (const ifd of ifds) {
+        ifd.offset = offset;
+        offset += ifdSize(ifd.entries);
+    }
+    const offsets = Object.fromEntries(ifds.map(ifd => [ifd.name, ifd.offset]));
+    const pointerTargets = { [EXIF_POINTER]: offsets.exif, [GPS_POINTER]: offsets.gps, [INTEROP_POINTER]: offsets.interop };
+
+    const bytes = new Uint8Array(offset);
+    const view = new DataView(bytes.buffer);
+    view.setUint16(0, littleEndian ? 0x4949 : 0x4d4d);
+    view.setUint16(2, 42, littleEndian);
+    view.setUint32(4, 8, littleEndian);
+
+    for (const ifd of ifds) {
+        const { entries } = ifd;
+        view.setUint16(ifd.offset, entries.length, littleEndian);
+        let dataOffset = ifd.offset + 6 + entries.length * 12;
+        entries.forEach((entry, i) => {
+            const position = ifd.offset + 2 + i * 12;
+            view.setUint16(position, entry.tag, littleEndian);
+            view.setUint16(position + 2, entry.type, littleEndian);
+            view.setUint32(position + 4, entry.count, littleEndian);
+            if (POINTER_TAGS.includes(entry.tag)) {
+                view.setUint32(position + 8, pointerTargets[entry.tag], littleEndian);
+            } else if (entry.value.length <= 4) {
+                bytes.set(entry.value, position + 8);
+            } else {
+                view.setUint32(position + 8, dataOffset, littleEndian);
+                bytes.set(entry.value, dataOffset);
+                dataOffset += entry.value.length + (entry.value.length % 2);
+            }
+        });
+        // The next IFD offset stays 0: the thumbnail IFD is dropped
+    }
+    return bytes;
+};
+
+// Keep the entries `keepEntry(entry, category)` accepts. Stale fields are always removed.
+export const filterExif = (exif, keepEntry) => {
+    const keep = (entries, categoryOf) => entries.filter(entry => !STALE_TAGS.includes(entry.tag) && keepEntry(entry, categoryOf(entry)));
+    const categoryOf = (entry) => TAGS[entry.tag]?.[1] || 'other';
+    return {
+        littleEndian: exif.littleEndian,
+        ifd0: keep(exif.ifd0, categoryOf),
+        exif: keep(exif.exif, categoryOf),
+        gps: keep(exif.gps, () => 'location'),
+        interop: keep(exif.interop, () => 'other'),
+    };
+};
+
+export const isExifEmpty = (exif) => exif.ifd0.length + exif.exif.length + exif.gps.length === 0;
+
+export const getOrientation = (exif) => {
+    const entry = exif.ifd0.find(candidate => candidate.tag === ORIENTATION_TAG);
+    return entry ? new DataView(entry.value.buffer).getUint16(0, exif.littleEndian) : 1;
+};
+
+// Copy of the EXIF data with the given orientation (1 = upright)
+export const setOrientation = (exif, orientation) => {
+    const value = new Uint8Array(2);
+    new DataView(value.buffer).setUint16(0, orientation, exif.littleEndian);
+    const entry = { tag: ORIENTATION_TAG, type: TYPE_SHORT, count: 1, value };
+    return { ...exif, ifd0: [...exif.ifd0.filter(candidate => candidate.tag !== ORIENTATION_TAG), entry] };
+};
+
+const textDecoder = new TextDecoder();
+
+const formatValue = (entry, littleEndian) => {
+    // Windows XP* fields are UTF-16 text, the user comment starts with an 8-byte charset header
+    if (entry.tag >= 0x9c9b && entry.tag <= 0x9c9f) {
+        return new TextDecoder('utf-16le').decode(entry.value).replace(/\0+$/, '');
+    }
+    if (entry.tag === 0x9286) {
+        return textDecoder.decode(entry.value.subarray(8)).replace(/\0+$/, '').trim();
+    }
+    const view = new DataView(entry.value.buffer);
+    const numbers = (size, read) => Array.from({ length: entry.count }, (_, i) => read(i * size));
+    switch (entry.type) {
+        case TYPE_ASCII:
+            return textDecoder.decode(entry.value).replace(/\0[\s\S]*$/, '').trim();
+        case TYPE_SHORT:
+            return numbers(2, offset => view.getUint16(offset, littleEndian)).join(', ');
+        case TYPE_LONG:
+            return numbers(4, offset => view.getUint32(offset, littleEndian)).join(', ');
+        case TYPE_RATIONAL:
+        case TYPE_SRATIONAL: {
+            const read = entry.type === TYPE_RATIONAL ? 'getUint32' : 'getInt32';
+            return numbers(8, offset => {
+                const numerator = view[read](offset, littleEndian);
+                const denominator = view[read](offset + 4, littleEndian);
+                if (denominator === 0) {
+                    return '0';
+                }
+                // Exposure times read better as fractions
+                return numerator === 1 && denominator > 1 ? `1/${denominator}` : String(Math.round((numerator / denominator) * 1000) / 1000);
+            }).join(', ');
+        }
+        default:
+            return `${entry.value.length} bytes`;
+    }
+};
+
+// Human-readable fields for the metadata inspector: [{ category, name, value }]
+export const getExifFields = (exif) => {
+    const field = (entry, name, category) => ({ category, name, value: formatValue(entry, exif.littleEndian) });
+    return [
+        ...[...exif.ifd0, ...exif.exif]
+            .filter(entry => !STALE_TAGS.includes(entry.tag))
+            .map(entry => field(entry, TAGS[entry.tag]?.[0] || `EXIF tag ${hex(entry.tag)}`, TAGS[entry.tag]?.[1] || 'other')),
+        ...exif.gps.map(entry => field(entry, GPS_TAGS[entry.tag] || `GPS tag ${hex(entry.tag)}`, 'location')),
+    ];
+};
@@ -0,0 +1,58 @@
+// Output file name templates, e.g. "{name}_ai.{ext}" -> "photo_ai.webp".
+// No imports on purpose: the command line tool (bin/compress.js) shares this module with the app.
+
+export const DEFAULT_FILE_NAME_TEMPLATE = '{name}_ai.{ext}';
+
+export const FILE_NAME_TOKENS = [
+    { token: '{name}', description: 'Original name without extension' },
+    { token: '{ext}', description: 'Extension of the output format' },
+    { token: '{width}', description: 'Output width in pixels' },
+    { token: '{height}', description: 'Output height in pixels' },
+    { token: '{quality}', description: 'Quality used (0-100), also in target size and SSIM modes' },
+    { token: '{date}', description: 'Date of compression, YYYYMMDD' },
+    { token: '{index}', description: 'Position in the batch, starting at 1' },
+    { token: '{hash}', description: 'First 8 characters of the output\'s SHA-256' },
+];
+
+// Reserved on Windows, macOS or Linux, plus control characters
+// eslint-disable-next-line no-control-regex
+const ILLEGAL_CHARACTERS = /[<>:"/\\|?*\u0000-\u001f]/g;
+const MAX_FILE_NAME_LENGTH = 200; // Below the usual 255 byte limit, leaving room for "(1)" suffixes
+const FALLBACK_NAME = 'image';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const formatDateToken = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+export const templateUsesHash = (template) => template.includes('{hash}');
+
+// Short content hash of a Blob for the {hash} token
+export const getContentHash = async (blob) => {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest).slice(0, 4), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Replace characters that aren't allowed in file names, and the leading dots and trailing dots and
+// spaces that some systems drop or hide
+export const sanitizeFileName = (fileName) => {
+    const sanitized = fileName
+        .replace(ILLEGAL_CHARACTERS, '_')
+        .replace(/^[\s.]+|[\s.]+$/g, '')
+        .slice(0, MAX_FILE_NAME_LENGTH);
+    return sanitized || FALLBACK_NAME;
+};
+
+// File name from a template and the token values ({ name, ext, width, height, quality, date, index, hash }).
+// Tokens without a value (e.g. {hash} in a preview) and unknown tokens are left as they are. The
+// extension is appended when the template doesn't place it, so outputs always open in the right app.
+export const applyFileNameTemplate = (template, values) => {
+    const pattern = template.trim() || DEFAULT_FILE_NAME_TEMPLATE;
+    const tokenValues = { ...values, date: values.date && formatDateToken(values.date) };
+    let fileName = pattern.replace(/\{(\w+)\}/g, (token, key) => (
+        tokenValues[key] === undefined || tokenValues[key] === null ? token : String(tokenValues[key])
+    ));
+    if (!pattern.includes('{ext}')) {
+        fileName = `${fileName}.${values.ext}`;
+    }
+    return sanitizeFileName(fileName);
+};
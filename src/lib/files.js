@@ -0,0 +1,38 @@
+// Input rules, output file names and human readable sizes
+import { getOutputExtension } from './formats';
+import { CompressionError, ERROR_CODES } from './errors';
+import { applyFileNameTemplate, DEFAULT_FILE_NAME_TEMPLATE } from './fileNameTemplate';
+
+export const INPUT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'image/jpg'];
+export const MAX_FILE_SIZE = 20 * 1024 * 1024; // 20 MB limit
+
+// Check a file against the input rules. Returns null when the file is accepted, otherwise a
+// CompressionError describing why (returned, not thrown).
+export const validateImage = (file) => {
+    if (!INPUT_TYPES.includes(file.type)) {
+        return new CompressionError(ERROR_CODES.UNSUPPORTED_TYPE, "Unsupported file type. Please upload JPG, JPEG, PNG, GIF, or WEBP images.");
+    }
+    if (file.size > MAX_FILE_SIZE) {
+        return new CompressionError(ERROR_CODES.FILE_TOO_LARGE, "File size should be less than 20MB.");
+    }
+    return null;
+};
+
+// Name of the compressed file, e.g. "photo.jpg" -> "photo_ai.jpg", or "photo_ai.webp" when converted to WebP.
+// `values` fills the other tokens of the template, see fileNameTemplate.js.
+export const getCompressedFileName = (fileName, mimeType, { template = DEFAULT_FILE_NAME_TEMPLATE, ...values } = {}) => {
+    const originalFileNameParts = fileName.split('.');
+    const extension = originalFileNameParts.length > 1 ? originalFileNameParts.pop() : '';
+    const baseName = originalFileNameParts.join('.');
+    return applyFileNameTemplate(template, { ...values, name: baseName, ext: getOutputExtension(extension, mimeType) });
+};
+
+// File size for display, e.g. 1536 -> "1.5 KB"
+export const formatBytes = (bytes, decimals = 2) => {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const dm = decimals < 0 ? 0 : decimals;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+};
@@ -0,0 +1,43 @@
+// Output image formats and browser encoder detection
+
+export const OUTPUT_FORMATS = [
+    { mimeType: 'image/jpeg', label: 'JPEG', extensions: ['jpg', 'jpeg'], supportsAlpha: false },
+    { mimeType: 'image/png', label: 'PNG', extensions: ['png'], supportsAlpha: true },
+    { mimeType: 'image/webp', label: 'WebP', extensions: ['webp'], supportsAlpha: true },
+    { mimeType: 'image/avif', label: 'AVIF', extensions: ['avif'], supportsAlpha: true },
+    // Encoded by gif.js rather than the browser; transparency is on/off only
+    { mimeType: 'image/gif', label: 'GIF', extensions: ['gif'], supportsAlpha: true, builtInEncoder: true },
+];
+
+const normalizeMimeType = (mimeType) => (mimeType === 'image/jpg' ? 'image/jpeg' : mimeType);
+
+export const getFormat = (mimeType) => OUTPUT_FORMATS.find(format => format.mimeType === normalizeMimeType(mimeType));
+
+// Short label for a MIME type, e.g. "image/webp" -> "WebP"
+export const getFormatLabel = (mimeType) => getFormat(mimeType)?.label || mimeType.replace('image/', '').toUpperCase();
+
+let supportedEncoders = null;
+
+// MIME types that can be encoded: the app's own encoders, plus those the browser's canvas supports.
+// Canvas silently falls back to PNG for unsupported types, which is how they are detected here.
+// The result is cached, it can't change during a session.
+export const getSupportedEncoders = () => {
+    if (!supportedEncoders) {
+        const canvas = document.createElement('canvas');
+        canvas.width = 1;
+        canvas.height = 1;
+        supportedEncoders = OUTPUT_FORMATS
+            .filter(format => format.builtInEncoder || canvas.toDataURL(format.mimeType).startsWith(`data:${format.mimeType}`))
+            .map(format => format.mimeType);
+    }
+    return supportedEncoders;
+};
+
+// File extension for the output: keeps the original one if it already matches the format (".jpeg" stays ".jpeg")
+export const getOutputExtension = (originalExtension, mimeType) => {
+    const format = getFormat(mimeType);
+    if (!format) {
+        return originalExtension;
+    }
+    return format.extensions.includes(originalExtension.toLowerCase()) ? originalExtension : format.extensions[0];
+};
@@ -0,0 +1,494 @@
+// GIF decoder and encoder.
+//
+// The decoder composites every frame (disposal methods, transparency, interlacing) and yields full
+// RGBA frames one at a time, so long animations don't need all frames in memory at once.
+// The encoder quantizes each frame to its own palette. Opaque animations are optimized by only
+// storing the rectangle that changed since the previous frame, with unchanged pixels transparent.
+import { quantize } from './quantize';
+import { findExactPalette } from './png';
+
+const textEncoder = new TextEncoder();
+
+// Browsers play delays below 20ms at 100ms
+const MIN_DELAY_MS = 20;
+const DEFAULT_DELAY_MS = 100;
+
+// --- Decoding ---
+
+const readSubBlocks = (bytes, offset) => {
+    const parts = [];
+    let size = 0;
+    while (offset < bytes.length && bytes[offset] !== 0) {
+        const length = bytes[offset];
+        parts.push(bytes.subarray(offset + 1, offset + 1 + length));
+        size += length;
+        offset += length + 1;
+    }
+    const data = new Uint8Array(size);
+    let position = 0;
+    for (const part of parts) {
+        data.set(part, position);
+        position += part.length;
+    }
+    return { data, end: offset + 1 };
+};
+
+const readPalette = (bytes, offset, size) => {
+    const palette = [];
+    for (let i = 0; i < size; i++) {
+        palette.push([bytes[offset + i * 3], bytes[offset + i * 3 + 1], bytes[offset + i * 3 + 2]]);
+    }
+    return palette;
+};
+
+// Structure of a GIF without decoding pixels:
+// { width, height, loopCount, frames: [{ left, top, width, height, interlaced, palette, transparentIndex, disposal, delay, data }] }
+export const parseGif = (bytes) => {
+    const signature = String.fromCharCode(...bytes.subarray(0, 6));
+    if (signature !== 'GIF87a' && signature !== 'GIF89a') {
+        throw new Error("Not a GIF file.");
+    }
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const width = view.getUint16(6, true);
+    const height = view.getUint16(8, true);
+    const flags = bytes[10];
+    let offset = 13;
+    let globalPalette = null;
+    if (flags & 0x80) {
+        const size = 2 << (flags & 0x07);
+        globalPalette = readPalette(bytes, offset, size);
+        offset += size * 3;
+    }
+
+    const frames = [];
+    // Number of plays, 0 = forever (as in WebP). Without a NETSCAPE extension the animation plays once,
+    // with one it repeats that many times after the first play.
+    let loopCount = 1;
+    let control = { transparentIndex: -1, disposal: 0, delay: 0 };
+    while (offset < bytes.length) {
+        const block = bytes[offset];
+        if (block === 0x21) {
+            const label = bytes[offset + 1];
+            const { data, end } = readSubBlocks(bytes, offset + 2);
+            if (label === 0xf9 && data.length >= 4) {
+                control = {
+                    transparentIndex: data[0] & 0x01 ? data[3] : -1,
+                    disposal: (data[0] >> 2) & 0x07,
+                    delay: (data[1] | (data[2] << 8)) * 10,
+                };
+            } else if (label === 0xff && data.length >= 14 && String.fromCharCode(...data.subarray(0, 11)) === 'NETSCAPE2.0') {
+                const repeats = data[12] | (data[13] << 8);
+                loopCount = repeats === 0 ? 0 : repeats + 1;
+            }
+            offset = end;
+        } else if (block === 0x2c) {
+            const descriptor = offset;
+            const frameFlags = bytes[offset + 9];
+            offset += 10;
+            let palette = globalPalette;
+            if (frameFlags & 0x80) {
+                const size = 2 << (frameFlags & 0x07);
+                palette = readPalette(bytes, offset, size);
+                offset += size * 3;
+            }
+            const minCodeSize = bytes[offset];
+            const { data, end } = readSubBlocks(bytes, offset + 1);
+            frames.push({
+                left: view.getUint16(descriptor + 1, true),
+                top: view.getUint16(descriptor + 3, true),
+                width: view.getUint16(descriptor + 5, true),
+                height: view.getUint16(descriptor + 7, true),
+                interlaced: Boolean(frameFlags & 0x40),
+                palette: palette || [],
+                minCodeSize,
+                data,
+                ...control,
+            });
+            control = { transparentIndex: -1, disposal: 0, delay: 0 };
+            offset = end;
+        } else {
+            break; // Trailer (0x3b) or garbage
+        }
+    }
+    return { width, height, loopCount, frames };
+};
+
+const lzwDecode = (minCodeSize, data, pixelCount) => {
+    const output = new Uint8Array(pixelCount);
+    const prefix = new Int16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const firstByte = new Uint8Array(4096);
+    const lengths = new Uint16Array(4096);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    for (let code = 0; code < clearCode; code++) {
+        prefix[code] = -1;
+        suffix[code] = code;
+        firstByte[code] = code;
+        lengths[code] = 1;
+    }
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let previous = -1;
+    let buffer = 0;
+    let bits = 0;
+    let position = 0;
+    for (let i = 0; i < data.length && position < pixelCount; i++) {
+        buffer |= data[i] << bits;
+        bits += 8;
+        while (bits >= codeSize && position < pixelCount) {
+            const code = buffer & ((1 << codeSize) - 1);
+            buffer >>>= codeSize;
+            bits -= codeSize;
+
+            if (code === clearCode) {
+                codeSize = minCodeSize + 1;
+                nextCode = endCode + 1;
+                previous = -1;
+                continue;
+            }
+            if (code === endCode) {
+                return output;
+            }
+            if (previous === -1) {
+                output[position++] = suffix[code];
+                previous = code;
+                continue;
+            }
+            if (code > nextCode) {
+                return output; // Corrupt data: keep what was decoded
+            }
+
+            // New entry: the previous string plus the first pixel of the current one
+            // (for a code that isn't in the table yet, that is the previous string's first pixel)
+            if (nextCode < 4096) {
+                prefix[nextCode] = previous;
+                suffix[nextCode] = code < nextCode ? firstByte[code] : firstByte[previous];
+                firstByte[nextCode] = firstByte[previous];
+                lengths[nextCode] = lengths[previous] + 1;
+                nextCode++;
+                if (nextCode === 1 << codeSize && codeSize < 12) {
+                    codeSize++;
+                }
+            }
+
+            // Write the string backwards from its last pixel
+            let end = position + lengths[code] - 1;
+            for (let current = code; current !== -1; current = prefix[current], end--) {
+                if (end < pixelCount) {
+                    output[end] = suffix[current];
+                }
+            }
+            position += lengths[code];
+            previous = code;
+        }
+    }
+    return output;
+};
+
+// Row order of an interlaced image: every 8th row from 0, every 8th from 4, every 4th from 2, every 2nd from 1
+const deinterlace = (indices, width, height) => {
+    const output = new Uint8Array(indices.length);
+    let source = 0;
+    for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+        for (let y = start; y < height; y += step, source++) {
+            output.set(indices.subarray(source * width, (source + 1) * width), y * width);
+        }
+    }
+    return output;
+};
+
+const getFrameDuration = (frame) => (frame.delay < MIN_DELAY_MS ? DEFAULT_DELAY_MS : frame.delay);
+
+// { frameCount, duration (ms), frameDurations, loopCount (0 = forever), hasAlpha } without decoding pixels.
+// `hasAlpha` is a guess from the structure, see hasTransparentPixels() for a definite answer.
+export const getGifInfo = (bytes) => {
+    const { width, height, frames, loopCount } = parseGif(bytes);
+    const frameDurations = frames.map(getFrameDuration);
+    const [first] = frames;
+    return {
+        frameCount: frames.length,
+        duration: frameDurations.reduce((total, duration) => total + duration, 0),
+        frameDurations,
+        loopCount,
+        hasAlpha: !first || first.width < width || first.height < height || frames.some(frame => frame.transparentIndex !== -1),
+    };
+};
+
+// Yield every frame as { data (RGBA of the whole canvas), width, height, duration (ms) }.
+// The yielded data is a copy and may be kept.
+export function* decodeGifFrames(bytes) {
+    const { width, height, frames } = parseGif(bytes);
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    let restore = null;
+
+    for (const frame of frames) {
+        const pixelCount = frame.width * frame.height;
+        let indices = lzwDecode(frame.minCodeSize, frame.data, pixelCount);
+        if (frame.interlaced) {
+            indices = deinterlace(indices, frame.width, frame.height);
+        }
+        if (frame.disposal === 3) {
+            restore = canvas.slice();
+        }
+
+        for (let y = 0; y < frame.height; y++) {
+            const canvasY = frame.top + y;
+            if (canvasY >= height) {
+                break;
+            }
+            for (let x = 0; x < frame.width; x++) {
+                const canvasX = frame.left + x;
+                const index = indices[y * frame.width + x];
+                if (canvasX >= width || index === frame.transparentIndex || !frame.palette[index]) {
+                    continue;
+                }
+                const [r, g, b] = frame.palette[index];
+                const offset = (canvasY * width + canvasX) * 4;
+                canvas[offset] = r;
+                canvas[offset + 1] = g;
+                canvas[offset + 2] = b;
+                canvas[offset + 3] = 255;
+            }
+        }
+
+        yield { data: canvas.slice(), width, height, duration: getFrameDuration(frame) };
+
+        // Disposal: 2 clears the frame's area (browsers use transparency rather than the background color),
+        // 3 restores what was there before the frame
+        if (frame.disposal === 2) {
+            for (let y = frame.top; y < Math.min(height, frame.top + frame.height); y++) {
+                canvas.fill(0, (y * width + frame.left) * 4, (y * width + Math.min(width, frame.left + frame.width)) * 4);
+            }
+        } else if (frame.disposal === 3 && restore) {
+            canvas.set(restore);
+        }
+    }
+}
+
+// Whether any displayed frame has transparent pixels. Many opaque GIFs use a transparent index to
+// store only what changed, so this decodes the frames when the structure alone can't tell.
+export const hasTransparentPixels = (bytes) => {
+    if (!getGifInfo(bytes).hasAlpha) {
+        return false;
+    }
+    for (const { data } of decodeGifFrames(bytes)) {
+        for (let i = 3; i < data.length; i += 4) {
+            if (data[i] === 0) {
+                return true;
+            }
+        }
+    }
+    return false;
+};
+
+// --- Encoding ---
+
+const lzwEncode = (minCodeSize, indices) => {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const dictionary = new Map();
+    const output = [];
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let buffer = 0;
+    let bits = 0;
+
+    const write = (code) => {
+        buffer |= code << bits;
+        bits += codeSize;
+        while (bits >= 8) {
+            output.push(buffer & 0xff);
+            buffer >>>= 8;
+            bits -= 8;
+        }
+    };
+
+    write(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const pixel = indices[i];
+        const key = prefix * 256 + pixel;
+        const existing = dictionary.get(key);
+        if (existing !== undefined) {
+            prefix = existing;
+            continue;
+        }
+        write(prefix);
+        if (nextCode < 4096) {
+            dictionary.set(key, nextCode++);
+            if (nextCode > 1 << codeSize) {
+                codeSize++;
+            }
+        } else {
+            // The table is full: start over
+            write(clearCode);
+            dictionary.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        }
+        prefix = pixel;
+    }
+    write(prefix);
+    write(endCode);
+    if (bits > 0) {
+        output.push(buffer & 0xff);
+    }
+    return new Uint8Array(output);
+};
+
+const toSubBlocks = (data) => {
+    const blocks = [];
+    for (let offset = 0; offset < data.length; offset += 255) {
+        const length = Math.min(255, data.length - offset);
+        blocks.push(length, ...data.subarray(offset, offset + length));
+    }
+    blocks.push(0);
+    return blocks;
+};
+
+// Quantize a frame to a palette of at most `maxColors` entries, one of them transparent if needed.
+// Alpha is on/off in GIF: pixels under 50% opacity become transparent.
+const quantizeFrame = (rgba, width, height, maxColors, dithering) => {
+    const pixels = new Uint8ClampedArray(rgba);
+    let hasTransparency = false;
+    for (let i = 0; i < pixels.length; i += 4) {
+        if (pixels[i + 3] < 128) {
+            pixels.fill(0, i, i + 4);
+            hasTransparency = true;
+        } else {
+            pixels[i + 3] = 255;
+        }
+    }
+
+    // Images that already fit the palette (e.g. GIF frames) are kept exactly
+    const exact = findExactPalette(pixels, width * height);
+    if (exact && exact.palette.length <= maxColors) {
+        const transparentIndex = exact.palette.findIndex(color => color[3] === 0);
+        return { palette: exact.palette, indices: exact.indices, transparentIndex };
+    }
+
+    const visibleColors = hasTransparency ? maxColors - 1 : maxColors;
+    const { palette, indices } = quantize({ data: pixels, width, height }, { colors: visibleColors, dithering, opaque: true });
+    let transparentIndex = -1;
+    if (hasTransparency) {
+        transparentIndex = palette.length;
+        palette.push([0, 0, 0, 0]);
+        for (let p = 0; p < indices.length; p++) {
+            if (pixels[p * 4 + 3] === 0) {
+                indices[p] = transparentIndex;
+            }
+        }
+    }
+    return { palette, indices, transparentIndex };
+};
+
+// Create an encoder for a GIF of the given size. Frames are added as RGBA data with a duration in ms,
+// `loopCount` is the number of plays (0 = forever).
+// `transparent` must be true if any frame may contain transparency (disables the changed-area optimization).
+export const createGifEncoder = ({ width, height, loopCount = 0, colors = 256, dithering = 'none', transparent = true }) => {
+    const frames = [];
+    // What a viewer shows after the frames so far, for the changed-area optimization
+    const displayed = transparent ? null : new Uint8ClampedArray(width * height * 4);
+
+    const addFullFrame = (rgba, duration) => {
+        const { palette, indices, transparentIndex } = quantizeFrame(rgba, width, height, colors, dithering);
+        frames.push({ left: 0, top: 0, width, height, palette, indices, transparentIndex, disposal: 2, duration });
+    };
+
+    const addChangedArea = (rgba, duration) => {
+        // One palette entry is reserved for "unchanged"
+        const { palette, indices } = quantizeFrame(rgba, width, height, Math.max(2, colors - 1), dithering);
+        const transparentIndex = palette.length;
+        let minX = width;
+        let minY = height;
+        let maxX = -1;
+        let maxY = -1;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const [r, g, b] = palette[indices[p]];
+                const offset = p * 4;
+                if (frames.length > 0 && displayed[offset] === r && displayed[offset + 1] === g && displayed[offset + 2] === b) {
+                    indices[p] = transparentIndex;
+                    continue;
+                }
+                displayed[offset] = r;
+                displayed[offset + 1] = g;
+                displayed[offset + 2] = b;
+                minX = Math.min(minX, x);
+                minY = Math.min(minY, y);
+                maxX = Math.max(maxX, x);
+                maxY = Math.max(maxY, y);
+            }
+        }
+
+        if (maxX === -1) {
+            // Nothing changed: show the previous frame longer instead
+            frames[frames.length - 1].duration += duration;
+            return;
+        }
+        const cropWidth = maxX - minX + 1;
+        const cropHeight = maxY - minY + 1;
+        const cropped = new Uint8Array(cropWidth * cropHeight);
+        for (let y = 0; y < cropHeight; y++) {
+            cropped.set(indices.subarray((minY + y) * width + minX, (minY + y) * width + minX + cropWidth), y * cropWidth);
+        }
+        frames.push({
+            left: minX,
+            top: minY,
+            width: cropWidth,
+            height: cropHeight,
+            palette: [...palette, [0, 0, 0, 0]],
+            indices: cropped,
+            transparentIndex,
+            disposal: 1,
+            duration,
+        });
+    };
+
+    const addFrame = (rgba, duration) => {
+        (transparent ? addFullFrame : addChangedArea)(rgba, duration);
+        // Compress right away so the frame's pixels can be released
+        const frame = frames[frames.length - 1];
+        if (frame.indices) {
+            const tableBits = Math.max(1, Math.ceil(Math.log2(frame.palette.length)));
+            frame.tableBits = tableBits;
+            frame.lzw = lzwEncode(Math.max(2, tableBits), frame.indices);
+            frame.minCodeSize = Math.max(2, tableBits);
+            frame.indices = null;
+        }
+    };
+
+    const finish = () => {
+        if (frames.length === 0) {
+            throw new Error("A GIF needs at least one frame.");
+        }
+        const bytes = [...textEncoder.encode('GIF89a'), width & 0xff, width >> 8, height & 0xff, height >> 8, 0, 0, 0];
+        if (frames.length > 1 && loopCount !== 1) {
+            const repeats = loopCount === 0 ? 0 : loopCount - 1;
+            bytes.push(0x21, 0xff, 0x0b, ...textEncoder.encode('NETSCAPE2.0'), 0x03, 0x01, repeats & 0xff, repeats >> 8, 0x00);
+        }
+        const parts = [new Uint8Array(bytes)];
+        for (const frame of frames) {
+            const delay = frames.length > 1 ? Math.max(2, Math.round(frame.duration / 10)) : 0;
+            const hasTransparency = frame.transparentIndex !== -1;
+            const table = new Uint8Array(3 << frame.tableBits);
+            frame.palette.forEach(([r, g, b], i) => table.set([r, g, b], i * 3));
+            parts.push(
+                new Uint8Array([
+                    0x21, 0xf9, 0x04, (frame.disposal << 2) | (hasTransparency ? 1 : 0), delay & 0xff, delay >> 8, hasTransparency ? frame.transparentIndex : 0, 0x00,
+                    0x2c, frame.left & 0xff, frame.left >> 8, frame.top & 0xff, frame.top >> 8,
+                    frame.width & 0xff, frame.width >> 8, frame.height & 0xff, frame.height >> 8, 0x80 | (frame.tableBits - 1),
+                ]),
+                table,
+                new Uint8Array([frame.minCodeSize, ...toSubBlocks(frame.lzw)]),
+            );
+        }
+        parts.push(new Uint8Array([0x3b]));
+        return new Blob(parts, { type: 'image/gif' });
+    };
+
+    return { addFrame, finish, get frameCount() { return frames.length; } };
+};
@@ -0,0 +1,58 @@
+// Packaging of the compression history into a single downloadable ZIP archive.
+import { createZip } from './zip';
+
+// Give every name a unique variant: "photo_ai.jpg", "photo_ai (1).jpg", "photo_ai (2).jpg", ...
+export const dedupeFileNames = (names) => {
+    const used = new Set();
+    return names.map(name => {
+        let candidate = name;
+        let counter = 1;
+        while (used.has(candidate.toLowerCase())) {
+            const dotIndex = name.lastIndexOf('.');
+            candidate = dotIndex > 0
+                ? `${name.slice(0, dotIndex)} (${counter}).${name.slice(dotIndex + 1)}`
+                : `${name} (${counter})`;
+            counter++;
+        }
+        used.add(candidate.toLowerCase());
+        return candidate;
+    });
+};
+
+export const getReductionPercent = (item) => (1 - (item.compressedSize / item.originalSize)) * 100;
+
+// Quote a CSV field when it contains a separator, quote or line break
+const toCsvField = (value) => {
+    const text = String(value ?? '');
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Manifest rows describing each archived file
+export const buildManifest = (history, archiveNames) => history.map((item, index) => ({
+    fileName: archiveNames[index],
+    originalFileName: item.originalFileName,
+    originalSize: item.originalSize,
+    compressedSize: item.compressedSize,
+    reductionPercent: Number(getReductionPercent(item).toFixed(1)),
+    // Infinite PSNR (identical images) isn't valid JSON, it is exported as null
+    psnr: item.metrics && Number.isFinite(item.metrics.psnr) ? Number(item.metrics.psnr.toFixed(2)) : null,
+    ssim: item.metrics ? Number(item.metrics.ssim.toFixed(4)) : null,
+}));
+
+export const manifestToCsv = (manifest) => {
+    const columns = ['fileName', 'originalFileName', 'originalSize', 'compressedSize', 'reductionPercent', 'psnr', 'ssim'];
+    const rows = manifest.map(entry => columns.map(column => toCsvField(entry[column])).join(','));
+    return [columns.join(','), ...rows].join('\r\n');
+};
+
+// Create a ZIP with every compressed file plus manifest.csv and manifest.json
+export const createHistoryZip = (history) => {
+    const archiveNames = dedupeFileNames(history.map(item => item.compressedFileName));
+    const manifest = buildManifest(history, archiveNames);
+
+    return createZip([
+        ...history.map((item, index) => ({ name: archiveNames[index], data: item.compressedBlob })),
+        { name: 'manifest.csv', data: manifestToCsv(manifest) },
+        { name: 'manifest.json', data: JSON.stringify(manifest, null, 2) },
+    ]);
+};
@@ -0,0 +1,210 @@
+// Persistent compression history in IndexedDB (metadata and blobs), limited by a user-configurable
+// storage quota. When the quota is exceeded the oldest entries are evicted first.
+//
+// Entries are stored without their original: originals live in their own store, once per sourceId,
+// so recompressed variants share the copy of the first compression. An original is deleted with the
+// last entry that uses it. Loaded entries get their `originalBlob` back.
+
+const DB_NAME = 'image-compressor';
+const DB_VERSION = 2;
+const STORE_NAME = 'history';
+const ORIGINALS_STORE_NAME = 'originals'; // { sourceId, blob }
+const QUOTA_STORAGE_KEY = 'historyQuotaMB';
+
+export const DEFAULT_QUOTA_MB = 200;
+export const QUOTA_OPTIONS_MB = [50, 100, 200, 500, 1000];
+
+let dbPromise = null;
+
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// Version 1 stored every entry with its own original: move them to the originals store
+const migrateOriginals = (transaction) => {
+    const originals = transaction.objectStore(ORIGINALS_STORE_NAME);
+    transaction.objectStore(STORE_NAME).openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+            return;
+        }
+        const { originalBlob, ...entry } = cursor.value;
+        if (originalBlob) {
+            originals.put({ sourceId: getSourceId(entry), blob: originalBlob });
+            cursor.update(entry);
+        }
+        cursor.continue();
+    };
+};
+
+const openDb = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                const db = request.result;
+                if (event.oldVersion < 1) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    store.createIndex('createdAt', 'createdAt');
+                }
+                if (event.oldVersion < 2) {
+                    db.createObjectStore(ORIGINALS_STORE_NAME, { keyPath: 'sourceId' });
+                    migrateOriginals(request.transaction);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        // Allow retrying on the next call if opening failed (e.g. private mode)
+        dbPromise.catch(() => { dbPromise = null; });
+    }
+    return dbPromise;
+};
+
+// Run a callback with the history and originals object stores ({ history, originals }) and wait
+// for the transaction to complete
+const withStores = async (mode, callback) => {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME, ORIGINALS_STORE_NAME], mode);
+        let result;
+        Promise.resolve(callback({ history: transaction.objectStore(STORE_NAME), originals: transaction.objectStore(ORIGINALS_STORE_NAME) }))
+            .then(value => { result = value; })
+            .catch(reject);
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+};
+
+// Storage used by the entry itself; its original is shared with the other variants, see getHistorySize()
+export const getEntrySize = (entry) => entry.compressedBlob?.size || 0;
+
+// Storage used by a list of entries: every compressed file, and every original once
+export const getHistorySize = (entries) => {
+    const originalSizes = new Map();
+    entries.filter(entry => entry.originalBlob).forEach(entry => originalSizes.set(getSourceId(entry), entry.originalBlob.size));
+    return entries.reduce((size, entry) => size + getEntrySize(entry), 0)
+        + [...originalSizes.values()].reduce((size, originalSize) => size + originalSize, 0);
+};
+
+export const getHistoryQuotaMB = () => Number(localStorage.getItem(QUOTA_STORAGE_KEY)) || DEFAULT_QUOTA_MB;
+
+export const setHistoryQuotaMB = (quotaMB) => localStorage.setItem(QUOTA_STORAGE_KEY, String(quotaMB));
+
+// Entries compressed from the same original (the first compression and its recompressed variants)
+// share a sourceId. Entries from before variants existed are their own group.
+export const getSourceId = (entry) => entry.sourceId || entry.id;
+
+// Entries grouped by original: [{ sourceId, entries }], each group and its entries newest first
+export const groupHistoryBySource = (entries) => {
+    const groups = new Map();
+    [...entries].sort((a, b) => b.createdAt - a.createdAt).forEach(entry => {
+        const sourceId = getSourceId(entry);
+        if (!groups.has(sourceId)) {
+            groups.set(sourceId, { sourceId, entries: [] });
+        }
+        groups.get(sourceId).entries.push(entry);
+    });
+    return [...groups.values()];
+};
+
+// All stored entries with their originals, newest first
+export const loadHistory = async () => {
+    const { entries, originals } = await withStores('readonly', async ({ history, originals: originalsStore }) => ({
+        entries: await promisifyRequest(history.getAll()),
+        originals: await promisifyRequest(originalsStore.getAll()),
+    }));
+    const blobs = new Map(originals.map(original => [original.sourceId, original.blob]));
+    return entries
+        .map(entry => ({ ...entry, originalBlob: blobs.get(getSourceId(entry)) }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+// What the quota needs of every stored entry, oldest first: [{ id, sourceId, size, originalSize }].
+// Read from the entries' size fields with a cursor, so no blob is loaded and the originals store isn't read.
+const loadEntrySizes = (history) => new Promise((resolve, reject) => {
+    const sizes = [];
+    const request = history.index('createdAt').openCursor();
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {
+            resolve(sizes);
+            return;
+        }
+        const entry = cursor.value;
+        sizes.push({ id: entry.id, sourceId: getSourceId(entry), size: entry.compressedSize || 0, originalSize: entry.originalSize || 0 });
+        cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+});
+
+// Delete entries, and the originals no remaining entry uses
+const deleteEntries = (history, originals, sizes, ids) => {
+    const deleted = new Set(ids);
+    const usedSourceIds = new Set(sizes.filter(entry => !deleted.has(entry.id)).map(entry => entry.sourceId));
+    sizes.filter(entry => deleted.has(entry.id)).forEach(entry => {
+        history.delete(entry.id);
+        if (!usedSourceIds.has(entry.sourceId)) {
+            originals.delete(entry.sourceId);
+        }
+    });
+};
+
+// Delete the oldest entries until the total size fits the quota. Resolves with the evicted ids.
+export const enforceQuota = (quotaBytes = getHistoryQuotaMB() * 1024 * 1024) => withStores('readwrite', async ({ history, originals }) => {
+    const sizes = await loadEntrySizes(history);
+    // Each original counts once, however many variants use it
+    const variantCounts = new Map();
+    let total = 0;
+    sizes.forEach(entry => {
+        const count = variantCounts.get(entry.sourceId) || 0;
+        variantCounts.set(entry.sourceId, count + 1);
+        total += entry.size + (count === 0 ? entry.originalSize : 0);
+    });
+
+    const evictedIds = [];
+    for (const entry of sizes) {
+        if (total <= quotaBytes) {
+            break;
+        }
+        evictedIds.push(entry.id);
+        const count = variantCounts.get(entry.sourceId) - 1;
+        variantCounts.set(entry.sourceId, count);
+        total -= entry.size + (count === 0 ? entry.originalSize : 0);
+    }
+    deleteEntries(history, originals, sizes, evictedIds);
+    return evictedIds;
+});
+
+// Store an entry (its original only if no other variant stored it yet) and evict older ones if needed.
+// Resolves with { stored, evictedIds }; an entry larger than the whole quota is not stored at all.
+export const saveHistoryEntry = async (entry) => {
+    const quotaBytes = getHistoryQuotaMB() * 1024 * 1024;
+    if (getHistorySize([entry]) > quotaBytes) {
+        return { stored: false, evictedIds: [] };
+    }
+
+    // Ask the browser not to clear our storage under pressure (no-op where unsupported)
+    navigator.storage?.persist?.().catch(() => {});
+
+    const { originalBlob, ...storedEntry } = entry;
+    await withStores('readwrite', async ({ history, originals }) => {
+        history.put(storedEntry);
+        const sourceId = getSourceId(entry);
+        if (originalBlob && !(await promisifyRequest(originals.getKey(sourceId)))) {
+            originals.put({ sourceId, blob: originalBlob });
+        }
+    });
+    return { stored: true, evictedIds: await enforceQuota(quotaBytes) };
+};
+
+export const deleteHistoryEntry = (id) => withStores('readwrite', async ({ history, originals }) => {
+    deleteEntries(history, originals, await loadEntrySizes(history), [id]);
+});
+
+export const clearHistoryStore = () => withStores('readwrite', ({ history, originals }) => {
+    history.clear();
+    originals.clear();
+});
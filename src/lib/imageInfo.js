@@ -0,0 +1,30 @@
+// Decode an image Blob/File into something canvas can draw: an ImageBitmap where supported, an <img> otherwise.
+// Call release() once done to free the decoded pixels.
+export const loadImage = async (blob) => {
+    if (typeof createImageBitmap === 'function') {
+        // Apply the EXIF orientation, so the decoded pixels are upright
+        const bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+        return { source: bitmap, width: bitmap.width, height: bitmap.height, release: () => bitmap.close() };
+    }
+
+    // Fallback for browsers without createImageBitmap
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(blob);
+        const image = new Image();
+        image.onload = () => {
+            resolve({ source: image, width: image.naturalWidth, height: image.naturalHeight, release: () => URL.revokeObjectURL(url) });
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error("Could not decode the image."));
+        };
+        image.src = url;
+    });
+};
+
+// Read the pixel dimensions of an image Blob/File
+export const getImageDimensions = async (blob) => {
+    const image = await loadImage(blob);
+    image.release();
+    return { width: image.width, height: image.height };
+};
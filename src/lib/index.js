@@ -0,0 +1,185 @@
+// Headless compression API: validation, compression and naming without React. The app's UI is one
+// consumer of it; other tools can import it the same way.
+//
+//   import { compressImage, validateImage, ERROR_CODES } from './lib';
+//
+//   const { blob, fileName, stats } = await compressImage(file, { quality: 0.7, outputFormat: 'image/webp' });
+//
+// Compression runs on the shared worker pool. Failures are CompressionErrors with a `code` from ERROR_CODES.
+// This is the one module with JSDoc types: it is the surface other code is written against.
+import { getCompressionPool } from './workerPool';
+import { runSimulatedCompression, SIMULATE_COMPRESSION } from './simulatedCompression';
+import { DEFAULT_SETTINGS } from './profiles';
+import { DEFAULT_RESIZE, toResizeOptions } from './resize';
+import { DEFAULT_CROP } from './crop';
+import { DEFAULT_WATERMARK, hasWatermark } from './watermark';
+import { getFormatLabel } from './formats';
+import { CompressionError, ERROR_CODES, toCompressionError } from './errors';
+import { validateImage, getCompressedFileName } from './files';
+import { getContentHash, templateUsesHash } from './fileNameTemplate';
+
+export { CompressionError, ERROR_CODES } from './errors';
+export { validateImage, getCompressedFileName, formatBytes, INPUT_TYPES, MAX_FILE_SIZE } from './files';
+export { OUTPUT_FORMATS, getSupportedEncoders, getFormatLabel } from './formats';
+export { DEFAULT_FILE_NAME_TEMPLATE, FILE_NAME_TOKENS, applyFileNameTemplate, sanitizeFileName } from './fileNameTemplate';
+export { SIMULATE_COMPRESSION } from './simulatedCompression';
+export { DEFAULT_WATERMARK, WATERMARK_POSITIONS, WATERMARK_FONTS } from './watermark';
+
+/**
+ * @typedef {object} ResizeOptions
+ * @property {number|''} [width]      Exact width ('' = unset)
+ * @property {number|''} [height]     Exact height
+ * @property {number|''} [maxWidth]   Upper bound, the aspect ratio is kept
+ * @property {number|''} [maxHeight]
+ * @property {'fit'|'contain'|'cover'} [mode]
+ * @property {boolean} [lockAspect]   Fit mode with a width and a height: false stretches to exactly that size
+ */
+
+/**
+ * @typedef {object} CropOptions
+ * @property {0|90|180|270} [rotation]  Clockwise
+ * @property {boolean} [flipX]
+ * @property {boolean} [flipY]
+ * @property {{ x: number, y: number, width: number, height: number }|null} [rect]  Fractions (0-1) of the rotated image
+ */
+
+/**
+ * @typedef {object} WatermarkOptions
+ * @property {'none'|'text'|'image'} type
+ * @property {string} [text]
+ * @property {string} [color]     '#rrggbb' of the text
+ * @property {string} [font]      See WATERMARK_FONTS
+ * @property {boolean} [bold]
+ * @property {string|null} [image]  Data URL of the logo
+ * @property {string} [position]  See WATERMARK_POSITIONS, e.g. 'bottom-right'
+ * @property {number} [offsetX]   Inset from the left or right edge, in % of the output width
+ * @property {number} [offsetY]   Inset from the top or bottom edge, in % of the output width
+ * @property {number} [opacity]   0-1
+ * @property {number} [scale]     Width of the mark as a fraction of the output width
+ * @property {boolean} [tile]     Repeat the mark over the whole image
+ */
+
+/**
+ * @typedef {object} CompressOptions
+ * @property {'quality'|'target'|'ssim'} [mode]  Fixed quality, largest quality under a target size, or lowest quality above a minimum SSIM
+ * @property {number} [quality]       0-1, used by the 'quality' mode
+ * @property {number} [targetBytes]   Used by the 'target' mode
+ * @property {number} [minSsim]       0-1, used by the 'ssim' mode
+ * @property {CropOptions} [crop]    Applied before resizing
+ * @property {WatermarkOptions} [watermark]  Stamped after resizing, sized relative to the output
+ * @property {ResizeOptions} [resize]
+ * @property {string} [outputFormat]  'original' or an output MIME type, e.g. 'image/webp'
+ * @property {string} [backgroundColor]  '#rrggbb' fill for transparency in JPEG output
+ * @property {Object<string, boolean>} [metadata]  Keep (true) or strip (false) per metadata category, see metadata.js
+ * @property {{ colors: number, dithering: string }} [png]  PNG output: 0 colors = lossless, 2-256 = palette
+ * @property {{ keepFrames: boolean, frameStep: number, colors: number, dithering: string }} [animation]  Animated GIF/WebP
+ * @property {string} [fileNameTemplate]  Name of the result, see FILE_NAME_TOKENS; defaults to "{name}_ai.{ext}"
+ * @property {number} [index]         Position in the batch (from 1) for the {index} token
+ * @property {(progress: { stage: string, percent: number }) => void} [onProgress]
+ * @property {AbortSignal} [signal]   Aborting rejects with ERROR_CODES.CANCELLED
+ */
+
+/**
+ * @typedef {object} CompressStats
+ * @property {number} originalSize
+ * @property {number} compressedSize
+ * @property {number} savedPercent    Negative when the output is bigger
+ * @property {string} sourceFormat    MIME type of the input
+ * @property {string} outputFormat    MIME type of the output
+ * @property {{ width: number, height: number }|null} originalDimensions
+ * @property {{ width: number, height: number }|null} dimensions
+ * @property {{ psnr: number, ssim: number }|null} metrics  Compared to the original
+ * @property {object|null} searchInfo  Quality picked by the 'target' and 'ssim' modes
+ * @property {string[]|null} retainedMetadata  Metadata categories present in the output
+ * @property {{ frameCount: number, duration: number }|null} animation
+ */
+
+/**
+ * @typedef {object} CompressResult
+ * @property {Blob} blob
+ * @property {string} fileName  Name from the file name template, e.g. "photo_ai.webp"
+ * @property {CompressStats} stats
+ */
+
+// Engine settings (see engine.js) from API options, with the app's defaults for anything missing
+const toEngineSettings = (options) => ({
+    mode: options.mode ?? DEFAULT_SETTINGS.compressionMode,
+    quality: options.quality ?? DEFAULT_SETTINGS.compressionLevel / 100,
+    targetBytes: options.targetBytes ?? DEFAULT_SETTINGS.targetSizeKB * 1024,
+    minSsim: options.minSsim ?? DEFAULT_SETTINGS.minSsim,
+    resize: toResizeOptions({ ...DEFAULT_RESIZE, ...options.resize }),
+    outputFormat: options.outputFormat ?? DEFAULT_SETTINGS.outputFormat,
+    backgroundColor: options.backgroundColor ?? DEFAULT_SETTINGS.backgroundColor,
+    metadata: { ...DEFAULT_SETTINGS.metadata, ...options.metadata },
+    png: { ...DEFAULT_SETTINGS.png, ...options.png },
+    animation: { ...DEFAULT_SETTINGS.animation, ...options.animation },
+    crop: options.crop ? { ...DEFAULT_CROP, ...options.crop } : null,
+    watermark: hasWatermark(options.watermark) ? { ...DEFAULT_WATERMARK, ...options.watermark } : null,
+});
+
+/**
+ * Compress one image.
+ * @param {File} file
+ * @param {CompressOptions} [options]
+ * @returns {Promise<CompressResult>}
+ * @throws {CompressionError}
+ */
+export const compressImage = async (file, options = {}) => {
+    const invalid = validateImage(file);
+    if (invalid) {
+        throw invalid;
+    }
+    if (options.signal?.aborted) {
+        throw new CompressionError(ERROR_CODES.CANCELLED, "Compression cancelled.");
+    }
+
+    const settings = toEngineSettings(options);
+    const run = SIMULATE_COMPRESSION ? runSimulatedCompression : getCompressionPool().run;
+    const job = run(file, settings, { onProgress: options.onProgress });
+    const cancel = () => job.cancel();
+    options.signal?.addEventListener('abort', cancel);
+
+    let result;
+    try {
+        result = await job.promise;
+    } catch (error) {
+        throw toCompressionError(error);
+    } finally {
+        options.signal?.removeEventListener('abort', cancel);
+    }
+
+    const { blob } = result;
+    // Browsers fall back to PNG for formats they can't encode
+    if (settings.outputFormat !== 'original' && blob.type !== settings.outputFormat) {
+        throw new CompressionError(ERROR_CODES.UNSUPPORTED_OUTPUT_FORMAT, `This browser can't encode ${getFormatLabel(settings.outputFormat)} images`);
+    }
+
+    const fileName = getCompressedFileName(file.name, blob.type, {
+        template: options.fileNameTemplate,
+        width: result.dimensions?.width,
+        height: result.dimensions?.height,
+        quality: Math.round((result.searchInfo?.quality ?? settings.quality) * 100),
+        date: new Date(),
+        index: options.index,
+        // Hashing reads the whole output, only done when the name needs it
+        hash: options.fileNameTemplate && templateUsesHash(options.fileNameTemplate) ? await getContentHash(blob) : undefined,
+    });
+
+    return {
+        blob,
+        fileName,
+        stats: {
+            originalSize: file.size,
+            compressedSize: blob.size,
+            savedPercent: 100 - (blob.size / file.size) * 100,
+            sourceFormat: file.type,
+            outputFormat: blob.type,
+            originalDimensions: result.originalDimensions,
+            dimensions: result.dimensions,
+            metrics: result.metrics,
+            searchInfo: result.searchInfo,
+            retainedMetadata: result.retainedMetadata,
+            animation: result.animation,
+        },
+    };
+};
@@ -0,0 +1,26 @@
+// States of a compression job (one queue item):
+//
+//   pending ──▶ queued ──▶ decoding ──▶ encoding ──▶ done
+//                  │           │            │
+//                  └───────────┴────────────┴──▶ failed | cancelled ──(retry)──▶ queued
+//
+// pending:  added, waiting for the user to start compression
+// queued:   started, waiting for a free worker
+// decoding, encoding: running, with progress in percent (measuring the result counts as encoding)
+// failed:   the item keeps the error as { code, message }, see ERROR_CODES in errors.js
+import { ERROR_CODES } from './errors';
+
+export const ACTIVE_JOB_STATES = ['queued', 'decoding', 'encoding'];
+
+export const isJobActive = (item) => ACTIVE_JOB_STATES.includes(item.status);
+
+// Job state for a progress stage reported by the engine (see processImage)
+export const getJobState = (stage) => (stage === 'decoding' ? 'decoding' : 'encoding');
+
+// Files rejected when they were added fail the same way every time
+const PERMANENT_ERRORS = [ERROR_CODES.UNSUPPORTED_TYPE, ERROR_CODES.FILE_TOO_LARGE];
+
+export const canRetryJob = (item) => item.status === 'cancelled' || (item.status === 'failed' && !PERMANENT_ERRORS.includes(item.error?.code));
+
+// What a job keeps of an error: plain data, so it can live in React state
+export const toJobError = (error) => ({ code: error.code || ERROR_CODES.COMPRESSION_FAILED, message: error.message });
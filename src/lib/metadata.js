@@ -0,0 +1,373 @@
+// Image metadata (EXIF, XMP, IPTC): read it from the source file, filter it by the user's keep/strip
+// policy and write it into the output. Canvas encoding drops all metadata, so whatever is kept has
+// to be copied over explicitly.
+//
+// Supported containers: JPEG (EXIF, XMP, IPTC), PNG and WebP (EXIF, XMP). Anything else is left as is.
+import { parseExif, serializeExif, filterExif, isExifEmpty, getOrientation, setOrientation, getExifFields } from './exif';
+import { crc32 } from './zip';
+import { readWebpChunks, webpChunk, createVp8xChunk } from './webp';
+
+export const METADATA_CATEGORIES = [
+    { id: 'location', label: 'Location (GPS)' },
+    { id: 'camera', label: 'Camera & exposure' },
+    { id: 'serials', label: 'Serial numbers & maker notes' },
+    { id: 'timestamps', label: 'Date & time' },
+    { id: 'author', label: 'Author, copyright & captions' },
+    { id: 'software', label: 'Software' },
+    { id: 'other', label: 'Other EXIF fields' },
+    { id: 'xmp', label: 'XMP' },
+    { id: 'iptc', label: 'IPTC' },
+];
+
+// Everything is kept except where the photo was taken
+export const DEFAULT_METADATA_POLICY = Object.fromEntries(METADATA_CATEGORIES.map(category => [category.id, category.id !== 'location']));
+
+export const getMetadataCategoryLabel = (id) => METADATA_CATEGORIES.find(category => category.id === id)?.label || id;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+const EXIF_HEADER = textEncoder.encode('Exif\0\0');
+const XMP_HEADER = textEncoder.encode('http://ns.adobe.com/xap/1.0/\0');
+const PHOTOSHOP_HEADER = textEncoder.encode('Photoshop 3.0\0');
+const XMP_PNG_KEYWORD = 'XML:com.adobe.xmp';
+const IPTC_RESOURCE_ID = 0x0404;
+
+// IPTC datasets (record 2) that describe where the photo was taken
+const IPTC_LOCATION_DATASETS = [26, 27, 90, 92, 95, 100, 101];
+const IPTC_DATASETS = {
+    5: 'Object name', 25: 'Keywords', 26: 'Location code', 27: 'Location name', 55: 'Date created',
+    60: 'Time created', 80: 'By-line', 90: 'City', 92: 'Sublocation', 95: 'Province/State',
+    100: 'Country code', 101: 'Country', 105: 'Headline', 110: 'Credit', 115: 'Source', 116: 'Copyright notice',
+    120: 'Caption',
+};
+
+const startsWith = (bytes, prefix, offset = 0) => prefix.every((byte, i) => bytes[offset + i] === byte);
+
+const concat = (parts) => {
+    const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+};
+
+const fourCC = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+const getContainer = (bytes) => {
+    if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+        return 'jpeg';
+    }
+    if (bytes[0] === 0x89 && fourCC(bytes, 1) === 'PNG\r') {
+        return 'png';
+    }
+    if (fourCC(bytes, 0) === 'RIFF' && fourCC(bytes, 8) === 'WEBP') {
+        return 'webp';
+    }
+    return null;
+};
+
+// --- JPEG ---
+
+// Segments before the image data: [{ marker, start, end, data }]
+const readJpegSegments = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const segments = [];
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+        const marker = bytes[offset + 1];
+        if (marker === 0xda || marker === 0xd9) {
+            break; // Start of scan: only image data follows
+        }
+        const end = offset + 2 + view.getUint16(offset + 2);
+        segments.push({ marker, start: offset, end, data: bytes.subarray(offset + 4, end) });
+        offset = end;
+    }
+    return { segments, dataStart: offset };
+};
+
+const isJpegMetadataSegment = ({ marker, data }) => (marker === 0xe1 && (startsWith(data, EXIF_HEADER) || startsWith(data, XMP_HEADER)))
+    || (marker === 0xed && startsWith(data, PHOTOSHOP_HEADER));
+
+// IPTC data from the Photoshop resources of an APP13 segment
+const readPhotoshopIptc = (data) => {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    let offset = PHOTOSHOP_HEADER.length;
+    while (offset + 12 <= data.length && fourCC(data, offset) === '8BIM') {
+        const id = view.getUint16(offset + 4);
+        const nameLength = data[offset + 6];
+        offset += 6 + nameLength + 1 + ((nameLength + 1) % 2); // Pascal string padded to an even size
+        const size = view.getUint32(offset);
+        offset += 4;
+        if (id === IPTC_RESOURCE_ID) {
+            return data.slice(offset, offset + size);
+        }
+        offset += size + (size % 2);
+    }
+    return null;
+};
+
+const jpegSegment = (marker, parts) => {
+    const data = concat(parts);
+    if (data.length + 2 > 0xffff) {
+        return null; // Doesn't fit in a single segment
+    }
+    const header = new Uint8Array([0xff, marker, (data.length + 2) >> 8, (data.length + 2) & 0xff]);
+    return concat([header, data]);
+};
+
+const writeJpeg = (bytes, { exif, xmp, iptc }) => {
+    const { segments } = readJpegSegments(bytes);
+    const kept = segments.filter(segment => !isJpegMetadataSegment(segment));
+    // New metadata goes right after the JFIF header (APP0), where readers expect it
+    const jfifEnd = segments.find(segment => segment.marker === 0xe0)?.end || 2;
+    const resourceSize = iptc ? new Uint8Array([iptc.length >>> 24, (iptc.length >> 16) & 0xff, (iptc.length >> 8) & 0xff, iptc.length & 0xff]) : null;
+    const added = [
+        exif && jpegSegment(0xe1, [EXIF_HEADER, exif]),
+        xmp && jpegSegment(0xe1, [XMP_HEADER, textEncoder.encode(xmp)]),
+        iptc && jpegSegment(0xed, [PHOTOSHOP_HEADER, textEncoder.encode('8BIM'), new Uint8Array([0x04, 0x04, 0, 0]), resourceSize, iptc, new Uint8Array(iptc.length % 2)]),
+    ].filter(Boolean);
+
+    const before = kept.filter(segment => segment.end <= jfifEnd).map(segment => bytes.subarray(segment.start, segment.end));
+    const after = kept.filter(segment => segment.end > jfifEnd).map(segment => bytes.subarray(segment.start, segment.end));
+    const rest = bytes.subarray(segments.length > 0 ? segments[segments.length - 1].end : 2);
+    return concat([bytes.subarray(0, 2), ...before, ...added, ...after, rest]);
+};
+
+const readJpeg = (bytes) => {
+    const metadata = { exif: null, xmp: null, iptc: null };
+    for (const { marker, data } of readJpegSegments(bytes).segments) {
+        if (marker === 0xe1 && startsWith(data, EXIF_HEADER) && !metadata.exif) {
+            metadata.exif = data.slice(EXIF_HEADER.length);
+        } else if (marker === 0xe1 && startsWith(data, XMP_HEADER) && !metadata.xmp) {
+            metadata.xmp = textDecoder.decode(data.subarray(XMP_HEADER.length));
+        } else if (marker === 0xed && startsWith(data, PHOTOSHOP_HEADER)) {
+            metadata.iptc = readPhotoshopIptc(data);
+        }
+    }
+    return metadata;
+};
+
+// --- PNG ---
+
+const readPngChunks = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 8;
+    while (offset + 12 <= bytes.length) {
+        const length = view.getUint32(offset);
+        const end = offset + 12 + length;
+        chunks.push({ type: fourCC(bytes, offset + 4), start: offset, end, data: bytes.subarray(offset + 8, offset + 8 + length) });
+        offset = end;
+    }
+    return chunks;
+};
+
+const isPngXmpChunk = ({ type, data }) => type === 'iTXt' && startsWith(data, textEncoder.encode(`${XMP_PNG_KEYWORD}\0`));
+
+const pngChunk = (type, data) => {
+    const typeAndData = concat([textEncoder.encode(type), data]);
+    const chunk = new Uint8Array(typeAndData.length + 8);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(typeAndData, 4);
+    view.setUint32(chunk.length - 4, crc32(typeAndData));
+    return chunk;
+};
+
+const writePng = (bytes, { exif, xmp }) => {
+    const chunks = readPngChunks(bytes).filter(chunk => chunk.type !== 'eXIf' && !isPngXmpChunk(chunk));
+    const firstData = chunks.findIndex(chunk => chunk.type === 'IDAT');
+    const added = [
+        exif && pngChunk('eXIf', exif),
+        // Uncompressed international text: keyword, flag, method, language, translated keyword, text
+        xmp && pngChunk('iTXt', concat([textEncoder.encode(`${XMP_PNG_KEYWORD}\0\0\0\0\0`), textEncoder.encode(xmp)])),
+    ].filter(Boolean);
+    const toBytes = (chunk) => bytes.subarray(chunk.start, chunk.end);
+    return concat([
+        bytes.subarray(0, 8),
+        ...chunks.slice(0, firstData).map(toBytes),
+        ...added,
+        ...chunks.slice(firstData).map(toBytes),
+    ]);
+};
+
+const readPng = (bytes) => {
+    const metadata = { exif: null, xmp: null, iptc: null };
+    for (const chunk of readPngChunks(bytes)) {
+        if (chunk.type === 'eXIf') {
+            metadata.exif = chunk.data.slice();
+        } else if (isPngXmpChunk(chunk) && chunk.data[XMP_PNG_KEYWORD.length + 1] === 0) {
+            // Skip the keyword, the compression flag and method, then the language and translated keyword
+            let offset = XMP_PNG_KEYWORD.length + 3;
+            offset = chunk.data.indexOf(0, offset) + 1;
+            offset = chunk.data.indexOf(0, offset) + 1;
+            metadata.xmp = textDecoder.decode(chunk.data.subarray(offset));
+        }
+    }
+    return metadata;
+};
+
+// --- WebP ---
+
+const writeWebp = (bytes, { exif, xmp }) => {
+    const chunks = readWebpChunks(bytes).filter(chunk => chunk.type !== 'EXIF' && chunk.type !== 'XMP ');
+    const parts = chunks.map(chunk => bytes.slice(chunk.start, chunk.end));
+    let vp8xIndex = chunks.findIndex(chunk => chunk.type === 'VP8X');
+    if (vp8xIndex === -1) {
+        if (!exif && !xmp) {
+            return concat([bytes.subarray(0, 12), ...parts]);
+        }
+        parts.unshift(createVp8xChunk(chunks.find(chunk => chunk.type === 'VP8 ' || chunk.type === 'VP8L')));
+        vp8xIndex = 0;
+    }
+    // VP8X flags: EXIF 0x08, XMP 0x04
+    parts[vp8xIndex][8] = (parts[vp8xIndex][8] & ~0x0c) | (exif ? 0x08 : 0) | (xmp ? 0x04 : 0);
+    if (exif) {
+        parts.push(webpChunk('EXIF', exif));
+    }
+    if (xmp) {
+        parts.push(webpChunk('XMP ', textEncoder.encode(xmp)));
+    }
+
+    const body = concat(parts);
+    const result = concat([bytes.subarray(0, 12), body]);
+    new DataView(result.buffer).setUint32(4, result.length - 8, true);
+    return result;
+};
+
+const readWebp = (bytes) => {
+    const metadata = { exif: null, xmp: null, iptc: null };
+    for (const chunk of readWebpChunks(bytes)) {
+        if (chunk.type === 'EXIF') {
+            // Some writers keep the JPEG style "Exif\0\0" header
+            metadata.exif = chunk.data.slice(startsWith(chunk.data, EXIF_HEADER) ? EXIF_HEADER.length : 0);
+        } else if (chunk.type === 'XMP ') {
+            metadata.xmp = textDecoder.decode(chunk.data);
+        }
+    }
+    return metadata;
+};
+
+const CONTAINERS = {
+    jpeg: { read: readJpeg, write: writeJpeg },
+    png: { read: readPng, write: writePng },
+    webp: { read: readWebp, write: writeWebp },
+};
+
+// --- IPTC and XMP filtering ---
+
+const readIptcDatasets = (iptc) => {
+    const datasets = [];
+    let offset = 0;
+    while (offset + 5 <= iptc.length && iptc[offset] === 0x1c) {
+        const size = (iptc[offset + 3] << 8) | iptc[offset + 4];
+        datasets.push({ record: iptc[offset + 1], dataset: iptc[offset + 2], start: offset, end: offset + 5 + size });
+        offset += 5 + size;
+    }
+    return datasets;
+};
+
+const removeIptcLocation = (iptc) => {
+    const kept = readIptcDatasets(iptc)
+        .filter(({ record, dataset }) => record !== 2 || !IPTC_LOCATION_DATASETS.includes(dataset))
+        .map(({ start, end }) => iptc.subarray(start, end));
+    return kept.length > 0 ? concat(kept) : null;
+};
+
+// Remove the exif:GPS* properties, written either as attributes or as elements
+const removeXmpLocation = (xmp) => xmp
+    .replace(/\s+exif:GPS\w+\s*=\s*("[^"]*"|'[^']*')/g, '')
+    .replace(/<exif:(GPS\w+)\b[^>]*\/>/g, '')
+    .replace(/<exif:(GPS\w+)\b[^>]*>[\s\S]*?<\/exif:\1>/g, '');
+
+// XMP property names, for the inspector
+const getXmpProperties = (xmp) => {
+    const names = new Set();
+    for (const match of xmp.matchAll(/(?:<|\s)([a-zA-Z]+:[a-zA-Z]+)(?=\s*=|[\s>/])/g)) {
+        if (!/^(x|rdf|xmlns|xml):/.test(match[1])) {
+            names.add(match[1]);
+        }
+    }
+    return [...names];
+};
+
+// --- Public API ---
+
+// Read the metadata of an image file.
+// Resolves with { exif, xmp, iptc } (exif parsed, see exif.js) or null for unsupported formats.
+export const readMetadata = async (blob) => {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const container = getContainer(bytes);
+    if (!container) {
+        return null;
+    }
+    const { exif, xmp, iptc } = CONTAINERS[container].read(bytes);
+    return { exif: exif && parseExif(exif), xmp, iptc };
+};
+
+// Fields for display: [{ source: 'exif' | 'xmp' | 'iptc', category, name, value }]
+export const getMetadataFields = (metadata) => {
+    if (!metadata) {
+        return [];
+    }
+    const fields = metadata.exif ? getExifFields(metadata.exif).map(field => ({ source: 'exif', ...field })) : [];
+    if (metadata.xmp) {
+        const properties = getXmpProperties(metadata.xmp);
+        fields.push({ source: 'xmp', category: 'xmp', name: 'XMP packet', value: properties.length > 0 ? properties.join(', ') : `${metadata.xmp.length} characters` });
+    }
+    if (metadata.iptc) {
+        for (const { record, dataset, start, end } of readIptcDatasets(metadata.iptc)) {
+            if (record === 2 && IPTC_DATASETS[dataset]) {
+                const category = IPTC_LOCATION_DATASETS.includes(dataset) ? 'location' : 'iptc';
+                fields.push({ source: 'iptc', category, name: `IPTC ${IPTC_DATASETS[dataset]}`, value: textDecoder.decode(metadata.iptc.subarray(start + 5, end)) });
+            }
+        }
+    }
+    return fields;
+};
+
+// The part of `metadata` the policy keeps.
+// `resetOrientation` marks the output as upright: the pixels were already rotated when decoding.
+export const filterMetadata = (metadata, policy, { resetOrientation = false } = {}) => {
+    if (!metadata) {
+        return { exif: null, xmp: null, iptc: null };
+    }
+    let exif = metadata.exif && filterExif(metadata.exif, (entry, category) => policy[category] !== false);
+    // Orientation is kept whatever the policy, an unrotated original would display sideways without it.
+    // Re-encoded pixels are already upright.
+    const orientation = metadata.exif ? getOrientation(metadata.exif) : 1;
+    if (exif && orientation > 1) {
+        exif = setOrientation(exif, resetOrientation ? 1 : orientation);
+    }
+    let xmp = policy.xmp ? metadata.xmp : null;
+    let iptc = policy.iptc ? metadata.iptc : null;
+    if (!policy.location) {
+        xmp = xmp && removeXmpLocation(xmp);
+        iptc = iptc && removeIptcLocation(iptc);
+    }
+    return {
+        exif: exif && !isExifEmpty(exif) ? serializeExif(exif) : null,
+        xmp,
+        iptc,
+    };
+};
+
+// Replace the metadata of an encoded image with `filtered` (from filterMetadata)
+export const writeMetadata = async (blob, filtered) => {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const container = getContainer(bytes);
+    if (!container) {
+        return blob;
+    }
+    return new Blob([CONTAINERS[container].write(bytes, filtered)], { type: blob.type });
+};
+
+// Categories of metadata present in an image, for the history
+export const getRetainedMetadata = async (blob) => {
+    const fields = getMetadataFields(await readMetadata(blob));
+    // Orientation alone (always written when EXIF is kept) isn't worth reporting
+    return [...new Set(fields.filter(field => field.name !== 'Orientation').map(field => field.category))];
+};
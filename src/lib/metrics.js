@@ -0,0 +1,116 @@
+// Objective image quality metrics between an original and its compressed version:
+// PSNR (over RGB) and SSIM (over luma, 8x8 windows with a stride of 4).
+// Both images are drawn at the same analysis size over a white background (the fill color for
+// JPEG output), so resized outputs and transparent images can be compared too.
+import { loadImage } from './imageInfo';
+import { createCanvas } from './canvas';
+import { applyCrop, hasCrop } from './crop';
+import { getDrawRect } from './resize';
+
+// Larger images are measured on a downscaled copy to keep the computation fast
+const MAX_ANALYSIS_EDGE = 2048;
+const SSIM_WINDOW = 8;
+const SSIM_STRIDE = 4;
+const SSIM_C1 = (0.01 * 255) ** 2;
+const SSIM_C2 = (0.03 * 255) ** 2;
+
+// Draw an image at the analysis size. The options (see createMetricsReference) turn the original into
+// what the engine draws; without them the image is scaled to fill the size.
+const drawToImageData = async (blob, width, height, { crop, resize, backgroundColor = '#fff', watermark } = {}) => {
+    const original = await loadImage(blob);
+    const image = hasCrop(crop) ? applyCrop(original, crop) : original;
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.fillStyle = backgroundColor;
+    context.fillRect(0, 0, width, height);
+    const rect = resize ? getDrawRect(image, resize, width, height) : { x: 0, y: 0, width, height };
+    context.drawImage(image.source, rect.x, rect.y, rect.width, rect.height);
+    watermark?.apply(context, width, height);
+    if (image !== original) {
+        image.release();
+    }
+    original.release();
+    return context.getImageData(0, 0, width, height).data;
+};
+
+const toLuma = (rgba) => {
+    const luma = new Float32Array(rgba.length / 4);
+    for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+        luma[i] = 0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2];
+    }
+    return luma;
+};
+
+const computePsnr = (a, b) => {
+    let squaredError = 0;
+    for (let i = 0; i < a.length; i += 4) {
+        for (let c = 0; c < 3; c++) {
+            const diff = a[i + c] - b[i + c];
+            squaredError += diff * diff;
+        }
+    }
+    const mse = squaredError / ((a.length / 4) * 3);
+    return mse === 0 ? Infinity : 10 * Math.log10((255 * 255) / mse);
+};
+
+const computeSsim = (a, b, width, height) => {
+    // Images smaller than a window are compared as a single window
+    const windowWidth = Math.min(SSIM_WINDOW, width);
+    const windowHeight = Math.min(SSIM_WINDOW, height);
+    const count = windowWidth * windowHeight;
+    let total = 0;
+    let windows = 0;
+
+    for (let y = 0; y + windowHeight <= height; y += SSIM_STRIDE) {
+        for (let x = 0; x + windowWidth <= width; x += SSIM_STRIDE) {
+            let sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+            for (let wy = 0; wy < windowHeight; wy++) {
+                let index = (y + wy) * width + x;
+                for (let wx = 0; wx < windowWidth; wx++, index++) {
+                    const va = a[index];
+                    const vb = b[index];
+                    sumA += va;
+                    sumB += vb;
+                    sumAA += va * va;
+                    sumBB += vb * vb;
+                    sumAB += va * vb;
+                }
+            }
+            const meanA = sumA / count;
+            const meanB = sumB / count;
+            const varianceA = sumAA / count - meanA * meanA;
+            const varianceB = sumBB / count - meanB * meanB;
+            const covariance = sumAB / count - meanA * meanB;
+            total += ((2 * meanA * meanB + SSIM_C1) * (2 * covariance + SSIM_C2))
+                / ((meanA * meanA + meanB * meanB + SSIM_C1) * (varianceA + varianceB + SSIM_C2));
+            windows++;
+        }
+    }
+    return total / windows;
+};
+
+// Decode the original once at the size it will be compared at.
+// `outputDimensions` is the size of the compressed image (the original is scaled down to it if resized).
+// The original is drawn the way the engine draws the output, so only compression losses count:
+// - crop:            rotation, flip and crop rect (see crop.js), applied first
+// - resize:          engine resize options, contain letterboxes and cover crops as in the output (see getDrawRect())
+// - backgroundColor: fill behind transparency and letterboxing for JPEG output (white otherwise)
+// - watermark:       a loaded watermark (see loadWatermark() in watermark.js), stamped on top
+export const createMetricsReference = async (originalBlob, outputDimensions, options = {}) => {
+    const scale = Math.min(1, MAX_ANALYSIS_EDGE / Math.max(outputDimensions.width, outputDimensions.height));
+    const width = Math.max(1, Math.round(outputDimensions.width * scale));
+    const height = Math.max(1, Math.round(outputDimensions.height * scale));
+    const rgba = await drawToImageData(originalBlob, width, height, options);
+    return { width, height, rgba, luma: toLuma(rgba) };
+};
+
+// Compare a compressed image against a reference. Resolves with { psnr, ssim }.
+export const measureQuality = async (reference, compressedBlob) => {
+    const rgba = await drawToImageData(compressedBlob, reference.width, reference.height);
+    return {
+        psnr: computePsnr(reference.rgba, rgba),
+        ssim: computeSsim(reference.luma, toLuma(rgba), reference.width, reference.height),
+    };
+};
+
+export const formatPsnr = (psnr) => (Number.isFinite(psnr) ? `${psnr.toFixed(1)} dB` : '∞ (identical)');
@@ -0,0 +1,45 @@
+// "Compress to minimum SSIM X": finds the lowest quality whose output still has an SSIM of at least X
+// compared to the original, i.e. the smallest file that keeps the requested visual fidelity.
+
+const MIN_QUALITY = 0.05;
+const MAX_QUALITY = 1;
+const QUALITY_SEARCH_STEPS = 7;
+
+export class MinSsimError extends Error {
+    constructor(message, bestSsim) {
+        super(message);
+        this.name = 'MinSsimError';
+        this.bestSsim = bestSsim;
+    }
+}
+
+// `compress(quality)` resolves with a Blob, `measure(blob)` with { psnr, ssim }.
+// Resolves with { blob, quality, metrics }, rejects with a MinSsimError when even the highest quality is below minSsim.
+export const compressToMinSsim = async ({ compress, measure, minSsim }) => {
+    const attempt = async (quality) => {
+        const blob = await compress(quality);
+        return { blob, quality, metrics: await measure(blob) };
+    };
+
+    let best = await attempt(MAX_QUALITY);
+    if (best.metrics.ssim < minSsim) {
+        throw new MinSsimError(
+            `Could not reach SSIM ${minSsim}. Even at 100% quality the SSIM is ${best.metrics.ssim.toFixed(4)}, lower the threshold or change the format/resize settings.`,
+            best.metrics.ssim
+        );
+    }
+
+    let low = MIN_QUALITY;
+    let high = MAX_QUALITY;
+    for (let step = 0; step < QUALITY_SEARCH_STEPS; step++) {
+        const quality = (low + high) / 2;
+        const result = await attempt(quality);
+        if (result.metrics.ssim >= minSsim) {
+            best = result;
+            high = quality;
+        } else {
+            low = quality;
+        }
+    }
+    return best;
+};
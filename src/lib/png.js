@@ -0,0 +1,201 @@
+// PNG encoder that spends more effort than the browser's: it picks the smallest color type the
+// pixels allow (palette, grayscale, with or without alpha), the best filter per row and compresses
+// with maximum deflate. Also writes quantized (indexed) images from quantize.js.
+import { zlibSync } from 'fflate';
+import { crc32 } from './zip';
+
+const COLOR_GRAY = 0;
+const COLOR_RGB = 2;
+const COLOR_INDEXED = 3;
+const COLOR_GRAY_ALPHA = 4;
+const COLOR_RGBA = 6;
+
+const textEncoder = new TextEncoder();
+
+const chunk = (type, data) => {
+    const typeAndData = new Uint8Array(4 + data.length);
+    typeAndData.set(textEncoder.encode(type), 0);
+    typeAndData.set(data, 4);
+    const bytes = new Uint8Array(typeAndData.length + 8);
+    const view = new DataView(bytes.buffer);
+    view.setUint32(0, data.length);
+    bytes.set(typeAndData, 4);
+    view.setUint32(bytes.length - 4, crc32(typeAndData));
+    return bytes;
+};
+
+// Exact palette of the image if it has at most 256 colors: { palette, indices }, or null
+export const findExactPalette = (rgba, pixelCount) => {
+    const view = new Uint32Array(rgba.buffer, rgba.byteOffset, pixelCount);
+    const colors = new Map();
+    const indices = new Uint8Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) {
+        const color = view[p];
+        let index = colors.get(color);
+        if (index === undefined) {
+            if (colors.size === 256) {
+                return null;
+            }
+            index = colors.size;
+            colors.set(color, index);
+        }
+        indices[p] = index;
+    }
+    const palette = [...colors.keys()].map(color => {
+        const bytes = new Uint8Array(new Uint32Array([color]).buffer);
+        return [bytes[0], bytes[1], bytes[2], bytes[3]];
+    });
+    return { palette, indices };
+};
+
+// Pick the most compact lossless color type
+const analyze = (rgba) => {
+    let opaque = true;
+    let gray = true;
+    for (let i = 0; i < rgba.length && (opaque || gray); i += 4) {
+        if (rgba[i + 3] !== 255) {
+            opaque = false;
+        }
+        if (rgba[i] !== rgba[i + 1] || rgba[i] !== rgba[i + 2]) {
+            gray = false;
+        }
+    }
+    if (gray) {
+        return opaque ? COLOR_GRAY : COLOR_GRAY_ALPHA;
+    }
+    return opaque ? COLOR_RGB : COLOR_RGBA;
+};
+
+// Raw scanlines (without filter bytes) in the given color type
+const packRows = ({ data, width, height }, colorType) => {
+    const channels = { [COLOR_GRAY]: [0], [COLOR_GRAY_ALPHA]: [0, 3], [COLOR_RGB]: [0, 1, 2], [COLOR_RGBA]: [0, 1, 2, 3] }[colorType];
+    const rowLength = width * channels.length;
+    const rows = new Uint8Array(rowLength * height);
+    for (let p = 0, o = 0; p < width * height; p++) {
+        for (const c of channels) {
+            rows[o++] = data[p * 4 + c];
+        }
+    }
+    return { rows, rowLength, bytesPerPixel: channels.length };
+};
+
+const packIndexedRows = (indices, width, height, bitDepth) => {
+    const rowLength = Math.ceil((width * bitDepth) / 8);
+    const rows = new Uint8Array(rowLength * height);
+    const perByte = 8 / bitDepth;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const shift = 8 - bitDepth * ((x % perByte) + 1);
+            rows[y * rowLength + Math.floor(x / perByte)] |= indices[y * width + x] << shift;
+        }
+    }
+    return { rows, rowLength, bytesPerPixel: 1 };
+};
+
+const paeth = (a, b, c) => {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+};
+
+// Filter every row. Indexed images use no filter (the usual best choice for palettes); other images
+// try all five filters per row and keep the one with the smallest sum of absolute differences.
+const filterRows = ({ rows, rowLength, bytesPerPixel }, height, adaptive) => {
+    const output = new Uint8Array((rowLength + 1) * height);
+    const candidate = new Uint8Array(rowLength);
+    const best = new Uint8Array(rowLength);
+    const zeroRow = new Uint8Array(rowLength);
+
+    for (let y = 0; y < height; y++) {
+        const row = rows.subarray(y * rowLength, (y + 1) * rowLength);
+        const previous = y > 0 ? rows.subarray((y - 1) * rowLength, y * rowLength) : zeroRow;
+        let bestFilter = 0;
+        best.set(row);
+
+        if (adaptive) {
+            let bestCost = Infinity;
+            for (let filter = 0; filter <= 4; filter++) {
+                let cost = 0;
+                for (let i = 0; i < rowLength; i++) {
+                    const left = i >= bytesPerPixel ? row[i - bytesPerPixel] : 0;
+                    const up = previous[i];
+                    const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+                    const predicted = filter === 0 ? 0
+                        : filter === 1 ? left
+                            : filter === 2 ? up
+                                : filter === 3 ? (left + up) >> 1
+                                    : paeth(left, up, upLeft);
+                    const value = (row[i] - predicted) & 0xff;
+                    candidate[i] = value;
+                    cost += value < 128 ? value : 256 - value;
+                }
+                if (cost < bestCost) {
+                    bestCost = cost;
+                    bestFilter = filter;
+                    best.set(candidate);
+                }
+            }
+        }
+
+        output[y * (rowLength + 1)] = bestFilter;
+        output.set(best, y * (rowLength + 1) + 1);
+    }
+    return output;
+};
+
+const bitDepthFor = (paletteSize) => (paletteSize <= 2 ? 1 : paletteSize <= 4 ? 2 : paletteSize <= 16 ? 4 : 8);
+
+const assemble = ({ width, height, colorType, bitDepth, filtered, palette }) => {
+    const header = new Uint8Array(13);
+    const view = new DataView(header.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    header[8] = bitDepth;
+    header[9] = colorType;
+
+    const chunks = [chunk('IHDR', header)];
+    if (palette) {
+        chunks.push(chunk('PLTE', new Uint8Array(palette.flatMap(([r, g, b]) => [r, g, b]))));
+        // Alpha values are only needed up to the last non-opaque entry
+        const lastTransparent = palette.findLastIndex(color => color[3] !== 255);
+        if (lastTransparent !== -1) {
+            chunks.push(chunk('tRNS', new Uint8Array(palette.slice(0, lastTransparent + 1).map(color => color[3]))));
+        }
+    }
+    chunks.push(chunk('IDAT', zlibSync(filtered, { level: 9, mem: 9 })));
+    chunks.push(chunk('IEND', new Uint8Array(0)));
+
+    return new Blob([new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), ...chunks], { type: 'image/png' });
+};
+
+// Put transparent entries first so the tRNS chunk stays short
+const sortPalette = ({ palette, indices }) => {
+    const order = palette.map((color, index) => index).sort((a, b) => (palette[a][3] === 255) - (palette[b][3] === 255));
+    const remap = new Uint8Array(palette.length);
+    order.forEach((oldIndex, newIndex) => { remap[oldIndex] = newIndex; });
+    return { palette: order.map(index => palette[index]), indices: indices.map(index => remap[index]) };
+};
+
+const encodeIndexed = (width, height, quantized) => {
+    const { palette, indices } = sortPalette(quantized);
+    const bitDepth = bitDepthFor(palette.length);
+    const filtered = filterRows(packIndexedRows(indices, width, height, bitDepth), height, false);
+    return assemble({ width, height, colorType: COLOR_INDEXED, bitDepth, filtered, palette });
+};
+
+// Losslessly encode ImageData ({ data, width, height }) as compactly as possible
+export const encodePngLossless = (imageData) => {
+    const { data, width, height } = imageData;
+    const exact = findExactPalette(data, width * height);
+    if (exact) {
+        return encodeIndexed(width, height, exact);
+    }
+    const colorType = analyze(data);
+    const filtered = filterRows(packRows(imageData, colorType), height, true);
+    return assemble({ width, height, colorType, bitDepth: 8, filtered });
+};
+
+// Encode a quantized image ({ palette, indices } from quantize.js)
+export const encodePngIndexed = (width, height, quantized) => encodeIndexed(width, height, quantized);
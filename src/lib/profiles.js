@@ -0,0 +1,197 @@
+// Compression profiles: named sets of settings (mode, quality, dimensions, format, metadata, PNG and animation options,
+// file name template, watermark).
+// Built-in presets ship with the app; user profiles are saved in localStorage and can be shared
+// as a JSON file.
+import { DEFAULT_RESIZE } from './resize';
+import { OUTPUT_FORMATS } from './formats';
+import { DEFAULT_METADATA_POLICY } from './metadata';
+import { DITHERING_OPTIONS } from './quantize';
+import { DEFAULT_ANIMATION } from './animation';
+import { DEFAULT_FILE_NAME_TEMPLATE } from './fileNameTemplate';
+import { DEFAULT_WATERMARK, normalizeWatermark } from './watermark';
+
+const PROFILES_STORAGE_KEY = 'compressionProfiles';
+const PROFILES_FILE_VERSION = 1;
+
+export const DEFAULT_SETTINGS = {
+    compressionMode: 'quality',
+    compressionLevel: 70,
+    targetSizeKB: 200,
+    minSsim: 0.95,
+    resize: DEFAULT_RESIZE,
+    outputFormat: 'original',
+    backgroundColor: '#ffffff',
+    metadata: DEFAULT_METADATA_POLICY,
+    png: { colors: 0, dithering: 'floyd-steinberg' }, // 0 colors = lossless
+    animation: DEFAULT_ANIMATION,
+    fileNameTemplate: DEFAULT_FILE_NAME_TEMPLATE,
+    watermark: DEFAULT_WATERMARK,
+};
+
+const settings = (changes) => ({
+    ...DEFAULT_SETTINGS,
+    ...changes,
+    resize: { ...DEFAULT_RESIZE, ...changes.resize },
+    png: { ...DEFAULT_SETTINGS.png, ...changes.png },
+    animation: { ...DEFAULT_ANIMATION, ...changes.animation },
+});
+
+export const BUILT_IN_PRESETS = [
+    {
+        id: 'preset-blog-hero',
+        name: 'Blog hero',
+        settings: settings({ compressionLevel: 75, outputFormat: 'image/webp', resize: { maxWidth: 1600, maxHeight: 1600 } }),
+    },
+    {
+        id: 'preset-job-portal',
+        name: 'Job portal (JPEG < 200KB)',
+        settings: settings({ compressionMode: 'target', targetSizeKB: 200, outputFormat: 'image/jpeg' }),
+    },
+    {
+        id: 'preset-email',
+        name: 'Email attachment',
+        settings: settings({ compressionLevel: 70, outputFormat: 'image/jpeg', resize: { maxWidth: 1280, maxHeight: 1280 } }),
+    },
+    {
+        id: 'preset-high-fidelity',
+        name: 'High fidelity',
+        settings: settings({ compressionMode: 'ssim', minSsim: 0.98 }),
+    },
+    {
+        id: 'preset-small-png',
+        name: 'Small PNG (256 colors)',
+        settings: settings({ png: { colors: 256 } }),
+    },
+    {
+        id: 'preset-private',
+        name: 'Share privately (strip all metadata)',
+        settings: settings({ metadata: Object.fromEntries(Object.keys(DEFAULT_METADATA_POLICY).map(category => [category, false])) }),
+    },
+];
+
+export class ProfileImportError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProfileImportError';
+    }
+}
+
+const isNumberInRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+// Resize dimensions are positive numbers, or '' when unset
+const toDimension = (value) => (Number(value) > 0 ? Number(value) : '');
+
+// Complete settings from a possibly partial or outdated object; invalid values fall back to the defaults
+export const normalizeSettings = (rawSettings) => {
+    const raw = rawSettings && typeof rawSettings === 'object' ? rawSettings : {};
+    const pick = (key, isValid) => (isValid(raw[key]) ? raw[key] : DEFAULT_SETTINGS[key]);
+    const resize = raw.resize && typeof raw.resize === 'object' ? raw.resize : {};
+    const metadata = raw.metadata && typeof raw.metadata === 'object' ? raw.metadata : {};
+    const png = raw.png && typeof raw.png === 'object' ? raw.png : {};
+    const animation = raw.animation && typeof raw.animation === 'object' ? raw.animation : {};
+    const isDithering = (value) => DITHERING_OPTIONS.some(option => option.id === value);
+    return {
+        compressionMode: pick('compressionMode', value => ['quality', 'target', 'ssim'].includes(value)),
+        compressionLevel: pick('compressionLevel', value => isNumberInRange(value, 10, 100)),
+        targetSizeKB: pick('targetSizeKB', value => isNumberInRange(value, 1, Infinity)),
+        minSsim: pick('minSsim', value => isNumberInRange(value, 0.5, 1)),
+        resize: {
+            width: toDimension(resize.width),
+            height: toDimension(resize.height),
+            maxWidth: toDimension(resize.maxWidth),
+            maxHeight: toDimension(resize.maxHeight),
+            mode: ['fit', 'contain', 'cover'].includes(resize.mode) ? resize.mode : DEFAULT_RESIZE.mode,
+            lockAspect: typeof resize.lockAspect === 'boolean' ? resize.lockAspect : DEFAULT_RESIZE.lockAspect,
+        },
+        outputFormat: pick('outputFormat', value => value === 'original' || OUTPUT_FORMATS.some(format => format.mimeType === value)),
+        backgroundColor: pick('backgroundColor', value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)),
+        metadata: {
+            ...DEFAULT_METADATA_POLICY,
+            ...Object.fromEntries(Object.keys(DEFAULT_METADATA_POLICY)
+                .filter(key => typeof metadata[key] === 'boolean')
+                .map(key => [key, metadata[key]])),
+        },
+        png: {
+            colors: png.colors === 0 || isNumberInRange(png.colors, 2, 256) ? Math.round(png.colors) : DEFAULT_SETTINGS.png.colors,
+            dithering: isDithering(png.dithering) ? png.dithering : DEFAULT_SETTINGS.png.dithering,
+        },
+        animation: {
+            keepFrames: typeof animation.keepFrames === 'boolean' ? animation.keepFrames : DEFAULT_ANIMATION.keepFrames,
+            frameStep: isNumberInRange(animation.frameStep, 1, 10) ? Math.round(animation.frameStep) : DEFAULT_ANIMATION.frameStep,
+            colors: isNumberInRange(animation.colors, 2, 256) ? Math.round(animation.colors) : DEFAULT_ANIMATION.colors,
+            dithering: isDithering(animation.dithering) ? animation.dithering : DEFAULT_ANIMATION.dithering,
+        },
+        fileNameTemplate: pick('fileNameTemplate', value => typeof value === 'string' && value.trim() !== ''),
+        watermark: normalizeWatermark(raw.watermark),
+    };
+};
+
+// Options for compressImage() (see index.js) from a profile's settings
+export const toCompressOptions = (profileSettings) => ({
+    mode: profileSettings.compressionMode,
+    quality: profileSettings.compressionLevel / 100,
+    targetBytes: profileSettings.targetSizeKB * 1024,
+    minSsim: profileSettings.minSsim,
+    resize: profileSettings.resize,
+    outputFormat: profileSettings.outputFormat,
+    backgroundColor: profileSettings.backgroundColor,
+    metadata: profileSettings.metadata,
+    png: profileSettings.png,
+    animation: profileSettings.animation,
+    fileNameTemplate: profileSettings.fileNameTemplate,
+    watermark: profileSettings.watermark,
+});
+
+export const loadProfiles = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY) || '[]');
+        return Array.isArray(stored)
+            ? stored.filter(profile => profile && typeof profile === 'object').map(profile => ({ ...profile, settings: normalizeSettings(profile.settings) }))
+            : [];
+    } catch {
+        return [];
+    }
+};
+
+// Throws when localStorage is full or disabled, e.g. with several profiles embedding a watermark logo
+export const saveProfiles = (profiles) => localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+
+export const createProfile = (name, profileSettings) => ({
+    id: `profile-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim(),
+    settings: normalizeSettings(profileSettings),
+});
+
+// Add profiles, replacing existing ones with the same name (case-insensitive)
+export const mergeProfiles = (existing, added) => {
+    const addedNames = new Set(added.map(profile => profile.name.toLowerCase()));
+    return [...existing.filter(profile => !addedNames.has(profile.name.toLowerCase())), ...added];
+};
+
+// JSON file shared between team members
+export const exportProfiles = (profiles) => JSON.stringify({
+    version: PROFILES_FILE_VERSION,
+    profiles: profiles.map(({ name, settings: profileSettings }) => ({ name, settings: profileSettings })),
+}, null, 2);
+
+// Parse an exported profiles file. Throws a ProfileImportError when it isn't one.
+export const parseProfilesFile = (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new ProfileImportError("The file is not valid JSON.");
+    }
+    const profiles = Array.isArray(data) ? data : data?.profiles;
+    if (!Array.isArray(profiles)) {
+        throw new ProfileImportError("The file doesn't contain any profiles.");
+    }
+    if (data.version > PROFILES_FILE_VERSION) {
+        throw new ProfileImportError("The profiles file was created by a newer version of the app.");
+    }
+    const valid = profiles.filter(profile => typeof profile?.name === 'string' && profile.name.trim() && profile.settings && typeof profile.settings === 'object');
+    if (valid.length === 0) {
+        throw new ProfileImportError("The file doesn't contain any valid profiles.");
+    }
+    return valid.map(profile => createProfile(profile.name, profile.settings));
+};
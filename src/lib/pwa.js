@@ -0,0 +1,37 @@
+// Page side of the service worker (src/workers/service.worker.js): registration, and picking up
+// images shared to the installed app from the phone's gallery or other apps.
+
+const SHARED_FILES_CACHE = 'shared-files';
+const SHARED_QUERY_PARAM = 'shared';
+
+// Only production builds have /sw.js; the dev server would serve stale modules from the cache anyway
+export const registerServiceWorker = () => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+        return;
+    }
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(err => console.error("Service worker registration failed:", err));
+    });
+};
+
+// Files shared to the app, removed from the service worker's cache once read. Empty unless the
+// page was opened by a share (the service worker redirects to "/?shared=1").
+export const takeSharedFiles = async () => {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(SHARED_QUERY_PARAM) || typeof caches === 'undefined') {
+        return [];
+    }
+    // Reloading the page shouldn't look like another share
+    url.searchParams.delete(SHARED_QUERY_PARAM);
+    window.history.replaceState(null, '', url);
+
+    const cache = await caches.open(SHARED_FILES_CACHE);
+    const requests = await cache.keys();
+    const files = await Promise.all(requests.map(async (request) => {
+        const response = await cache.match(request);
+        const blob = await response.blob();
+        await cache.delete(request);
+        return new File([blob], decodeURIComponent(response.headers.get('X-File-Name') || 'shared-image'), { type: blob.type });
+    }));
+    return files;
+};
@@ -0,0 +1,194 @@
+// Color quantization to a palette of 2-256 RGBA colors (median cut over a 5-bit-per-channel
+// histogram), with optional error diffusion dithering. Alpha is quantized like the other channels,
+// so semi-transparent edges survive; fully transparent pixels share a single palette entry.
+// With `opaque`, fully transparent pixels are left out of the palette (their index is meaningless)
+// and alpha is ignored, for formats with on/off transparency like GIF.
+
+export const DITHERING_OPTIONS = [
+    { id: 'none', label: 'None' },
+    { id: 'floyd-steinberg', label: 'Floyd–Steinberg' },
+    { id: 'atkinson', label: 'Atkinson' },
+];
+
+// Error diffusion kernels: [dx, dy, weight], weights relative to the divisor
+const KERNELS = {
+    'floyd-steinberg': { divisor: 16, cells: [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]] },
+    // Atkinson only spreads 6/8 of the error, which keeps flat areas clean
+    atkinson: { divisor: 8, cells: [[1, 0, 1], [2, 0, 1], [-1, 1, 1], [0, 1, 1], [1, 1, 1], [0, 2, 1]] },
+};
+
+const BITS = 5;
+const SHIFT = 8 - BITS;
+const LEVELS = 1 << BITS;
+
+const bucketOf = (r, g, b, a) => ((((r >> SHIFT) * LEVELS + (g >> SHIFT)) * LEVELS + (b >> SHIFT)) * LEVELS) + (a >> SHIFT);
+
+// Build the palette: split the box with the most pixels along its widest channel until there
+// are enough boxes, then average each box
+const buildPalette = (rgba, colors, opaque) => {
+    const counts = new Uint32Array(LEVELS ** 4);
+    const sums = new Float64Array(LEVELS ** 4 * 4);
+    for (let i = 0; i < rgba.length; i += 4) {
+        if (opaque && rgba[i + 3] === 0) {
+            continue;
+        }
+        const alpha = opaque ? 255 : rgba[i + 3];
+        // Color doesn't matter under full transparency
+        const r = alpha === 0 ? 0 : rgba[i];
+        const g = alpha === 0 ? 0 : rgba[i + 1];
+        const b = alpha === 0 ? 0 : rgba[i + 2];
+        const bucket = bucketOf(r, g, b, alpha);
+        counts[bucket]++;
+        sums[bucket * 4] += r;
+        sums[bucket * 4 + 1] += g;
+        sums[bucket * 4 + 2] += b;
+        sums[bucket * 4 + 3] += alpha;
+    }
+
+    const buckets = [];
+    for (let bucket = 0; bucket < counts.length; bucket++) {
+        if (counts[bucket] > 0) {
+            const count = counts[bucket];
+            buckets.push({
+                count,
+                color: [sums[bucket * 4] / count, sums[bucket * 4 + 1] / count, sums[bucket * 4 + 2] / count, sums[bucket * 4 + 3] / count],
+            });
+        }
+    }
+
+    const describe = (items) => {
+        const min = [255, 255, 255, 255];
+        const max = [0, 0, 0, 0];
+        let count = 0;
+        for (const item of items) {
+            count += item.count;
+            for (let c = 0; c < 4; c++) {
+                min[c] = Math.min(min[c], item.color[c]);
+                max[c] = Math.max(max[c], item.color[c]);
+            }
+        }
+        const ranges = max.map((value, c) => value - min[c]);
+        const channel = ranges.indexOf(Math.max(...ranges));
+        return { items, count, channel, range: ranges[channel] };
+    };
+
+    if (buckets.length === 0) {
+        return [[0, 0, 0, 255]];
+    }
+    const boxes = [describe(buckets)];
+    while (boxes.length < colors) {
+        // Prefer big, spread out boxes
+        let index = -1;
+        let score = 0;
+        boxes.forEach((box, i) => {
+            const boxScore = box.items.length > 1 ? box.count * box.range : 0;
+            if (boxScore > score) {
+                score = boxScore;
+                index = i;
+            }
+        });
+        if (index === -1) {
+            break; // Fewer distinct colors than requested
+        }
+        const { items, count, channel } = boxes[index];
+        items.sort((a, b) => a.color[channel] - b.color[channel]);
+        // Split at the pixel-weighted median
+        let seen = 0;
+        let split = 1;
+        for (; split < items.length - 1; split++) {
+            seen += items[split - 1].count;
+            if (seen >= count / 2) {
+                break;
+            }
+        }
+        boxes.splice(index, 1, describe(items.slice(0, split)), describe(items.slice(split)));
+    }
+
+    return boxes.map(({ items, count }) => {
+        const color = [0, 0, 0, 0];
+        for (const item of items) {
+            for (let c = 0; c < 4; c++) {
+                color[c] += item.color[c] * item.count;
+            }
+        }
+        return color.map(value => Math.round(value / count));
+    });
+};
+
+const createNearestColorLookup = (palette) => {
+    const cache = new Int16Array(LEVELS ** 4).fill(-1);
+    return (r, g, b, a) => {
+        const bucket = bucketOf(r, g, b, a);
+        if (cache[bucket] !== -1) {
+            return cache[bucket];
+        }
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const [pr, pg, pb, pa] = palette[i];
+            // Color differences matter less the more transparent the pixel is
+            const visibility = Math.max(a, pa) / 255;
+            const distance = ((pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2) * visibility + (pa - a) ** 2 * 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        }
+        cache[bucket] = best;
+        return best;
+    };
+};
+
+const clamp = (value) => (value < 0 ? 0 : value > 255 ? 255 : value);
+
+// Quantize RGBA pixels. Returns { palette: [[r, g, b, a]], indices: Uint8Array (one per pixel) }.
+export const quantize = ({ data, width, height }, { colors = 256, dithering = 'none', opaque = false } = {}) => {
+    const palette = buildPalette(data, Math.max(2, Math.min(256, colors)), opaque);
+    const nearest = createNearestColorLookup(palette);
+    const indices = new Uint8Array(width * height);
+    const kernel = KERNELS[dithering];
+
+    if (!kernel) {
+        for (let i = 0, p = 0; p < indices.length; i += 4, p++) {
+            indices[p] = nearest(data[i], data[i + 1], data[i + 2], opaque ? 255 : data[i + 3]);
+        }
+        return { palette, indices };
+    }
+
+    // Pending error per pixel and channel for the current row and the rows the kernel reaches
+    const rows = Math.max(...kernel.cells.map(([, dy]) => dy)) + 1;
+    const errors = Array.from({ length: rows }, () => new Float32Array(width * 4));
+    for (let y = 0; y < height; y++) {
+        const current = errors[0];
+        for (let x = 0; x < width; x++) {
+            const i = (y * width + x) * 4;
+            const e = x * 4;
+            if (opaque && data[i + 3] === 0) {
+                continue;
+            }
+            const r = clamp(data[i] + current[e]);
+            const g = clamp(data[i + 1] + current[e + 1]);
+            const b = clamp(data[i + 2] + current[e + 2]);
+            const a = opaque ? 255 : clamp(data[i + 3] + current[e + 3]);
+            const index = nearest(r, g, b, a);
+            indices[y * width + x] = index;
+            const color = palette[index];
+            const pixelErrors = [r - color[0], g - color[1], b - color[2], a - color[3]];
+            for (let c = 0; c < 4; c++) {
+                const error = pixelErrors[c] / kernel.divisor;
+                if (error === 0) {
+                    continue;
+                }
+                for (const [dx, dy, weight] of kernel.cells) {
+                    const nx = x + dx;
+                    if (nx >= 0 && nx < width && y + dy < height) {
+                        errors[dy][nx * 4 + c] += error * weight;
+                    }
+                }
+            }
+        }
+        // Shift the error rows up and clear the new last one
+        errors.push(errors.shift().fill(0));
+    }
+    return { palette, indices };
+};
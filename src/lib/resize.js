@@ -0,0 +1,89 @@
+// Resize settings and their translation to engine options.
+//
+// Modes:
+// - fit:     keep the aspect ratio and fit inside width x height; with the aspect ratio unlocked and
+//            both set, stretch to exactly width x height
+// - contain: output exactly width x height, the whole image letterboxed inside
+// - cover:   output exactly width x height, the image cropped to fill it
+
+export const DEFAULT_RESIZE = {
+    width: '',
+    height: '',
+    maxWidth: '',
+    maxHeight: '',
+    mode: 'fit',
+    lockAspect: true,
+};
+
+export const RESIZE_PRESETS = [
+    { label: 'Original', resize: DEFAULT_RESIZE },
+    { label: '1920px', resize: { ...DEFAULT_RESIZE, maxWidth: 1920, maxHeight: 1920 } },
+    { label: '1280px', resize: { ...DEFAULT_RESIZE, maxWidth: 1280, maxHeight: 1280 } },
+    { label: '800px', resize: { ...DEFAULT_RESIZE, maxWidth: 800, maxHeight: 800 } },
+    { label: 'Passport 600×600', resize: { ...DEFAULT_RESIZE, width: 600, height: 600, mode: 'cover', lockAspect: false } },
+];
+
+const toPositiveNumber = (value) => (Number(value) > 0 ? Number(value) : undefined);
+
+const isStretched = (resize) => resize.lockAspect === false && Boolean(toPositiveNumber(resize.width) && toPositiveNumber(resize.height));
+
+// Options understood by the compression engine
+export const toResizeOptions = (resize) => ({
+    width: toPositiveNumber(resize.width),
+    height: toPositiveNumber(resize.height),
+    maxWidth: toPositiveNumber(resize.maxWidth) || Infinity,
+    maxHeight: toPositiveNumber(resize.maxHeight) || Infinity,
+    resize: resize.mode !== 'fit' ? resize.mode : isStretched(resize) ? 'stretch' : 'none',
+});
+
+// Largest (contain) or smallest (cover) rectangle with the given aspect ratio for a width/height pair
+const adjustSizes = ({ aspectRatio, width, height }, type = 'contain') => {
+    const isValidWidth = width > 0 && Number.isFinite(width);
+    const isValidHeight = height > 0 && Number.isFinite(height);
+    if (isValidWidth && isValidHeight) {
+        const adjustedWidth = height * aspectRatio;
+        if ((type === 'contain' && adjustedWidth > width) || (type === 'cover' && adjustedWidth < width)) {
+            return { width, height: width / aspectRatio };
+        }
+        return { width: adjustedWidth, height };
+    }
+    if (isValidWidth) {
+        return { width, height: width / aspectRatio };
+    }
+    if (isValidHeight) {
+        return { width: height * aspectRatio, height };
+    }
+    return { width, height };
+};
+
+// Where an image goes on an output canvas of width × height: contain letterboxes the whole image,
+// cover crops it to fill the box (both centered), otherwise (fit, stretch) it fills the canvas.
+// Returns { x, y, width, height }, shared by the engine and the quality metrics' reference.
+export const getDrawRect = (source, options, width, height) => {
+    const fillsBox = (options.resize === 'contain' || options.resize === 'cover') && options.width > 0 && options.height > 0;
+    if (!fillsBox) {
+        return { x: 0, y: 0, width, height };
+    }
+    const scale = (options.resize === 'cover' ? Math.max : Math.min)(width / source.width, height / source.height);
+    const drawWidth = source.width * scale;
+    const drawHeight = source.height * scale;
+    return { x: (width - drawWidth) / 2, y: (height - drawHeight) / 2, width: drawWidth, height: drawHeight };
+};
+
+// Output dimensions for an image of the given size
+export const getOutputDimensions = (source, options) => {
+    const resizable = ['contain', 'cover', 'stretch'].includes(options.resize) && options.width > 0 && options.height > 0;
+    const aspectRatio = resizable ? options.width / options.height : source.width / source.height;
+    const max = adjustSizes({ aspectRatio, width: options.maxWidth, height: options.maxHeight });
+
+    let { width, height } = resizable
+        ? adjustSizes({ aspectRatio, width: options.width, height: options.height }, options.resize)
+        : adjustSizes({ aspectRatio, width: options.width, height: options.height });
+    width = width === undefined ? source.width : width;
+    height = height === undefined ? source.height : height;
+
+    return {
+        width: Math.max(1, Math.floor(Math.min(width, max.width ?? Infinity))),
+        height: Math.max(1, Math.floor(Math.min(height, max.height ?? Infinity))),
+    };
+};
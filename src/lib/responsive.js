@@ -0,0 +1,116 @@
+// Responsive image sets: one image compressed at several widths and formats, for srcset. Produces the
+// <img srcset> and <picture> markup, a JSON manifest, and a ZIP bundle with all of it.
+import { compressImage } from './index';
+import { createZip } from './zip';
+import { getImageDimensions } from './imageInfo';
+import { getCroppedDimensions } from './crop';
+import { DEFAULT_RESIZE } from './resize';
+
+export const RESPONSIVE_WIDTHS = [320, 640, 1280, 1920];
+
+// In <picture> order: browsers use the first <source> they support, the last format is the <img> fallback
+export const RESPONSIVE_FORMATS = ['image/avif', 'image/webp', 'image/jpeg'];
+
+export const DEFAULT_RESPONSIVE_FORMATS = ['image/webp', 'image/jpeg'];
+
+const FILE_NAME_TEMPLATE = '{name}-{width}w.{ext}';
+
+// The requested widths narrower than the source. Images aren't upscaled: wider requests are
+// replaced by the source's own width.
+export const getSetWidths = (widths, sourceWidth) => {
+    const narrower = widths.filter(width => width < sourceWidth);
+    const setWidths = narrower.length < widths.length ? [...narrower, sourceWidth] : narrower;
+    return [...new Set(setWidths)].sort((a, b) => a - b);
+};
+
+// Compress every width × format combination. `compressOptions` are compressImage() options; their
+// resize, output format and file name are replaced per variant, and a target size (which can't
+// suit every width) falls back to the quality setting.
+// Resolves with { source: { fileName, width, height, size }, variants: [{ fileName, blob, format, width, height, size }] }.
+export const generateResponsiveSet = async (file, { widths, formats, compressOptions, crop, onProgress = () => {}, signal }) => {
+    const sourceDimensions = getCroppedDimensions(await getImageDimensions(file), crop);
+    const jobs = getSetWidths(widths, sourceDimensions.width).flatMap(width => formats.map(format => ({ width, format })));
+    const percents = jobs.map(() => 0);
+    const reportProgress = () => onProgress(percents.reduce((total, percent) => total + percent, 0) / jobs.length);
+
+    const variants = await Promise.all(jobs.map(async ({ width, format }, index) => {
+        const { blob, fileName, stats } = await compressImage(file, {
+            ...compressOptions,
+            mode: compressOptions.mode === 'target' ? 'quality' : compressOptions.mode,
+            resize: { ...DEFAULT_RESIZE, maxWidth: width },
+            outputFormat: format,
+            fileNameTemplate: FILE_NAME_TEMPLATE,
+            crop,
+            onProgress: ({ percent }) => {
+                percents[index] = percent;
+                reportProgress();
+            },
+            signal,
+        });
+        return { fileName, blob, format, width: stats.dimensions?.width ?? width, height: stats.dimensions?.height ?? null, size: blob.size };
+    }));
+
+    return {
+        source: { fileName: file.name, width: sourceDimensions.width, height: sourceDimensions.height, size: file.size },
+        variants: variants.sort((a, b) => RESPONSIVE_FORMATS.indexOf(a.format) - RESPONSIVE_FORMATS.indexOf(b.format) || a.width - b.width),
+    };
+};
+
+const escapeAttribute = (value) => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+
+const getUrl = (fileName, basePath) => `${basePath}${encodeURIComponent(fileName)}`;
+
+const getSrcset = (variants, basePath) => variants.map(variant => `${getUrl(variant.fileName, basePath)} ${variant.width}w`).join(', ');
+
+const getFormats = (set) => RESPONSIVE_FORMATS.filter(format => set.variants.some(variant => variant.format === format));
+
+// Attributes of the fallback <img>: the last format, its largest width as src and for the intrinsic size
+const getImgAttributes = (set, { sizes, basePath, alt }) => {
+    const formats = getFormats(set);
+    const fallback = set.variants.filter(variant => variant.format === formats[formats.length - 1]);
+    const largest = fallback[fallback.length - 1];
+    return [
+        `src="${escapeAttribute(getUrl(largest.fileName, basePath))}"`,
+        `srcset="${escapeAttribute(getSrcset(fallback, basePath))}"`,
+        `sizes="${escapeAttribute(sizes)}"`,
+        `width="${largest.width}"`,
+        largest.height ? `height="${largest.height}"` : null,
+        `alt="${escapeAttribute(alt)}"`,
+        'loading="lazy"',
+        'decoding="async"',
+    ].filter(Boolean).join(' ');
+};
+
+// A single-format <img srcset> tag, using the fallback format
+export const buildImgMarkup = (set, options) => `<img ${getImgAttributes(set, options)}>`;
+
+// <picture> with a <source> per modern format and the <img> fallback
+export const buildPictureMarkup = (set, options) => {
+    const formats = getFormats(set);
+    const sources = formats.slice(0, -1).map(format => {
+        const srcset = getSrcset(set.variants.filter(variant => variant.format === format), options.basePath);
+        return `  <source type="${format}" srcset="${escapeAttribute(srcset)}" sizes="${escapeAttribute(options.sizes)}">`;
+    });
+    return ['<picture>', ...sources, `  <img ${getImgAttributes(set, options)}>`, '</picture>'].join('\n');
+};
+
+export const buildResponsiveManifest = (set, { sizes, basePath }) => ({
+    createdAt: new Date().toISOString(),
+    source: set.source,
+    sizes,
+    images: set.variants.map(variant => ({
+        url: getUrl(variant.fileName, basePath),
+        fileName: variant.fileName,
+        format: variant.format,
+        width: variant.width,
+        height: variant.height,
+        size: variant.size,
+    })),
+});
+
+// ZIP with every image, the markup (snippet.html) and manifest.json
+export const createResponsiveBundle = (set, options) => createZip([
+    ...set.variants.map(variant => ({ name: variant.fileName, data: variant.blob })),
+    { name: 'snippet.html', data: `${buildPictureMarkup(set, options)}\n\n<!-- Single format -->\n${buildImgMarkup(set, options)}\n` },
+    { name: 'manifest.json', data: JSON.stringify(buildResponsiveManifest(set, options), null, 2) },
+]);
@@ -0,0 +1,46 @@
+// Simulated compression for demos and tests, enabled only with VITE_SIMULATE_COMPRESSION=true.
+// It has the same interface as the worker pool's run() but returns random bytes instead of a real
+// image, so its output can't be opened. Never enable it for a real deployment.
+import { CancelledError } from './engine';
+
+// Set at build time; the headless API (index.js) uses the simulation instead of the worker pool when it's on
+export const SIMULATE_COMPRESSION = import.meta.env.VITE_SIMULATE_COMPRESSION === 'true';
+
+export const runSimulatedCompression = (file, settings, { onProgress = () => {} } = {}) => {
+    let cancel = () => {};
+    const promise = new Promise((resolve, reject) => {
+        let progress = 0;
+        // Simulate a total compression time of 0.5 seconds with progress updates every 50ms
+        const progressInterval = setInterval(() => {
+            progress += 10;
+            onProgress({ stage: 'encoding', percent: progress });
+            if (progress < 100) {
+                return;
+            }
+            clearInterval(progressInterval);
+
+            const quality = settings.quality !== undefined ? settings.quality : 0.8;
+            // Simulate compression: a dummy Blob with arbitrary content but the right type, always smaller, min 1KB
+            const simulatedCompressedSize = Math.max(1024, Math.floor(file.size * quality * 0.5));
+            const dummyContent = new Uint8Array(simulatedCompressedSize).map(() => Math.floor(Math.random() * 256));
+            const type = settings.outputFormat === 'original' ? file.type : settings.outputFormat;
+
+            // Simulated results aren't decodable, their dimensions and metrics are simply unknown
+            resolve({
+                blob: new Blob([dummyContent], { type }),
+                originalDimensions: null,
+                dimensions: null,
+                metrics: null,
+                searchInfo: null,
+                retainedMetadata: null,
+                animation: null,
+            });
+        }, 50);
+
+        cancel = () => {
+            clearInterval(progressInterval);
+            reject(new CancelledError());
+        };
+    });
+    return { promise, cancel };
+};
@@ -0,0 +1,82 @@
+// Automatic crop: the window of a given aspect ratio holding the most detail, computed locally on
+// a small copy of the image. Detail is local contrast (luma gradient) plus a little saturation,
+// which favours subjects over plain sky, walls and studio backdrops. Among similar windows the
+// one closest to the center wins.
+import { applyCrop, getRotatedSize } from './crop';
+
+const ANALYSIS_EDGE = 256;
+const SATURATION_WEIGHT = 0.25;
+const CENTER_PENALTY = 0.1; // Lost by a window in the far corner; scores are shares of the image's total detail
+
+const getEnergy = (rgba, width, height) => {
+    const luma = new Float32Array(width * height);
+    const energy = new Float32Array(width * height);
+    for (let i = 0, p = 0; i < luma.length; i++, p += 4) {
+        luma[i] = 0.299 * rgba[p] + 0.587 * rgba[p + 1] + 0.114 * rgba[p + 2];
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            const p = i * 4;
+            const gx = luma[y * width + Math.min(width - 1, x + 1)] - luma[y * width + Math.max(0, x - 1)];
+            const gy = luma[Math.min(height - 1, y + 1) * width + x] - luma[Math.max(0, y - 1) * width + x];
+            const saturation = Math.max(rgba[p], rgba[p + 1], rgba[p + 2]) - Math.min(rgba[p], rgba[p + 1], rgba[p + 2]);
+            // Transparent pixels carry no detail
+            energy[i] = (Math.abs(gx) + Math.abs(gy) + SATURATION_WEIGHT * saturation) * (rgba[p + 3] / 255);
+        }
+    }
+    return energy;
+};
+
+// Summed-area table with a zero row and column, so any window sum is 4 lookups
+const getIntegral = (values, width, height) => {
+    const stride = width + 1;
+    const integral = new Float64Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += values[y * width + x];
+            integral[(y + 1) * stride + x + 1] = integral[y * stride + x + 1] + rowSum;
+        }
+    }
+    return integral;
+};
+
+// The crop rect (fractions of the rotated image, see crop.js) with the given aspect ratio for a
+// decoded image. Rotation and flip of `crop` are taken into account, its rect is ignored.
+export const findSmartCrop = (image, crop, ratio) => {
+    const rotated = getRotatedSize(image, crop.rotation);
+    const scale = Math.min(1, ANALYSIS_EDGE / Math.max(rotated.width, rotated.height));
+    const small = applyCrop(image, { ...crop, rect: null }, scale);
+    const { width, height } = small;
+    let rgba;
+    try {
+        rgba = small.source.getContext('2d').getImageData(0, 0, width, height).data;
+    } finally {
+        small.release();
+    }
+
+    const integral = getIntegral(getEnergy(rgba, width, height), width, height);
+    const stride = width + 1;
+    const windowSum = (x, y, w, h) => integral[(y + h) * stride + x + w] - integral[y * stride + x + w] - integral[(y + h) * stride + x] + integral[y * stride + x];
+
+    // The window is as large as the ratio allows, so only its position is searched
+    const windowWidth = Math.max(1, Math.min(width, Math.round(height * ratio)));
+    const windowHeight = Math.max(1, Math.min(height, Math.round(width / ratio)));
+    const maxX = width - windowWidth;
+    const maxY = height - windowHeight;
+    const total = windowSum(0, 0, width, height) || 1;
+
+    let best = { x: Math.round(maxX / 2), y: Math.round(maxY / 2), score: -Infinity };
+    for (let y = 0; y <= maxY; y++) {
+        for (let x = 0; x <= maxX; x++) {
+            const offCenter = Math.hypot(maxX ? x / maxX - 0.5 : 0, maxY ? y / maxY - 0.5 : 0) / Math.SQRT1_2;
+            const score = windowSum(x, y, windowWidth, windowHeight) / total - CENTER_PENALTY * offCenter;
+            if (score > best.score) {
+                best = { x, y, score };
+            }
+        }
+    }
+
+    return { x: best.x / width, y: best.y / height, width: windowWidth / width, height: windowHeight / height };
+};
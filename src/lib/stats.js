@@ -0,0 +1,93 @@
+// Local usage statistics: totals of every successful compression, aggregated per day in localStorage.
+// Only counts, byte sizes and formats are kept (no file names or image data), and they never leave
+// the device: the CSV export is generated in the browser.
+//
+// Stored as { days: { 'YYYY-MM-DD': { files, originalBytes, compressedBytes, reductionSum, formats: { mimeType: files } } } }
+// reductionSum adds up each file's saved percent, for the average reduction per file.
+
+const STATS_STORAGE_KEY = 'compressionStats';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Day in the user's time zone
+export const getDayKey = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+export const loadStats = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STATS_STORAGE_KEY));
+        return stored && typeof stored.days === 'object' ? stored : { days: {} };
+    } catch {
+        return { days: {} };
+    }
+};
+
+export const clearStats = () => {
+    localStorage.removeItem(STATS_STORAGE_KEY);
+    return { days: {} };
+};
+
+// Add one compressed file to today's totals and return the updated stats
+export const recordCompression = ({ originalSize, compressedSize, outputFormat }, date = new Date()) => {
+    const stats = loadStats();
+    const key = getDayKey(date);
+    const day = stats.days[key] || { files: 0, originalBytes: 0, compressedBytes: 0, reductionSum: 0, formats: {} };
+    stats.days[key] = {
+        files: day.files + 1,
+        originalBytes: day.originalBytes + originalSize,
+        compressedBytes: day.compressedBytes + compressedSize,
+        reductionSum: day.reductionSum + (originalSize > 0 ? 100 - (compressedSize / originalSize) * 100 : 0),
+        formats: { ...day.formats, [outputFormat]: (day.formats[outputFormat] || 0) + 1 },
+    };
+    try {
+        localStorage.setItem(STATS_STORAGE_KEY, JSON.stringify(stats));
+    } catch (err) {
+        // Storage full or disabled: the dashboard just misses this file
+        console.error("Could not save the compression stats:", err);
+    }
+    return stats;
+};
+
+const getSavedBytes = (day) => day.originalBytes - day.compressedBytes;
+
+// Totals over all days. averageReduction is the mean saved percent per file, totalReduction the
+// saved share of all input bytes; formats are sorted by file count.
+export const summarizeStats = (stats) => {
+    const days = Object.values(stats.days);
+    const files = days.reduce((total, day) => total + day.files, 0);
+    const originalBytes = days.reduce((total, day) => total + day.originalBytes, 0);
+    const compressedBytes = days.reduce((total, day) => total + day.compressedBytes, 0);
+    const formats = {};
+    days.forEach(day => Object.entries(day.formats).forEach(([format, count]) => {
+        formats[format] = (formats[format] || 0) + count;
+    }));
+    return {
+        files,
+        originalBytes,
+        compressedBytes,
+        savedBytes: originalBytes - compressedBytes,
+        averageReduction: files ? days.reduce((total, day) => total + day.reductionSum, 0) / files : 0,
+        totalReduction: originalBytes ? 100 - (compressedBytes / originalBytes) * 100 : 0,
+        formats: Object.entries(formats).map(([format, count]) => ({ format, files: count })).sort((a, b) => b.files - a.files),
+        firstDay: Object.keys(stats.days).sort()[0] || null,
+    };
+};
+
+// The last `dayCount` days up to today, oldest first, including days without compressions
+export const getDailySeries = (stats, dayCount, today = new Date()) => Array.from({ length: dayCount }, (_, i) => {
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - (dayCount - 1 - i));
+    const key = getDayKey(date);
+    const day = stats.days[key];
+    return { day: key, files: day?.files || 0, savedBytes: day ? getSavedBytes(day) : 0 };
+});
+
+// One row per day with compressions, a files column per output format seen
+export const statsToCsv = (stats) => {
+    const keys = Object.keys(stats.days).sort();
+    const formats = [...new Set(keys.flatMap(key => Object.keys(stats.days[key].formats)))].sort();
+    const header = ['date', 'files', 'original_bytes', 'compressed_bytes', 'saved_bytes', 'average_reduction_percent', ...formats.map(format => `${format.replace('image/', '')}_files`)];
+    const rows = keys.map(key => {
+        const day = stats.days[key];
+        return [key, day.files, day.originalBytes, day.compressedBytes, getSavedBytes(day), (day.reductionSum / day.files).toFixed(1), ...formats.map(format => day.formats[format] || 0)];
+    });
+    return [header, ...rows].map(row => row.join(',')).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,88 @@
+// "Compress to at most N KB": finds the highest quality whose output fits the target size.
+// If even the lowest quality is too big, the image is downscaled step by step and the
+// quality search is repeated at each size.
+
+const MIN_QUALITY = 0.05;
+const MAX_QUALITY = 1;
+const QUALITY_SEARCH_STEPS = 7; // 2^-7 of the quality range, i.e. below 1% precision
+const MAX_DOWNSCALE_ATTEMPTS = 6;
+const MIN_DIMENSION = 16; // Stop downscaling below this size, the result would be useless
+// Quality the downscaled size is estimated for. Shrinking a bit more beats ending up at the minimum quality.
+const DOWNSCALE_QUALITY = 0.6;
+
+const formatKB = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+export class TargetSizeError extends Error {
+    constructor(message, smallestSize) {
+        super(message);
+        this.name = 'TargetSizeError';
+        this.smallestSize = smallestSize;
+    }
+}
+
+// Binary search for the highest quality that fits within targetBytes at a fixed size.
+// Returns { fit, smallest } where fit is the best fitting attempt (or null).
+const searchQuality = async (attempt, targetBytes) => {
+    const smallest = await attempt(MIN_QUALITY);
+    if (smallest.blob.size > targetBytes) {
+        return { fit: null, smallest };
+    }
+
+    let fit = smallest;
+    let low = MIN_QUALITY;
+    let high = MAX_QUALITY;
+    for (let step = 0; step < QUALITY_SEARCH_STEPS; step++) {
+        const quality = (low + high) / 2;
+        const result = await attempt(quality);
+        if (result.blob.size <= targetBytes) {
+            fit = result;
+            low = quality;
+        } else {
+            high = quality;
+        }
+    }
+    return { fit, smallest };
+};
+
+// Compress an image to at most targetBytes.
+// `compress(options)` runs the compressor with { quality, maxWidth, maxHeight } and resolves with a Blob.
+// Resolves with { blob, quality, width, height }, rejects with a TargetSizeError when the target can't be reached.
+export const compressToTargetSize = async ({ compress, targetBytes, width, height }) => {
+    let scale = 1;
+    let smallestSize = Infinity;
+
+    for (let downscaleAttempt = 0; downscaleAttempt <= MAX_DOWNSCALE_ATTEMPTS; downscaleAttempt++) {
+        const scaledWidth = Math.round(width * scale);
+        const scaledHeight = Math.round(height * scale);
+        const attempt = async (quality) => ({
+            blob: await compress({
+                quality,
+                maxWidth: scale < 1 ? scaledWidth : Infinity,
+                maxHeight: scale < 1 ? scaledHeight : Infinity,
+            }),
+            quality,
+            width: scaledWidth,
+            height: scaledHeight,
+        });
+
+        const { fit, smallest } = await searchQuality(attempt, targetBytes);
+        if (fit) {
+            return fit;
+        }
+        smallestSize = Math.min(smallestSize, smallest.blob.size);
+
+        // File size grows roughly with the pixel count, so shrink the area by the overshoot (with a little margin)
+        const reference = await attempt(DOWNSCALE_QUALITY);
+        const nextScale = scale * Math.min(0.9, Math.sqrt(targetBytes / reference.blob.size) * 0.95);
+        const minScale = Math.min(1, MIN_DIMENSION / Math.min(width, height));
+        if (scale <= minScale) {
+            break;
+        }
+        scale = Math.max(nextScale, minScale);
+    }
+
+    throw new TargetSizeError(
+        `Could not reach ${formatKB(targetBytes)}. The smallest result was ${formatKB(smallestSize)}, even at ${Math.round(MIN_QUALITY * 100)}% quality and reduced dimensions. Try a larger target size.`,
+        smallestSize
+    );
+};
@@ -0,0 +1,175 @@
+// Watermark: a logo or a text line stamped on the output after resizing, before it is encoded.
+// Sizes and offsets are relative to the output's width, so the same settings look the same on every
+// image of a batch, whatever their sizes.
+//
+// settings: {
+//   type: 'none' | 'text' | 'image',
+//   text, color, font, bold,  // text mark, font is one of WATERMARK_FONTS
+//   image, imageName,        // image mark as a data URL, so settings (and profiles) stay plain JSON
+//   position,                // one of WATERMARK_POSITIONS, ignored when tiling
+//   offsetX, offsetY,        // inset from the anchored edges in % of the output width, centered axes stay centered
+//   opacity,                 // 0-1
+//   scale,                   // width of the mark as a fraction of the output width
+//   tile,                    // repeat the mark over the whole image
+// }
+import { loadImage } from './imageInfo';
+import { createCanvas } from './canvas';
+
+export const WATERMARK_POSITIONS = [
+    'top-left', 'top', 'top-right',
+    'left', 'center', 'right',
+    'bottom-left', 'bottom', 'bottom-right',
+];
+
+export const WATERMARK_FONTS = [
+    { id: 'sans-serif', label: 'Sans-serif' },
+    { id: 'serif', label: 'Serif' },
+    { id: 'monospace', label: 'Monospace' },
+];
+
+export const DEFAULT_WATERMARK = {
+    type: 'none',
+    text: '© Company',
+    color: '#ffffff',
+    font: 'sans-serif',
+    bold: true,
+    image: null,
+    imageName: '',
+    position: 'bottom-right',
+    offsetX: 2,
+    offsetY: 2,
+    opacity: 0.6,
+    scale: 0.2,
+    tile: false,
+};
+
+// Logos are kept in the settings (and in saved profiles), which live in localStorage
+export const MAX_WATERMARK_IMAGE_SIZE = 1024 * 1024;
+
+const TILE_GAP = 0.6; // Space between tiles, as a fraction of the mark's size
+const TEXT_SIZE = 100; // px font size text is measured at
+const LINE_HEIGHT = 1.3;
+
+const isNumberInRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+export const hasWatermark = (watermark) => Boolean(watermark && (
+    (watermark.type === 'text' && watermark.text?.trim())
+    || (watermark.type === 'image' && watermark.image)
+));
+
+// Complete settings from a possibly partial or outdated object; invalid values fall back to the defaults
+export const normalizeWatermark = (raw) => {
+    const watermark = raw && typeof raw === 'object' ? raw : {};
+    const pick = (key, isValid) => (isValid(watermark[key]) ? watermark[key] : DEFAULT_WATERMARK[key]);
+    return {
+        type: pick('type', value => ['none', 'text', 'image'].includes(value)),
+        text: pick('text', value => typeof value === 'string'),
+        color: pick('color', value => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)),
+        font: pick('font', value => WATERMARK_FONTS.some(font => font.id === value)),
+        bold: pick('bold', value => typeof value === 'boolean'),
+        image: pick('image', value => typeof value === 'string' && value.startsWith('data:image/')),
+        imageName: pick('imageName', value => typeof value === 'string'),
+        position: pick('position', value => WATERMARK_POSITIONS.includes(value)),
+        offsetX: pick('offsetX', value => isNumberInRange(value, 0, 50)),
+        offsetY: pick('offsetY', value => isNumberInRange(value, 0, 50)),
+        opacity: pick('opacity', value => isNumberInRange(value, 0, 1)),
+        scale: pick('scale', value => isNumberInRange(value, 0.01, 1)),
+        tile: pick('tile', value => typeof value === 'boolean'),
+    };
+};
+
+// Read a logo file into the data URL kept in the settings
+export const readWatermarkImage = (file) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+});
+
+const getFont = (watermark, size) => `${watermark.bold ? 'bold ' : ''}${size}px ${watermark.font}`;
+
+// The mark at its natural aspect ratio: { width, height, draw(context, x, y, width, height), release }.
+// Text is drawn at the size it's needed, so it stays sharp on large outputs.
+const loadMark = async (watermark) => {
+    if (watermark.type === 'image') {
+        const logo = await loadImage(await (await fetch(watermark.image)).blob());
+        return {
+            width: logo.width,
+            height: logo.height,
+            draw: (context, x, y, width, height) => context.drawImage(logo.source, x, y, width, height),
+            release: logo.release,
+        };
+    }
+    const text = watermark.text.trim();
+    const measure = createCanvas(1, 1).getContext('2d');
+    measure.font = getFont(watermark, TEXT_SIZE);
+    const textWidth = Math.max(1, measure.measureText(text).width);
+    return {
+        width: textWidth,
+        height: TEXT_SIZE * LINE_HEIGHT,
+        draw: (context, x, y, width, height) => {
+            context.font = getFont(watermark, TEXT_SIZE * (width / textWidth));
+            context.fillStyle = watermark.color;
+            context.textAlign = 'left';
+            context.textBaseline = 'middle';
+            // A soft shadow keeps light text readable on light areas
+            context.shadowColor = 'rgba(0, 0, 0, 0.35)';
+            context.shadowBlur = height * 0.08;
+            context.fillText(text, x, y + height / 2);
+        },
+        release: () => {},
+    };
+};
+
+// Top-left corners of the mark on a width × height output, and its size there
+export const getWatermarkLayout = (mark, watermark, width, height) => {
+    const markWidth = Math.max(1, watermark.scale * width);
+    const markHeight = markWidth * (mark.height / mark.width);
+
+    if (watermark.tile) {
+        // Rows are staggered by half a step, like a brick wall
+        const stepX = markWidth * (1 + TILE_GAP);
+        const stepY = markHeight * (1 + TILE_GAP);
+        const positions = [];
+        for (let row = 0, y = (stepY - markHeight) / 2; y < height; row++, y += stepY) {
+            for (let x = row % 2 ? -stepX / 2 : 0; x < width; x += stepX) {
+                positions.push({ x, y });
+            }
+        }
+        return { width: markWidth, height: markHeight, positions };
+    }
+
+    const parts = watermark.position.split('-');
+    const vertical = ['top', 'bottom'].includes(parts[0]) ? parts[0] : 'middle';
+    const horizontal = parts.find(part => part === 'left' || part === 'right') || 'center';
+    const offsetX = (watermark.offsetX / 100) * width;
+    const offsetY = (watermark.offsetY / 100) * width;
+    const x = horizontal === 'left' ? offsetX : horizontal === 'right' ? width - markWidth - offsetX : (width - markWidth) / 2;
+    const y = vertical === 'top' ? offsetY : vertical === 'bottom' ? height - markHeight - offsetY : (height - markHeight) / 2;
+    return { width: markWidth, height: markHeight, positions: [{ x, y }] };
+};
+
+// Decode the watermark once for a job. Resolves with null when there is none, otherwise with
+// { apply(context, width, height), release }; apply() stamps it onto a canvas of the output.
+export const loadWatermark = async (watermark) => {
+    if (!hasWatermark(watermark)) {
+        return null;
+    }
+    let mark;
+    try {
+        mark = await loadMark(watermark);
+    } catch {
+        throw new Error("Could not decode the watermark image.");
+    }
+    return {
+        apply: (context, width, height) => {
+            const layout = getWatermarkLayout(mark, watermark, width, height);
+            context.save();
+            context.globalAlpha = watermark.opacity;
+            context.imageSmoothingQuality = 'high';
+            layout.positions.forEach(({ x, y }) => mark.draw(context, x, y, layout.width, layout.height));
+            context.restore();
+        },
+        release: mark.release,
+    };
+};
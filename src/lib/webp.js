@@ -0,0 +1,149 @@
+// WebP container (RIFF) helpers: reading and writing chunks, the extended VP8X header,
+// animation info and an animated WebP muxer. Pixels are never decoded or encoded here:
+// frames come from the browser's WebP encoder.
+
+const textEncoder = new TextEncoder();
+
+const VP8X_ALPHA = 0x10;
+const VP8X_ANIMATION = 0x02;
+
+// ANMF flags: don't blend with the previous frame (frames are complete), no disposal
+const ANMF_NO_BLEND = 0x02;
+
+const fourCC = (bytes, offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+
+const concat = (parts) => {
+    const result = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+};
+
+const writeUint24 = (bytes, offset, value) => {
+    bytes[offset] = value & 0xff;
+    bytes[offset + 1] = (value >> 8) & 0xff;
+    bytes[offset + 2] = (value >> 16) & 0xff;
+};
+
+const readUint24 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+
+const isWebp = (bytes) => fourCC(bytes, 0) === 'RIFF' && fourCC(bytes, 8) === 'WEBP';
+
+// Top level chunks: [{ type, start, end, data }], `start`/`end` include the header and padding
+export const readWebpChunks = (bytes) => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const size = view.getUint32(offset + 4, true);
+        const end = Math.min(bytes.length, offset + 8 + size + (size % 2));
+        chunks.push({ type: fourCC(bytes, offset), start: offset, end, data: bytes.subarray(offset + 8, offset + 8 + size) });
+        offset = end;
+    }
+    return chunks;
+};
+
+export const webpChunk = (type, data) => {
+    const chunk = new Uint8Array(8 + data.length + (data.length % 2));
+    chunk.set(textEncoder.encode(type), 0);
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+};
+
+const riff = (chunks) => {
+    const body = concat(chunks);
+    const result = new Uint8Array(12 + body.length);
+    result.set(textEncoder.encode('RIFF'), 0);
+    new DataView(result.buffer).setUint32(4, result.length - 8, true);
+    result.set(textEncoder.encode('WEBP'), 8);
+    result.set(body, 12);
+    return result;
+};
+
+const vp8xChunk = (width, height, flags) => {
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = flags;
+    writeUint24(vp8x, 4, width - 1);
+    writeUint24(vp8x, 7, height - 1);
+    return webpChunk('VP8X', vp8x);
+};
+
+// Size and alpha of a simple format image chunk (VP8 or VP8L)
+const getImageChunkInfo = ({ type, data }) => {
+    if (type === 'VP8L') {
+        const bits = new DataView(data.buffer, data.byteOffset + 1, 4).getUint32(0, true);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1, hasAlpha: Boolean((bits >>> 28) & 1) };
+    }
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return { width: view.getUint16(6, true) & 0x3fff, height: view.getUint16(8, true) & 0x3fff, hasAlpha: false };
+};
+
+// Canvas writes the simple format (a single VP8/VP8L chunk); metadata needs the extended VP8X header
+export const createVp8xChunk = (imageChunk) => {
+    const { width, height, hasAlpha } = getImageChunkInfo(imageChunk);
+    return vp8xChunk(width, height, hasAlpha ? VP8X_ALPHA : 0);
+};
+
+// { frameCount, duration (ms), frameDurations, loopCount (0 = forever), hasAlpha } of an animated WebP, or null
+export const getWebpAnimationInfo = (bytes) => {
+    if (!isWebp(bytes)) {
+        return null;
+    }
+    const chunks = readWebpChunks(bytes);
+    const vp8x = chunks.find(chunk => chunk.type === 'VP8X');
+    if (!vp8x || !(vp8x.data[0] & VP8X_ANIMATION)) {
+        return null;
+    }
+    const anim = chunks.find(chunk => chunk.type === 'ANIM');
+    const frameDurations = chunks.filter(chunk => chunk.type === 'ANMF').map(chunk => readUint24(chunk.data, 12));
+    return {
+        frameCount: frameDurations.length,
+        duration: frameDurations.reduce((total, duration) => total + duration, 0),
+        frameDurations,
+        loopCount: anim ? anim.data[4] | (anim.data[5] << 8) : 0,
+        hasAlpha: Boolean(vp8x.data[0] & VP8X_ALPHA),
+    };
+};
+
+// Build an animated WebP from still WebP images of the full canvas size (as the browser encodes them).
+// `addFrame(bytes, duration)` takes the encoded still, `finish()` returns the Blob.
+export const createAnimatedWebpEncoder = ({ width, height, loopCount = 0 }) => {
+    const frames = [];
+    let hasAlpha = false;
+
+    const addFrame = (bytes, duration) => {
+        // Keep only the image data: ALPH (lossy alpha) and VP8, or VP8L
+        const imageChunks = readWebpChunks(bytes).filter(chunk => chunk.type === 'ALPH' || chunk.type === 'VP8 ' || chunk.type === 'VP8L');
+        const image = imageChunks.find(chunk => chunk.type !== 'ALPH');
+        if (!image) {
+            throw new Error("The browser returned an invalid WebP frame.");
+        }
+        hasAlpha = hasAlpha || imageChunks.some(chunk => chunk.type === 'ALPH') || getImageChunkInfo(image).hasAlpha;
+
+        const header = new Uint8Array(16);
+        // Frame offset (in units of 2 pixels) is 0: every frame covers the canvas
+        writeUint24(header, 6, width - 1);
+        writeUint24(header, 9, height - 1);
+        writeUint24(header, 12, Math.min(0xffffff, Math.round(duration)));
+        header[15] = ANMF_NO_BLEND;
+        frames.push(webpChunk('ANMF', concat([header, ...imageChunks.map(chunk => bytes.subarray(chunk.start, chunk.end))])));
+    };
+
+    const finish = () => {
+        if (frames.length === 0) {
+            throw new Error("An animation needs at least one frame.");
+        }
+        // Background color (BGRA, transparent) and loop count
+        const anim = new Uint8Array(6);
+        anim[4] = loopCount & 0xff;
+        anim[5] = (loopCount >> 8) & 0xff;
+        const flags = VP8X_ANIMATION | (hasAlpha ? VP8X_ALPHA : 0);
+        return new Blob([riff([vp8xChunk(width, height, flags), webpChunk('ANIM', anim), ...frames])], { type: 'image/webp' });
+    };
+
+    return { addFrame, finish };
+};
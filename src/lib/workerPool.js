@@ -0,0 +1,113 @@
+// Pool of compression workers sized to the number of CPU cores. Jobs are queued and handed to the
+// first idle worker; workers are created lazily and reused. Cancelling a running job terminates
+// its worker (a replacement is created for the next job), so even a long encode stops right away.
+//
+// Browsers without OffscreenCanvas in workers fall back to running the engine on the main thread,
+// one job at a time.
+import { canUseWorkers } from './canvas';
+import { processImage, deserializeError, CancelledError } from './engine';
+
+const createWorker = () => new Worker(new URL('../workers/compression.worker.js', import.meta.url), { type: 'module' });
+
+export const createCompressionPool = (size = navigator.hardwareConcurrency || 2) => {
+    const useWorkers = canUseWorkers();
+    const slots = Array.from({ length: useWorkers ? size : 1 }, () => ({ worker: null, job: null }));
+    const waiting = [];
+    let jobIdCounter = 0;
+
+    const finish = (slot) => {
+        slot.job = null;
+        next();
+    };
+
+    const startInWorker = (slot, job) => {
+        if (!slot.worker) {
+            slot.worker = createWorker();
+            slot.worker.onmessage = ({ data }) => {
+                const current = slot.job;
+                if (!current || data.jobId !== current.id) {
+                    return;
+                }
+                if (data.type === 'progress') {
+                    current.onProgress(data.progress);
+                    return;
+                }
+                finish(slot);
+                if (data.type === 'done') {
+                    current.resolve(data.result);
+                } else {
+                    current.reject(deserializeError(data.error));
+                }
+            };
+            slot.worker.onerror = (event) => {
+                const current = slot.job;
+                // An uncaught error leaves the worker in an unknown state, start over with a new one
+                slot.worker.terminate();
+                slot.worker = null;
+                finish(slot);
+                current?.reject(new Error(event.message || "The compression worker crashed."));
+            };
+        }
+        slot.worker.postMessage({ jobId: job.id, file: job.file, settings: job.settings });
+    };
+
+    const startOnMainThread = (slot, job) => {
+        processImage(job.file, job.settings, { onProgress: job.onProgress, isCancelled: () => job.cancelled })
+            .then(job.resolve, job.reject)
+            .finally(() => finish(slot));
+    };
+
+    function next() {
+        const slot = slots.find(candidate => !candidate.job);
+        if (!slot || waiting.length === 0) {
+            return;
+        }
+        const job = waiting.shift();
+        slot.job = job;
+        (useWorkers ? startInWorker : startOnMainThread)(slot, job);
+    }
+
+    const cancel = (job) => {
+        if (job.cancelled) {
+            return;
+        }
+        job.cancelled = true;
+        const queuedIndex = waiting.indexOf(job);
+        if (queuedIndex !== -1) {
+            waiting.splice(queuedIndex, 1);
+            job.reject(new CancelledError());
+            return;
+        }
+        const slot = slots.find(candidate => candidate.job === job);
+        if (slot && useWorkers) {
+            slot.worker.terminate();
+            slot.worker = null;
+            finish(slot);
+            job.reject(new CancelledError());
+        }
+        // On the main thread the engine notices the flag at its next step and rejects by itself
+    };
+
+    // Queue a job. Returns { promise, cancel }; the promise resolves with the engine result.
+    const run = (file, settings, { onProgress = () => {} } = {}) => {
+        const job = { id: ++jobIdCounter, file, settings, onProgress, cancelled: false };
+        const promise = new Promise((resolve, reject) => {
+            job.resolve = resolve;
+            job.reject = reject;
+        });
+        waiting.push(job);
+        next();
+        return { promise, cancel: () => cancel(job) };
+    };
+
+    return { run, size: slots.length };
+};
+
+let sharedPool = null;
+
+export const getCompressionPool = () => {
+    if (!sharedPool) {
+        sharedPool = createCompressionPool();
+    }
+    return sharedPool;
+};
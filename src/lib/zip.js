@@ -0,0 +1,89 @@
+// Minimal ZIP archive writer that runs entirely in the browser.
+// Entries are "stored" (no deflate): compressed images don't shrink any further,
+// so skipping deflate keeps this small and fast.
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+export const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date/time format used by ZIP headers
+const toDosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+const textEncoder = new TextEncoder();
+
+// Build a ZIP Blob from [{ name, data }] where data is a Blob or a string
+export const createZip = async (files) => {
+    const { time, date } = toDosDateTime(new Date());
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const nameBytes = textEncoder.encode(file.name);
+        const data = typeof file.data === 'string'
+            ? textEncoder.encode(file.data)
+            : new Uint8Array(await file.data.arrayBuffer());
+        const crc = crc32(data);
+
+        const localHeader = new DataView(new ArrayBuffer(30));
+        localHeader.setUint32(0, 0x04034b50, true); // Local file header signature
+        localHeader.setUint16(4, 20, true); // Version needed to extract
+        localHeader.setUint16(6, 0x0800, true); // Flags: file name is UTF-8
+        localHeader.setUint16(8, 0, true); // Compression method: stored
+        localHeader.setUint16(10, time, true);
+        localHeader.setUint16(12, date, true);
+        localHeader.setUint32(14, crc, true);
+        localHeader.setUint32(18, data.length, true); // Compressed size
+        localHeader.setUint32(22, data.length, true); // Uncompressed size
+        localHeader.setUint16(26, nameBytes.length, true);
+        localHeader.setUint16(28, 0, true); // Extra field length
+
+        const centralHeader = new DataView(new ArrayBuffer(46));
+        centralHeader.setUint32(0, 0x02014b50, true); // Central directory header signature
+        centralHeader.setUint16(4, 20, true); // Version made by
+        centralHeader.setUint16(6, 20, true); // Version needed to extract
+        centralHeader.setUint16(8, 0x0800, true);
+        centralHeader.setUint16(10, 0, true);
+        centralHeader.setUint16(12, time, true);
+        centralHeader.setUint16(14, date, true);
+        centralHeader.setUint32(16, crc, true);
+        centralHeader.setUint32(20, data.length, true);
+        centralHeader.setUint32(24, data.length, true);
+        centralHeader.setUint16(28, nameBytes.length, true);
+        // Extra field length, comment length, disk number, internal and external attributes stay 0
+        centralHeader.setUint32(42, offset, true); // Offset of the local header
+
+        parts.push(localHeader, nameBytes, data);
+        centralDirectory.push(centralHeader, nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const centralDirectorySize = centralDirectory.reduce((size, part) => size + part.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, files.length, true); // Entries on this disk
+    end.setUint16(10, files.length, true); // Total entries
+    end.setUint32(12, centralDirectorySize, true);
+    end.setUint32(16, offset, true); // Offset of the central directory
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+};
@@ -1,11 +1,14 @@
 import React from 'react'; // Added explicit import for React
 import { StrictMode } from 'react';
 import { createRoot } from 'react-dom/client';
-import './index.css'; // This imports the CSS file, which should be empty
+import './index.css'; // Tailwind, built at compile time
 import App from './App.jsx'; // This imports your App component
+import { registerServiceWorker } from './lib/pwa';
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
   </StrictMode>
-);
\ No newline at end of file
+);
+
+registerServiceWorker();
\ No newline at end of file
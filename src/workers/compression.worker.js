@@ -0,0 +1,16 @@
+// Compression worker: runs one job at a time for the worker pool (see lib/workerPool.js).
+//
+// in:  { jobId, file, settings }
+// out: { jobId, type: 'progress', progress } | { jobId, type: 'done', result } | { jobId, type: 'error', error }
+import { processImage, serializeError } from '../lib/engine';
+
+self.onmessage = async ({ data: { jobId, file, settings } }) => {
+    try {
+        const result = await processImage(file, settings, {
+            onProgress: progress => self.postMessage({ jobId, type: 'progress', progress }),
+        });
+        self.postMessage({ jobId, type: 'done', result });
+    } catch (error) {
+        self.postMessage({ jobId, type: 'error', error: serializeError(error) });
+    }
+};
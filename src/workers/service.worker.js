@@ -0,0 +1,79 @@
+// Service worker, served as /sw.js in production builds (see vite.config.js).
+// It precaches the app shell and the compression engine so the app works offline, and receives
+// images shared to the installed app (Web Share Target, see public/manifest.webmanifest).
+//
+// The build replaces the two placeholders below with the bundle's file list and a version derived from it.
+
+/* global __PRECACHE_URLS__, __CACHE_VERSION__ */
+const PRECACHE_URLS = __PRECACHE_URLS__;
+const APP_CACHE = `app-${__CACHE_VERSION__}`;
+const FONTS_CACHE = 'fonts';
+// Shared files wait here until the page picks them up, see lib/pwa.js
+const SHARED_FILES_CACHE = 'shared-files';
+const SHARE_TARGET_PATH = '/share-target';
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(APP_CACHE).then(cache => cache.addAll(PRECACHE_URLS)).then(() => self.skipWaiting()));
+});
+
+// Drop the caches of previous builds
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key.startsWith('app-') && key !== APP_CACHE).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+const receiveSharedFiles = async (request) => {
+    const formData = await request.formData();
+    const files = formData.getAll('images').filter(file => file instanceof File);
+    const cache = await caches.open(SHARED_FILES_CACHE);
+    await Promise.all(files.map((file, index) => cache.put(
+        `/shared-files/${Date.now()}-${index}`,
+        new Response(file, { headers: { 'Content-Type': file.type, 'X-File-Name': encodeURIComponent(file.name) } }),
+    )));
+    return Response.redirect('/?shared=1', 303);
+};
+
+// Fonts change rarely: answer from the cache and refresh it in the background
+const staleWhileRevalidate = async (request) => {
+    const cache = await caches.open(FONTS_CACHE);
+    const cached = await cache.match(request);
+    const refresh = fetch(request).then((response) => {
+        cache.put(request, response.clone());
+        return response;
+    });
+    if (cached) {
+        refresh.catch(() => {}); // Offline: the cached copy is all there is
+        return cached;
+    }
+    return refresh;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.pathname === SHARE_TARGET_PATH) {
+        event.respondWith(receiveSharedFiles(request));
+        return;
+    }
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') {
+            // Network first, so a new deploy shows up right away; the cached shell when offline
+            event.respondWith(fetch(request).catch(() => caches.match('/', { cacheName: APP_CACHE })));
+            return;
+        }
+        event.respondWith(caches.match(request, { cacheName: APP_CACHE }).then(cached => cached || fetch(request)));
+        return;
+    }
+
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+    }
+    // Everything else (ads) goes straight to the network
+});
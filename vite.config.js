@@ -1,7 +1,41 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import tailwindcss from '@tailwindcss/vite'
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+
+// Files from public/ that belong to the app shell, including the manifest's icons and the apple-touch-icon
+const PUBLIC_SHELL_FILES = [
+  '/',
+  '/manifest.webmanifest',
+  '/favicon.svg',
+  '/logo.jpg',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/icons/icon-maskable-512.png',
+]
+
+// Emit src/workers/service.worker.js as /sw.js with the bundle's files as its precache list.
+// The cache version is derived from the (content hashed) file names, so every deploy gets a fresh cache.
+const serviceWorker = () => ({
+  name: 'service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(options, bundle) {
+    const urls = [
+      ...PUBLIC_SHELL_FILES,
+      ...Object.keys(bundle).filter(file => file !== 'index.html' && !file.endsWith('.map')).map(file => `/${file}`),
+    ]
+    const version = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12)
+    const source = readFileSync(new URL('./src/workers/service.worker.js', import.meta.url), 'utf8')
+      .replace(/\/\* global .*\*\/\n/, '')
+      .replace('__PRECACHE_URLS__', JSON.stringify(urls))
+      .replace('__CACHE_VERSION__', JSON.stringify(version))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), tailwindcss(), serviceWorker()],
 })